@@ -2,12 +2,16 @@
 
 import $dom from './dom.js';
 import $microtask from './microtask.js';
+import $mo from './mutation-observers.js';
 import $utils from './utils.js';
 
 // TODO: Remove this circular dependency by introducing a 'creating steps' hook
 import $Attr from './interfaces/Attr.js';
 
 const nativeHTMLElement = window.HTMLElement;
+const elementHasAttributeDescriptor = $utils.descriptor(Element, 'hasAttribute');
+const elementSetAttributeDescriptor = $utils.descriptor(Element, 'setAttribute');
+const elementRemoveAttributeDescriptor = $utils.descriptor(Element, 'removeAttribute');
 
 const htmlNamespace = 'http://www.w3.org/1999/xhtml';
 const alreadyConstructedMarker = 1;
@@ -15,15 +19,30 @@ const upgradeReactionType = 1;
 const callbackReactionType = 2;
 const CE_STATE_FAILED = 'failed';
 const CE_STATE_CUSTOM = 'custom';
+const CE_STATE_PRECUSTOMIZED = 'precustomized';
 const CE_STATE_UNDEFINED = 'undefined';
 const CE_PROP_NAME = 'customElements';
 const CE_CALLBACK_CONNECTED = 'connectedCallback';
 const CE_CALLBACK_DISCONNECTED = 'disconnectedCallback';
 const CE_CALLBACK_ADOPTED = 'adoptedCallback';
 const CE_CALLBACK_ATTRIBUTE_CHANGED = 'attributeChangedCallback';
+const CE_CALLBACK_FORM_ASSOCIATED = 'formAssociatedCallback';
+const CE_CALLBACK_FORM_RESET = 'formResetCallback';
+const CE_CALLBACK_FORM_DISABLED = 'formDisabledCallback';
+const CE_CALLBACK_FORM_STATE_RESTORE = 'formStateRestoreCallback';
+const CE_FEATURE_INTERNALS = 'internals';
+const CE_FEATURE_SHADOW = 'shadow';
 const DOM_CONTENT_LOADED = 'DOMContentLoaded';
 const CTOR_PROP_NAME = 'constructor';
 const ATTR_IS_NAME = 'is';
+const ATTR_DISABLED = 'disabled';
+const ATTR_FORM = 'form';
+const ATTR_ID = 'id';
+const TAG_FIELDSET = 'fieldset';
+const TAG_FORM = 'form';
+const TAG_LEGEND = 'legend';
+const ATTR_UNDEFINED = 'ce-undefined';
+const ATTR_STATE = 'ce-state';
 
 const nativeSupport = CE_PROP_NAME in window;
 const promisesSupported = 'Promise' in window;
@@ -35,12 +54,32 @@ export default {
     isInstalled,
     installTranspiledClassSupport,
     isCustom,
+    isDefined,
+    definedStateAttribute,
+    customStateAttribute,
+    customStates,
+    hasCustomState,
+    setCustomStates,
     tryToUpgradeElement,
     executeCEReactions,
     isValidCustomElementName,
+    isRegistry,
+    createElementInRegistry,
+    createElementNSInRegistry,
+    cloneInRegistry,
+    attachInternals,
+    attachedInternals,
+    isFormAssociated,
+    formOwner,
+    isDisabled,
+    formAssociatedElements,
+    resetFormAssociatedElements,
 };
 
 $dom.registerInsertingSteps(function (node) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+        updateDefinedStateAttribute(node);
+    }
     if (node.isConnected) {
         if (isCustom(node)) {
             enqueueCallbackReaction(node, CE_CALLBACK_CONNECTED, []);
@@ -49,12 +88,24 @@ $dom.registerInsertingSteps(function (node) {
             tryToUpgradeElement(node);
         }
     }
+    if (isFormAssociated(node)) {
+        updateFormAssociation(node);
+    }
+    else if (isFormElement(node)) {
+        resetFormOwnersByAttribute();
+    }
 });
 
 $dom.registerRemovingSteps(function (node, parent) {
     if (isCustom(node)) {
         enqueueCallbackReaction(node, CE_CALLBACK_DISCONNECTED, []);
     }
+    if (isFormAssociated(node)) {
+        updateFormAssociation(node);
+    }
+    else if (isFormElement(node)) {
+        resetFormOwnersByAttribute();
+    }
 });
 
 $dom.registerAdoptingSteps(function (node, oldDocument, newDocument) {
@@ -64,6 +115,17 @@ $dom.registerAdoptingSteps(function (node, oldDocument, newDocument) {
 });
 
 $dom.registerCloningSteps(function (node) {
+    // Copies made by a scoped importNode belong to its registry.
+    const installation = getPrivateState(window);
+    if (installation && installation.cloningRegistry && node.nodeType === Node.ELEMENT_NODE) {
+        setElementRegistry(node, installation.cloningRegistry);
+    }
+    // Custom states belong to the element, not to its copies.
+    if (node.nodeType === Node.ELEMENT_NODE && elementHasAttributeDescriptor.value.call(node, ATTR_STATE)) {
+        $mo.withoutNativeRecords(() => {
+            elementRemoveAttributeDescriptor.value.call(node, ATTR_STATE);
+        });
+    }
     tryToUpgradeElement(node);
 });
 
@@ -72,6 +134,26 @@ $dom.registerAttributeChangeSteps(function (element, localName, oldValue, newVal
         const args = [localName, oldValue, newValue, nameSpace];
         enqueueCallbackReaction(element, CE_CALLBACK_ATTRIBUTE_CHANGED, args);
     }
+    if (nameSpace != null) {
+        return;
+    }
+    if (isFormAssociated(element)) {
+        if (localName === ATTR_FORM) {
+            resetTheFormOwner(element);
+        }
+        else if (localName === ATTR_DISABLED) {
+            updateDisabledState(element);
+        }
+    }
+    else if (localName === ATTR_DISABLED && element.localName === TAG_FIELDSET) {
+        const elements = formAssociatedElements();
+        for (let i = 0; i < elements.length; i++) {
+            updateDisabledState(elements[i]);
+        }
+    }
+    else if (localName === ATTR_ID && isFormElement(element)) {
+        resetFormOwnersByAttribute();
+    }
 });
 
 // Installation/uninstallation
@@ -83,6 +165,21 @@ function install() {
     installation.originalCreateElementNS = Document.prototype.createElementNS;
     installation.builtInElementInterfaces = installHtmlConstructors();
     installation.registry = new CustomElementRegistry();
+    // The definitions of each constructor, from whichever registries define it.
+    installation.definitionsByConstructor = new WeakMap();
+    installation.cloningRegistry = null;
+    installation.originalRegistryConstructor = window.CustomElementRegistry;
+    // Opt-in: mirror whether elements are defined into an attribute
+    // so that style sheets using :defined can be rewritten to match it.
+    installation.emulateDefinedPseudoClass = window['emulateDefinedPseudoClass'] === true;
+
+    if (installation.emulateDefinedPseudoClass) {
+        $dom.registerInternalAttribute(ATTR_UNDEFINED);
+    }
+
+    // Custom states are always mirrored into an attribute,
+    // so that :state() in style sheets can be rewritten to match it.
+    $dom.registerInternalAttribute(ATTR_STATE);
 
     Object.defineProperty(window, CE_PROP_NAME, {
         value: installation.registry,
@@ -91,6 +188,8 @@ function install() {
         enumerable: true
     });
 
+    window.CustomElementRegistry = CustomElementRegistry;
+
     Document.prototype.createElement = createElement;
     Document.prototype.createElementNS = createElementNS;
 
@@ -104,6 +203,8 @@ function install() {
     installation.customElementsReactionStack = [];
     installation.backupElementQueue = [];
     installation.processingBackupElementQueue = false;
+    // Connected form-associated custom elements, in no particular order.
+    installation.formAssociatedElements = [];
 
     setPrivateState(window, installation);
 }
@@ -119,6 +220,8 @@ function uninstall() {
 
     delete window[CE_PROP_NAME];
 
+    window.CustomElementRegistry = installation.originalRegistryConstructor;
+
     Document.prototype.createElement = installation.originalCreateElement;
     Document.prototype.createElementNS = installation.originalCreateElementNS;
 
@@ -205,24 +308,15 @@ function makeHtmlConstructor() {
     return function htmlConstructor() {
         const thisPrototype = Object.getPrototypeOf(this);
 
-        // 1. Let registry...
-        const registry = window[CE_PROP_NAME];
-        const registryState = getPrivateState(registry);
-
         // 2. If NewTarget...
         if (thisPrototype.constructor === htmlConstructor) {
             throw new TypeError('Illegal constructor');
         }
 
+        // 1. Let registry...
         // 3. Let definition...
-        let definition;
-        for (let i = 0; i < registryState.definitions.length; i++) {
-            const current = registryState.definitions[i];
-            if (current.constructor === thisPrototype.constructor) {
-                definition = current;
-                break;
-            }
-        }
+        // Scoped registries are looked through as well as the global one.
+        const definition = lookupCustomElementDefinitionByConstructor(thisPrototype.constructor);
         if (!definition) {
             throw new TypeError();
         }
@@ -274,14 +368,20 @@ function performInitialUpgrades() {
     const elements = [];
     $dom.forEachShadowIncludingInclusiveDescendant(window.document, elements.push.bind(elements));
     elements.forEach(tryToUpgradeElementSync);
+    elements.forEach(function (node) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            updateDefinedStateAttribute(node);
+        }
+    });
 }
 
 // DOM element creation
 
-function createAnElement(document, qualifiedOrLocalName, nameSpace, prefix, is, synchronousCustomElements) {
+function createAnElement(document, qualifiedOrLocalName, nameSpace, prefix, is, synchronousCustomElements, registry) {
     is = is || null;
+    registry = registry || null;
     let result = null;
-    let definition = lookupCustomElementDefinition(document, nameSpace, qualifiedOrLocalName, is);
+    let definition = lookupCustomElementDefinition(document, nameSpace, qualifiedOrLocalName, is, registry);
     if (definition && definition.name != definition.localName) {
         result = getPrivateState(window).originalCreateElement.call(document, qualifiedOrLocalName);
         setPrivateState(result, {
@@ -336,32 +436,57 @@ function createAnElement(document, qualifiedOrLocalName, nameSpace, prefix, is,
         // PERF: forgo setting the custom element state to CE_STATE_UNDEFINED in order
         // to avoid unnecessary allocation.
     }
+    if (registry) {
+        setElementRegistry(result, registry);
+    }
     return result;
 }
 
 function createElement(localName, options) {
+    return createElementInRegistry(this, localName, options, null);
+}
+
+function createElementNS(nameSpace, qualifiedName, options) {
+    return createElementNSInRegistry(this, nameSpace, qualifiedName, options, null);
+}
+
+function createElementInRegistry(document, localName, options, registry) {
     let nameSpace = null;
     //if (this instanceof HTMLDocument) {
     localName = localName.toLowerCase();
     nameSpace = htmlNamespace;
     //}
     let is = options ? (options.is || null) : null;
-    const element = createAnElement(this, localName, nameSpace, null, is, true);
+    const element = createAnElement(document, localName, nameSpace, null, is, true, registry);
     if (is != null) {
         element.setAttribute(ATTR_IS_NAME, is);
     }
     return element;
 }
 
-function createElementNS(nameSpace, qualifiedName, options) {
+function createElementNSInRegistry(document, nameSpace, qualifiedName, options, registry) {
     let is = options ? (options.is || null) : null;
-    const element = createAnElement(this, qualifiedName, nameSpace, null, is, true);
+    const element = createAnElement(document, qualifiedName, nameSpace, null, is, true, registry);
     if (is != null) {
         element.setAttribute(ATTR_IS_NAME, is);
     }
     return element;
 }
 
+function cloneInRegistry(node, document, cloneChildren, registry) {
+    // The copies are upgraded once the caller's [CEReactions] scope ends,
+    // by which point they already know which registry they belong to.
+    const installation = getPrivateState(window);
+    const previousRegistry = installation.cloningRegistry;
+    installation.cloningRegistry = registry;
+    try {
+        return $dom.clone(node, document, cloneChildren);
+    }
+    finally {
+        installation.cloningRegistry = previousRegistry;
+    }
+}
+
 // Custom Element spec
 
 function isCustom(node) {
@@ -375,6 +500,243 @@ function isCustom(node) {
     return nodeState.customElementState === CE_STATE_CUSTOM;
 }
 
+function isDefined(element) {
+    // https://dom.spec.whatwg.org/#concept-element-defined
+    const elementState = getPrivateState(element);
+    if (elementState && elementState.customElementState) {
+        return elementState.customElementState === CE_STATE_CUSTOM;
+    }
+    // Elements that were never created through a definition are
+    // undefined if they could have been custom elements.
+    return element.namespaceURI !== htmlNamespace || !isValidCustomElementName(element.localName);
+}
+
+function definedStateAttribute() {
+    // The attribute carried by elements that are not defined, or
+    // null when we have not been asked to emulate :defined in styles.
+    const installation = getPrivateState(window);
+    return installation && installation.emulateDefinedPseudoClass ? ATTR_UNDEFINED : null;
+}
+
+function updateDefinedStateAttribute(element) {
+    if (!definedStateAttribute()) {
+        return;
+    }
+    const defined = isDefined(element);
+    if (defined === !elementHasAttributeDescriptor.value.call(element, ATTR_UNDEFINED)) {
+        return;
+    }
+    $mo.withoutNativeRecords(() => {
+        if (defined) {
+            elementRemoveAttributeDescriptor.value.call(element, ATTR_UNDEFINED);
+        }
+        else {
+            elementSetAttributeDescriptor.value.call(element, ATTR_UNDEFINED, '');
+        }
+    });
+}
+
+function customStateAttribute() {
+    // The attribute that lists an element's custom states, or
+    // null when the polyfill is not installed.
+    return getPrivateState(window) ? ATTR_STATE : null;
+}
+
+function customStates(element) {
+    const elementState = getPrivateState(element);
+    return elementState != null && elementState.customStates != null ? elementState.customStates.slice() : [];
+}
+
+function hasCustomState(element, state) {
+    // https://html.spec.whatwg.org/multipage/semantics-other.html#selector-custom
+    const elementState = getPrivateState(element);
+    return elementState != null && elementState.customStates != null && elementState.customStates.indexOf(state) !== -1;
+}
+
+function setCustomStates(element, states) {
+    // https://html.spec.whatwg.org/multipage/custom-elements.html#custom-state-pseudo-class
+    const elementState = getPrivateState(element);
+    elementState.customStates = states.slice();
+    $mo.withoutNativeRecords(() => {
+        if (states.length) {
+            elementSetAttributeDescriptor.value.call(element, ATTR_STATE, states.join(' '));
+        }
+        else {
+            elementRemoveAttributeDescriptor.value.call(element, ATTR_STATE);
+        }
+    });
+}
+
+function attachInternals(element, internals) {
+    // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-attachinternals
+    const elementState = getPrivateState(element);
+
+    // 1. If this's is value is not null, then throw a "NotSupportedError" DOMException.
+    if (elementState && elementState.isValue != null) {
+        throw $utils.makeDOMException('NotSupportedError');
+    }
+
+    // 2. Let definition be the result of looking up a custom element definition given this's
+    // node document, its namespace, its local name, and null as the is value.
+    const definition = lookupCustomElementDefinition(element.ownerDocument, element.namespaceURI, element.localName, null, registryOf(element));
+
+    // 3. If definition is null, then throw an "NotSupportedError" DOMException.
+    if (!definition) {
+        throw $utils.makeDOMException('NotSupportedError');
+    }
+
+    // 4. If definition's disable internals is true, then throw a "NotSupportedError" DOMException.
+    if (definition.disableInternals) {
+        throw $utils.makeDOMException('NotSupportedError');
+    }
+
+    // 5. If this's attached internals is non-null, then throw an "NotSupportedError" DOMException.
+    if (elementState && elementState.attachedInternals) {
+        throw $utils.makeDOMException('NotSupportedError');
+    }
+
+    // 6. If this's custom element state is not "precustomized" or "custom", then throw a
+    // "NotSupportedError" DOMException.
+    if (!elementState ||
+        elementState.customElementState !== CE_STATE_PRECUSTOMIZED &&
+        elementState.customElementState !== CE_STATE_CUSTOM) {
+        throw $utils.makeDOMException('NotSupportedError');
+    }
+
+    // 7. Set this's attached internals to a new ElementInternals instance whose target element is this.
+    elementState.attachedInternals = internals;
+}
+
+function attachedInternals(element) {
+    const elementState = getPrivateState(element);
+    return elementState && elementState.attachedInternals || null;
+}
+
+// https://html.spec.whatwg.org/multipage/custom-elements.html#form-associated-custom-elements
+
+function isFormAssociated(node) {
+    return isCustom(node) && getPrivateState(node).customElementDefinition.formAssociated === true;
+}
+
+function formOwner(element) {
+    const elementState = getPrivateState(element);
+    return elementState && elementState.formOwner || null;
+}
+
+function formAssociatedElements() {
+    const installation = getPrivateState(window);
+    return installation ? installation.formAssociatedElements.slice() : [];
+}
+
+function updateFormAssociation(element) {
+    const installation = getPrivateState(window);
+    if (installation) {
+        const elements = installation.formAssociatedElements;
+        const index = elements.indexOf(element);
+        if (element.isConnected && index === -1) {
+            elements.push(element);
+        }
+        else if (!element.isConnected && index !== -1) {
+            elements.splice(index, 1);
+        }
+    }
+    resetTheFormOwner(element);
+    updateDisabledState(element);
+}
+
+function resetTheFormOwner(element) {
+    // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#reset-the-form-owner
+    const elementState = getPrivateState(element);
+    const oldFormOwner = elementState.formOwner || null;
+    let newFormOwner = null;
+    if (element.hasAttribute(ATTR_FORM)) {
+        // If element is reassociateable, has a form content attribute, and is connected, then:
+        // if the first element in element's tree, in tree order, to have an ID that is identical
+        // to element's form content attribute's value, is a form element, then associate the
+        // element with that form element.
+        if (element.isConnected) {
+            const candidate = $dom.root(element).getElementById(element.getAttribute(ATTR_FORM));
+            if (candidate && isFormElement(candidate)) {
+                newFormOwner = candidate;
+            }
+        }
+    }
+    else {
+        // Otherwise, if element has an ancestor form element, then associate element with
+        // the nearest such ancestor form element.
+        let ancestor = element.parentNode;
+        while (ancestor && ancestor.nodeType === Node.ELEMENT_NODE) {
+            if (isFormElement(ancestor)) {
+                newFormOwner = ancestor;
+                break;
+            }
+            ancestor = ancestor.parentNode;
+        }
+    }
+    if (newFormOwner !== oldFormOwner) {
+        elementState.formOwner = newFormOwner;
+        enqueueCallbackReaction(element, CE_CALLBACK_FORM_ASSOCIATED, [newFormOwner]);
+    }
+}
+
+function resetFormOwnersByAttribute() {
+    // Elements that name their form by ID may have a new one when forms come and go.
+    const elements = formAssociatedElements();
+    for (let i = 0; i < elements.length; i++) {
+        if (elements[i].hasAttribute(ATTR_FORM)) {
+            resetTheFormOwner(elements[i]);
+        }
+    }
+}
+
+function isDisabled(element) {
+    // https://html.spec.whatwg.org/multipage/custom-elements.html#face-disabled
+    if (element.hasAttribute(ATTR_DISABLED)) {
+        return true;
+    }
+    // https://html.spec.whatwg.org/multipage/form-elements.html#concept-fieldset-disabled
+    let child = element;
+    let ancestor = element.parentNode;
+    while (ancestor && ancestor.nodeType === Node.ELEMENT_NODE) {
+        if (ancestor.localName === TAG_FIELDSET && ancestor.hasAttribute(ATTR_DISABLED)) {
+            // Descendants of the fieldset's first legend are not disabled by it.
+            let firstLegend = ancestor.firstElementChild;
+            while (firstLegend && firstLegend.localName !== TAG_LEGEND) {
+                firstLegend = firstLegend.nextElementSibling;
+            }
+            if (child !== firstLegend) {
+                return true;
+            }
+        }
+        child = ancestor;
+        ancestor = ancestor.parentNode;
+    }
+    return false;
+}
+
+function updateDisabledState(element) {
+    const elementState = getPrivateState(element);
+    const disabled = isDisabled(element);
+    if (disabled !== (elementState.disabled === true)) {
+        elementState.disabled = disabled;
+        enqueueCallbackReaction(element, CE_CALLBACK_FORM_DISABLED, [disabled]);
+    }
+}
+
+function resetFormAssociatedElements(form) {
+    // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#concept-form-reset
+    const elements = formAssociatedElements();
+    for (let i = 0; i < elements.length; i++) {
+        if (formOwner(elements[i]) === form) {
+            enqueueCallbackReaction(elements[i], CE_CALLBACK_FORM_RESET, []);
+        }
+    }
+}
+
+function isFormElement(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.localName === TAG_FORM && node.namespaceURI === htmlNamespace;
+}
+
 function isValidCustomElementName(localName) {
     // https://html.spec.whatwg.org/multipage/scripting.html#valid-custom-element-name
     switch (localName) {
@@ -467,14 +829,27 @@ function isValidCustomElementName(localName) {
     return foundHyphen;
 }
 
-function lookupCustomElementDefinition(document, nameSpace, localName, is) {
+function lookupCustomElementDefinition(document, nameSpace, localName, is, registry) {
+    // https://html.spec.whatwg.org/multipage/custom-elements.html#look-up-a-custom-element-definition
     if (nameSpace !== htmlNamespace) {
         return null;
     }
     if (!document.defaultView) {
         return null;
     }
-    const registry = document.defaultView.customElements;
+    // A scoped registry falls back to the global one for
+    // names that it does not define itself.
+    const globalRegistry = document.defaultView.customElements;
+    if (registry && registry !== globalRegistry) {
+        const definition = lookupDefinitionInRegistry(registry, localName, is);
+        if (definition) {
+            return definition;
+        }
+    }
+    return lookupDefinitionInRegistry(globalRegistry, localName, is);
+}
+
+function lookupDefinitionInRegistry(registry, localName, is) {
     const privateState = getPrivateState(registry);
     for (let i = 0; i < privateState.definitions.length; i++) {
         const definition = privateState.definitions[i];
@@ -487,6 +862,45 @@ function lookupCustomElementDefinition(document, nameSpace, localName, is) {
     return null;
 }
 
+function lookupCustomElementDefinitionByConstructor(constructor) {
+    // The same constructor may be defined in more than one registry, in which
+    // case the definition an element is being upgraded with is the one we want.
+    const definitions = getPrivateState(window).definitionsByConstructor.get(constructor);
+    if (!definitions) {
+        return null;
+    }
+    for (let i = 0; i < definitions.length; i++) {
+        if (definitions[i].constructionStack.length) {
+            return definitions[i];
+        }
+    }
+    return definitions[0];
+}
+
+function registryOf(element) {
+    // https://wicg.github.io/webcomponents/proposals/Scoped-Custom-Element-Registries
+    // Elements created by a scoped registry keep it. Any other element
+    // uses the registry of the shadow root it is in, if it has one.
+    const elementState = getPrivateState(element);
+    if (elementState && elementState.registry) {
+        return elementState.registry;
+    }
+    const rootNode = $dom.root(element);
+    if ($dom.isShadowRoot(rootNode)) {
+        return $utils.getShadowState(rootNode).registry || null;
+    }
+    return null;
+}
+
+function setElementRegistry(element, registry) {
+    const elementState = getPrivateState(element) || setPrivateState(element, {});
+    elementState.registry = registry;
+}
+
+function isRegistry(object) {
+    return object instanceof CustomElementRegistry && getPrivateState(object) != null;
+}
+
 function CustomElementRegistry() {
     setPrivateState(this, {
         definitions: [],
@@ -498,55 +912,116 @@ function CustomElementRegistry() {
 CustomElementRegistry.prototype = {
 
     define(name, constructor, options) {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-customelementregistry-define
         executeCEReactions(() => {
             const privateState = getPrivateState(this);
-            if (constructor !== constructor.prototype.constructor) {
+            // 1. If IsConstructor(constructor) is false, then throw a TypeError.
+            if (typeof constructor !== 'function') {
                 throw new TypeError('The passed argument must be a constructor');
             }
+            // 2. If name is not a valid custom element name, then throw a "SyntaxError" DOMException.
+            name = String(name);
             if (!isValidCustomElementName(name)) {
-                throw $utils.makeDOMException('SyntaxError');
+                throw $utils.makeDOMException('SyntaxError', `'${name}' is not a valid custom element name`);
             }
-            // TODO: check for already defined name
-            // TODO: check for already defined constructor
+            // 3. If this's custom element definition set contains an item with name name,
+            // then throw a "NotSupportedError" DOMException.
+            // 4. If this's custom element definition set contains an item with constructor
+            // constructor, then throw a "NotSupportedError" DOMException.
+            for (let i = 0; i < privateState.definitions.length; i++) {
+                const definition = privateState.definitions[i];
+                if (definition.name === name) {
+                    throw $utils.makeDOMException('NotSupportedError', `'${name}' has already been defined`);
+                }
+                if (definition.constructor === constructor) {
+                    throw $utils.makeDOMException('NotSupportedError', `This constructor has already been defined as '${definition.name}'`);
+                }
+            }
+            // 5. Let localName be name.
             let localName = name;
-            let extensionOf = options ? options.extends : null;
+            // 6. Let extends be options["extends"] if it exists; otherwise null.
+            let extensionOf = options && options.extends !== undefined ? String(options.extends) : null;
             let htmlConstructor = window.HTMLElement;
+            // 7. If extends is not null, then:
             if (extensionOf != null) {
+                // 1. If extends is a valid custom element name, then throw a "NotSupportedError" DOMException.
                 if (isValidCustomElementName(extensionOf)) {
-                    throw $utils.makeDOMException('NotSupportedError');
+                    throw $utils.makeDOMException('NotSupportedError', 'A custom element cannot extend another custom element');
+                }
+                // 2. If the element interface for extends and the HTML namespace is HTMLUnknownElement
+                // (e.g., if extends does not indicate an element definition in this specification),
+                // then throw a "NotSupportedError" DOMException.
+                const extendedElement = getPrivateState(window).originalCreateElement.call(window.document, extensionOf);
+                if (extendedElement instanceof HTMLUnknownElement) {
+                    throw $utils.makeDOMException('NotSupportedError', `'${extensionOf}' is not a built-in element that can be extended`);
                 }
-                // TODO: check for HTMLUnknownElement
+                // 3. Set localName to extends.
                 localName = extensionOf;
-                htmlConstructor = Object.getPrototypeOf(testElement).constructor;
+                htmlConstructor = Object.getPrototypeOf(extendedElement).constructor;
             }
+            // 8. If this's element definition is running is true, then throw a "NotSupportedError" DOMException.
             if (privateState.elementDefinitionIsRunning) {
-                throw $utils.makeDOMException('NotSupportedError');
+                throw $utils.makeDOMException('NotSupportedError', 'Custom elements cannot be defined while another definition is being read');
             }
+            // 9. Set this's element definition is running to true.
             privateState.elementDefinitionIsRunning = true;
+            // 10. Let formAssociated be false... Let observedAttributes be an empty sequence<DOMString>.
             let caught = null;
             let observedAttributes = [];
+            let disabledFeatures = [];
+            let formAssociated = false;
             let lifecycleCallbacks;
             let nativeInterface;
+            // 11. Run the following steps while catching any exceptions:
             try {
+                // 1. Let prototype be ? Get(constructor, "prototype").
                 const prototype = constructor.prototype;
-                if (!(prototype instanceof Object)) {
-                    throw new TypeError('Invalid prototype');
+                // 2. If prototype is not an Object, then throw a TypeError exception.
+                if (prototype === null || (typeof prototype !== 'object' && typeof prototype !== 'function')) {
+                    throw new TypeError('The constructor\'s prototype must be an object');
+                }
+                // The polyfilled HTMLElement constructor finds its definition through
+                // the prototype, so this is one thing we have to be stricter about.
+                if (prototype.constructor !== constructor) {
+                    throw new TypeError('The constructor\'s prototype must refer back to the constructor');
                 }
+                // 3. Let lifecycleCallbacks be an ordered map...
+                // 4. For each key callbackName of lifecycleCallbacks, in order:
+                // Each callback is read from the prototype once, and only here.
                 lifecycleCallbacks = {};
                 lifecycleCallbacks[CE_CALLBACK_CONNECTED] = getCallback(prototype, CE_CALLBACK_CONNECTED);
                 lifecycleCallbacks[CE_CALLBACK_DISCONNECTED] = getCallback(prototype, CE_CALLBACK_DISCONNECTED);
                 lifecycleCallbacks[CE_CALLBACK_ADOPTED] = getCallback(prototype, CE_CALLBACK_ADOPTED);
                 lifecycleCallbacks[CE_CALLBACK_ATTRIBUTE_CHANGED] = getCallback(prototype, CE_CALLBACK_ATTRIBUTE_CHANGED);
+                // 5. If lifecycleCallbacks["attributeChangedCallback"] is not null, then:
                 if (lifecycleCallbacks[CE_CALLBACK_ATTRIBUTE_CHANGED]) {
                     const observedAttributesIterable = constructor.observedAttributes;
-                    if (observedAttributesIterable) {
-                        observedAttributes = observedAttributesIterable.slice();
+                    if (observedAttributesIterable !== undefined) {
+                        observedAttributes = convertToSequenceOfStrings(observedAttributesIterable, 'observedAttributes');
                     }
                 }
+                // 6. Let disabledFeatures be an empty sequence<DOMString>...
+                const disabledFeaturesIterable = constructor.disabledFeatures;
+                if (disabledFeaturesIterable !== undefined) {
+                    disabledFeatures = convertToSequenceOfStrings(disabledFeaturesIterable, 'disabledFeatures');
+                }
+                // 9. Let formAssociatedValue be ? Get(constructor, "formAssociated").
+                // 10. Set formAssociated to the result of converting formAssociatedValue to a boolean.
+                formAssociated = Boolean(constructor.formAssociated);
+                // 11. If formAssociated is true, for each callbackName of « "formAssociatedCallback",
+                // "formResetCallback", "formDisabledCallback", "formStateRestoreCallback" »...
+                if (formAssociated) {
+                    lifecycleCallbacks[CE_CALLBACK_FORM_ASSOCIATED] = getCallback(prototype, CE_CALLBACK_FORM_ASSOCIATED);
+                    lifecycleCallbacks[CE_CALLBACK_FORM_RESET] = getCallback(prototype, CE_CALLBACK_FORM_RESET);
+                    lifecycleCallbacks[CE_CALLBACK_FORM_DISABLED] = getCallback(prototype, CE_CALLBACK_FORM_DISABLED);
+                    lifecycleCallbacks[CE_CALLBACK_FORM_STATE_RESTORE] = getCallback(prototype, CE_CALLBACK_FORM_STATE_RESTORE);
+                }
             }
             catch (error) {
                 caught = error;
             }
+            // Then, regardless of whether the above steps threw an exception or not:
+            // set this's element definition is running to false.
             privateState.elementDefinitionIsRunning = false;
             if (caught) {
                 throw caught;
@@ -557,10 +1032,21 @@ CustomElementRegistry.prototype = {
                 constructor: constructor,
                 observedAttributes,
                 lifecycleCallbacks,
+                formAssociated,
+                disableInternals: disabledFeatures.indexOf(CE_FEATURE_INTERNALS) !== -1,
+                disableShadow: disabledFeatures.indexOf(CE_FEATURE_SHADOW) !== -1,
                 constructionStack: [],
                 htmlConstructor
             };
             privateState.definitions.push(definition);
+            const definitionsByConstructor = getPrivateState(window).definitionsByConstructor;
+            const constructorDefinitions = definitionsByConstructor.get(constructor);
+            if (constructorDefinitions) {
+                constructorDefinitions.push(definition);
+            }
+            else {
+                definitionsByConstructor.set(constructor, [definition]);
+            }
             const document = window.document;
             // This needs to be here because in some cases,
             // an async script can interrupt the parser
@@ -573,12 +1059,16 @@ CustomElementRegistry.prototype = {
                     if (node.nodeType === Node.ELEMENT_NODE &&
                         node.namespaceURI === htmlNamespace &&
                         node.localName === localName) {
-                        if (extensionOf) {
-                            const nodeState = getPrivateState(node);
-                            // TODO: test upgrades to existing extended built-in custom elements
-                            if (nodeState.isValue !== extensionOf) {
-                                return;
-                            }
+                        const nodeState = getPrivateState(node);
+                        if (shouldNotUpgrade(nodeState)) {
+                            return;
+                        }
+                        // Elements that belong to another registry (or whose scoped
+                        // registry defines the name itself) are left alone.
+                        // TODO: test upgrades to existing extended built-in custom elements
+                        const isValue = nodeState ? nodeState.isValue : null;
+                        if (lookupCustomElementDefinition(document, htmlNamespace, localName, isValue, registryOf(node)) !== definition) {
+                            return;
                         }
                         enqueueUpgradeReaction(node, definition);
                     }
@@ -605,6 +1095,45 @@ CustomElementRegistry.prototype = {
         return undefined;
     },
 
+    getName(constructor) {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-customelementregistry-getname
+        const privateState = getPrivateState(this);
+        for (let i = 0; i < privateState.definitions.length; i++) {
+            const definition = privateState.definitions[i];
+            if (definition.constructor === constructor) {
+                return definition.name;
+            }
+        }
+        return null;
+    },
+
+    upgrade(root) {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-customelementregistry-upgrade
+        if (!(root instanceof Node)) {
+            throw new TypeError('The passed argument must be a Node');
+        }
+        executeCEReactions(() => {
+            // 1. Let candidates be a list of all of root's shadow-including inclusive descendant
+            // elements, in shadow-including tree order.
+            const candidates = [];
+            $dom.forEachShadowIncludingInclusiveDescendant(root, function (node) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    candidates.push(node);
+                }
+            });
+            // 2. For each candidate of candidates, try to upgrade candidate.
+            // The callbacks enqueued while upgrading run when this [CEReactions] scope ends.
+            for (let i = 0; i < candidates.length; i++) {
+                try {
+                    tryToUpgradeElementSync(candidates[i]);
+                }
+                catch (error) {
+                    $utils.reportError(error);
+                }
+            }
+        });
+    },
+
     whenDefined(name) {
         if (!promisesSupported) {
             throw new Error('Please include a promise polyfill.');
@@ -644,6 +1173,9 @@ function upgradeElement(element, definition) {
     else if (shouldNotUpgrade(elementState)) {
         return;
     }
+    else if (!elementState.reactionQueue) {
+        elementState.reactionQueue = [];
+    }
     const attributes = element.attributes;
     for (var i = 0; i < attributes.length; i++) {
         const attribute = attributes[i];
@@ -654,6 +1186,7 @@ function upgradeElement(element, definition) {
     if (element.isConnected) {
         enqueueCallbackReaction(element, CE_CALLBACK_CONNECTED, []);
     }
+    elementState.customElementState = CE_STATE_PRECUSTOMIZED;
     definition.constructionStack.push(element);
     let caught = null;
     try {
@@ -674,6 +1207,10 @@ function upgradeElement(element, definition) {
         throw caught;
     }
     elementState.customElementState = CE_STATE_CUSTOM;
+    updateDefinedStateAttribute(element);
+    if (definition.formAssociated) {
+        updateFormAssociation(element);
+    }
 }
 
 function tryToUpgradeElementSync(element) {
@@ -685,7 +1222,7 @@ function tryToUpgradeElementSync(element) {
         }
         isValue = elementState.isValue;
     }
-    const definition = lookupCustomElementDefinition(element.ownerDocument, element.namespaceURI, element.localName, isValue);
+    const definition = lookupCustomElementDefinition(element.ownerDocument, element.namespaceURI, element.localName, isValue, registryOf(element));
     if (definition) {
         upgradeElement(element, definition);
     }
@@ -700,7 +1237,7 @@ function tryToUpgradeElement(element) {
         }
         isValue = elementState.isValue;
     }
-    const definition = lookupCustomElementDefinition(element.ownerDocument, element.namespaceURI, element.localName, isValue);
+    const definition = lookupCustomElementDefinition(element.ownerDocument, element.namespaceURI, element.localName, isValue, registryOf(element));
     if (definition) {
         enqueueUpgradeReaction(element, definition);
     }
@@ -761,6 +1298,9 @@ function enqueueCallbackReaction(element, callbackName, args) {
 function enqueueUpgradeReaction(element, definition) {
     // https://html.spec.whatwg.org/multipage/scripting.html#enqueue-a-custom-element-upgrade-reaction
     const elementState = getPrivateState(element) || setPrivateState(element, { reactionQueue: [] });
+    if (!elementState.reactionQueue) {
+        elementState.reactionQueue = [];
+    }
     elementState.customElementDefinition = definition;
     elementState.reactionQueue.push({ type: upgradeReactionType, definition });
     enqueueElementOnAppropriateElementQueue(element);
@@ -812,11 +1352,40 @@ function shouldNotUpgrade(privateState) {
 }
 
 function getCallback(prototype, callbackName) {
+    // https://webidl.spec.whatwg.org/#es-callback-function
     const callback = prototype[callbackName];
-    if (callback && typeof callback === 'function') {
-        return callback;
+    if (callback === undefined) {
+        return null;
     }
-    return null;
+    if (typeof callback !== 'function') {
+        throw new TypeError(`${callbackName} must be a function`);
+    }
+    return callback;
+}
+
+function convertToSequenceOfStrings(iterable, propertyName) {
+    // https://webidl.spec.whatwg.org/#es-sequence
+    if (iterable === null || (typeof iterable !== 'object' && typeof iterable !== 'function')) {
+        throw new TypeError(`${propertyName} must be an iterable object`);
+    }
+    const result = [];
+    if (typeof Symbol !== 'function' || !Symbol.iterator) {
+        // Without iterators, arrays and array-likes are all there is.
+        for (let i = 0; i < iterable.length; i++) {
+            result.push(String(iterable[i]));
+        }
+        return result;
+    }
+    const method = iterable[Symbol.iterator];
+    if (typeof method !== 'function') {
+        throw new TypeError(`${propertyName} must be an iterable object`);
+    }
+    const iterator = method.call(iterable);
+    let next;
+    while (!(next = iterator.next()).done) {
+        result.push(String(next.value));
+    }
+    return result;
 }
 
 function getPrivateState(object) {
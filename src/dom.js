@@ -3,11 +3,15 @@ import $mo from './mutation-observers.js';
 
 export default {
 
+    registerPreInsertingSteps,
     registerInsertingSteps,
+    registerPreRemovingSteps,
     registerRemovingSteps,
     registerAdoptingSteps,
     registerCloningSteps,
     registerAttributeChangeSteps,
+    registerSlotRenderingSteps,
+    registerInternalAttribute,
 
     forEachShadowIncludingInclusiveDescendant,
     treeOrderRecursiveSelectAll,
@@ -15,7 +19,9 @@ export default {
     isShadowRoot,
 
     parseHTMLFragment,
+    replaceAllWithHTML,
     serializeHTMLFragment,
+    attachDeclarativeShadowRoots,
 
     root,
 
@@ -46,7 +52,11 @@ export default {
     setExistingAttributeValue,
 
     findFlattenedSlotables,
+    fallbackNodes,
+    isShowingFallback,
+    assignSlotablesManually,
 
+    ensurePreInsertionValidity,
     preInsert,
     insert,
     append,
@@ -57,16 +67,32 @@ export default {
 
 };
 
+const preInsertingSteps = [];
 const insertingSteps = [];
+const preRemovingSteps = [];
 const removingSteps = [];
 const adoptingSteps = [];
 const cloningSteps = [];
 const attributeChangeSteps = [];
+const slotRenderingSteps = [];
+const internalAttributes = [];
+
+// Pre-inserting steps run before nodes are inserted into a parent
+// before a child, with the number of nodes being inserted.
+function registerPreInsertingSteps(steps) {
+    preInsertingSteps.push(steps);
+}
 
 function registerInsertingSteps(steps) {
     insertingSteps.push(steps);
 }
 
+// Pre-removing steps run before a node is removed from its parent,
+// while it can still be found in the tree.
+function registerPreRemovingSteps(steps) {
+    preRemovingSteps.push(steps);
+}
+
 function registerRemovingSteps(steps) {
     removingSteps.push(steps);
 }
@@ -83,18 +109,38 @@ function registerAttributeChangeSteps(steps) {
     attributeChangeSteps.push(steps);
 }
 
+// Slot rendering steps run whenever the nodes a slot renders (its assigned
+// nodes or, without any, its fallback content) have been swapped out.
+function registerSlotRenderingSteps(steps) {
+    slotRenderingSteps.push(steps);
+}
+
+// Internal attributes are set by the polyfill itself (for instance, to scope 
+// styles within shadow trees) and are left out of serialized markup.
+function registerInternalAttribute(name) {
+    internalAttributes.push(name);
+}
+
+const documentImportNodeDescriptor = $utils.descriptor(Document, 'importNode');
 const elementRemoveAttributeNSDescriptor = $utils.descriptor(Element, 'removeAttributeNS');
 const elementSetAttributeDescriptor = $utils.descriptor(Element, 'setAttribute');
 const elementSetAttributeNSDescriptor = $utils.descriptor(Element, 'setAttributeNS');
 const namedNodeMapSetNamedItemNSDescriptor = $utils.descriptor(NamedNodeMap, 'setNamedItemNS');
 const nodeAppendChildDescriptor = $utils.descriptor(Node, 'appendChild');
 const nodeCloneNodeDescriptor = $utils.descriptor(Node, 'cloneNode');
+const nodeFirstChildDescriptor = $utils.descriptor(Node, 'firstChild');
 const nodeInsertBeforeDescriptor = $utils.descriptor(Node, 'insertBefore');
+const nodeNextSiblingDescriptor = $utils.descriptor(Node, 'nextSibling');
+const nodeParentNodeDescriptor = $utils.descriptor(Node, 'parentNode');
 const nodeRemoveChildDescriptor = $utils.descriptor(Node, 'removeChild');
 
 const attrValueDescriptor = $utils.descriptor(Attr, 'value');
 
 const ATTR_NAME = 'name';
+const ATTR_SHADOW_ROOT_MODE = 'shadowrootmode';
+const ATTR_SHADOW_ROOT_CLONABLE = 'shadowrootclonable';
+const ATTR_SHADOW_ROOT_DELEGATES_FOCUS = 'shadowrootdelegatesfocus';
+const ATTR_SHADOW_ROOT_SERIALIZABLE = 'shadowrootserializable';
 const EMPTY_STRING = '';
 const ERROR_IN_USE_ATTRIBUTE = 'InUseAttributeError';
 const ERROR_HIERARCHY_REQUEST = 'HierarchyRequestError';
@@ -111,7 +157,9 @@ const NS_XLINK = 'http://www.w3.org/1999/xlink';
 const SHADOW_MODE_OPEN = 'open';
 const SHADOW_MODE_CLOSED = 'closed';
 const SHADOW_NODE_NAME = '#shadow-root';
+const SLOT_ASSIGNMENT_MANUAL = 'manual';
 const TAG_SLOT = 'slot';
+const TAG_TEMPLATE = 'template';
 
 function forEachInclusiveDescendant(node, callback) {
     callback(node);
@@ -178,24 +226,118 @@ function isSlotable(node) {
     return node instanceof Element || node instanceof Text;
 }
 
+function inclusiveSlotDescendants(node) {
+    const slots = isSlot(node) ? [node] : [];
+    const firstChild = node.firstChild;
+    if (firstChild) {
+        treeOrderRecursiveSelectAll(firstChild, slots, isSlot);
+    }
+    return slots;
+}
+
+function isManualSlotAssignment(shadowRoot) {
+    return $utils.getShadowState(shadowRoot).slotAssignment === SLOT_ASSIGNMENT_MANUAL;
+}
+
 // https://www.w3.org/TR/DOM-Parsing/
 
 // PERF: This function uses a recycled document fragment 
 // to avoid allocation. Callers must empty the returned fragment.
 const parser = new DOMParser();
 const parsingFragment = document.createDocumentFragment();
-function parseHTMLFragment(markup, context) {
+function parseHTMLFragment(markup, context, allowDeclarativeShadowRoots) {
     // The surrounding body tags are required to preserve all of the original markup (comments, etc.)
     const parsingResult = parser.parseFromString(`<body>${markup}</body>`, 'text/html').body;
     let firstChild;
     while (firstChild = parsingResult.firstChild) {
         nodeAppendChildDescriptor.value.call(parsingFragment, firstChild);
     }
+    if (allowDeclarativeShadowRoots) {
+        attachDeclarativeShadowRoots(parsingFragment);
+    }
     return parsingFragment;
 }
 
-function serializeHTMLFragment(node) {
+function replaceAllWithHTML(markup, context) {
+    // https://w3c.github.io/DOM-Parsing/#dom-element-innerhtml
+    // https://html.spec.whatwg.org/multipage/dynamic-markup-insertion.html#unsafely-set-html
+    const fragment = parseHTMLFragment(markup, context, true);
+    const content = context['content'];
+    replaceAll(fragment, content instanceof DocumentFragment ? content : context);
+}
+
+// https://html.spec.whatwg.org/multipage/parsing.html#parsing-main-inhead
+// (see 'A start tag whose tag name is "template"')
+
+function attachDeclarativeShadowRoots(node) {
+    const firstChild = node.firstChild;
+    if (!firstChild) {
+        return;
+    }
+    // The templates are gathered up front because attaching a shadow root
+    // moves the host's children out of the physical tree.
+    const templates = [];
+    treeOrderRecursiveSelectAll(firstChild, templates, isDeclarativeShadowRootTemplate);
+    for (let i = 0; i < templates.length; i++) {
+        attachDeclarativeShadowRoot(templates[i]);
+    }
+}
+
+function isDeclarativeShadowRootTemplate(node) {
+    return node.localName === TAG_TEMPLATE
+        && node.namespaceURI === NS_HTML
+        && node.hasAttribute(ATTR_SHADOW_ROOT_MODE);
+}
+
+function attachDeclarativeShadowRoot(template) {
+    const host = template.parentNode;
+    if (!host || host.nodeType !== Node.ELEMENT_NODE) {
+        return;
+    }
+
+    const mode = template.getAttribute(ATTR_SHADOW_ROOT_MODE);
+    if (mode !== SHADOW_MODE_OPEN && mode !== SHADOW_MODE_CLOSED) {
+        return;
+    }
+
+    // If the host already has a shadow root, the template is left in place.
+    const hostState = $utils.getShadowState(host);
+    if (hostState && hostState.shadowRoot) {
+        return;
+    }
+
+    // The template itself must not become one of the host's light children.
+    const nextSibling = template.nextSibling;
+    nodeRemoveChildDescriptor.value.call(host, template);
+
+    let shadowRoot;
+    try {
+        shadowRoot = host.attachShadow({
+            mode: mode,
+            delegatesFocus: template.hasAttribute(ATTR_SHADOW_ROOT_DELEGATES_FOCUS),
+            clonable: template.hasAttribute(ATTR_SHADOW_ROOT_CLONABLE),
+            serializable: template.hasAttribute(ATTR_SHADOW_ROOT_SERIALIZABLE)
+        });
+    }
+    catch (error) {
+        nodeInsertBeforeDescriptor.value.call(host, template, nextSibling);
+        $utils.reportError(error);
+        return;
+    }
+
+    // Browsers without <template> support leave the contents as children.
+    const content = template.content || template;
+    const contentChildNodes = Array.prototype.slice.call(content.childNodes);
+    for (let i = 0; i < contentChildNodes.length; i++) {
+        preInsert(contentChildNodes[i], shadowRoot, null);
+    }
+
+    attachDeclarativeShadowRoots(shadowRoot);
+}
+
+function serializeHTMLFragment(node, serializableShadowRoots, shadowRoots) {
     // https://www.w3.org/TR/html5/single-page.html#html-fragment-serialization-algorithm
+    // https://html.spec.whatwg.org/multipage/parsing.html#serialising-html-fragments
 
     // 1. Let s be a string, and initialize it to the empty string.
     let s = EMPTY_STRING;
@@ -209,6 +351,31 @@ function serializeHTMLFragment(node) {
         }
     }
 
+    // If the node is a shadow host whose shadow root is serializable (and serializable 
+    // shadow roots were asked for) or one of the given shadow roots, then serialize the 
+    // shadow root as a declarative shadow root template before the children.
+    const nodeState = $utils.getShadowState(node);
+    const shadowRoot = nodeState ? nodeState.shadowRoot : null;
+    if (shadowRoot) {
+        const shadowState = $utils.getShadowState(shadowRoot);
+        if ((serializableShadowRoots === true && shadowState.serializable) ||
+            (shadowRoots && Array.prototype.indexOf.call(shadowRoots, shadowRoot) !== -1)) {
+            s += '<template ' + ATTR_SHADOW_ROOT_MODE + '="' + shadowState.mode + '"';
+            if (shadowState.delegatesFocus) {
+                s += ' ' + ATTR_SHADOW_ROOT_DELEGATES_FOCUS + '=""';
+            }
+            if (shadowState.serializable) {
+                s += ' ' + ATTR_SHADOW_ROOT_SERIALIZABLE + '=""';
+            }
+            if (shadowState.clonable) {
+                s += ' ' + ATTR_SHADOW_ROOT_CLONABLE + '=""';
+            }
+            s += '>';
+            s += serializeHTMLFragment(shadowRoot, serializableShadowRoots, shadowRoots);
+            s += '</template>';
+        }
+    }
+
     // 3. For each child node of the node, in tree order, run the following steps:
     const childNodes = node.childNodes;
     for (let i = 0; i < childNodes.length; i++) {
@@ -232,6 +399,9 @@ function serializeHTMLFragment(node) {
                 const attributes = currentNode.attributes;
                 for (let j = 0; j < attributes.length; j++) {
                     const attribute = attributes[j];
+                    if (internalAttributes.indexOf(attribute.name) !== -1) {
+                        continue;
+                    }
                     s += ' ' + serializeAttributeName(attribute);
                     s += '="' + escapeString(attribute.value) + '"';
                 }
@@ -251,14 +421,14 @@ function serializeHTMLFragment(node) {
                         }
                         break;
                 }
-                s += serializeHTMLFragment(currentNode);
+                s += serializeHTMLFragment(currentNode, serializableShadowRoots, shadowRoots);
                 s += '</' + tagName + '>';
                 break;
             case Node.TEXT_NODE:
                 switch (currentNode.parentNode.localName) {
                     case 'style': case 'script': case 'xmp': case 'iframe':
                     case 'noembed': case 'noframes': case 'plaintext': case 'noscript':
-                        s += currentNode.data;
+                        s += authoredData(currentNode);
                         break;
                     default:
                         s += escapeString(currentNode.data);
@@ -280,6 +450,16 @@ function serializeHTMLFragment(node) {
     // 4. The result of the algorithm is the string s.
     return s;
 
+    function authoredData(text) {
+        // Text that the polyfill has rewritten (like the contents of a scoped 
+        // <style>) is serialized as it was originally written.
+        const textState = $utils.getShadowState(text);
+        if (textState && textState.renderedData === text.data && textState.authoredData != null) {
+            return textState.authoredData;
+        }
+        return text.data;
+    }
+
     function escapeString(string, attributeMode) {
         if (!string || !string.length) {
             return EMPTY_STRING;
@@ -412,9 +592,13 @@ function clone(node, document, cloneChildren) {
     // as node, and fulfills these additional requirements, switching on node:
     // 4. Set copy’s node document and document to copy, if copy is a document, 
     // and set copy’s node document to document otherwise.
-    const copy = nodeCloneNodeDescriptor.value.call(node, false);
+    // The copy is created in document (which importNode does natively), except for
+    // documents themselves, which can only be cloned and are their own node document.
+    const copy = node.nodeType === Node.DOCUMENT_NODE
+        ? nodeCloneNodeDescriptor.value.call(node, false)
+        : documentImportNodeDescriptor.value.call(document, node, false);
     for (let i = 0; i < cloningSteps.length; i++) {
-        cloningSteps[i](copy);
+        cloningSteps[i](copy, node);
     }
 
     // 5. Run any cloning steps defined for node in other applicable 
@@ -427,7 +611,7 @@ function clone(node, document, cloneChildren) {
     // children flag being set.
     // PERF: Use the native appendChild instead of the simulation DOM append algorithm.
     // This should be okay because no node in the clone tree can possibly have any mutation 
-    // observers or shadow roots yet.
+    // observers yet, and copy does not have a shadow root until the next step.
     if (cloneChildren) {
         const childNodes = node.childNodes;
         const childNodesCount = childNodes.length;
@@ -437,6 +621,33 @@ function clone(node, document, cloneChildren) {
         }
     }
 
+    // 7. If node is a shadow host whose shadow root’s clonable is true, then 
+    // attach a shadow root with copy and node’s shadow root’s mode, true, 
+    // serializable, delegates focus, and slot assignment, and append a clone 
+    // of each of node’s shadow root’s children to copy’s shadow root.
+    const nodeState = $utils.getShadowState(node);
+    const shadowRoot = nodeState ? nodeState.shadowRoot : null;
+    if (shadowRoot) {
+        const shadowState = $utils.getShadowState(shadowRoot);
+        if (shadowState.clonable) {
+            // Attaching the shadow root moves copy’s children into its light tree,
+            // and appending the shadow root’s children assigns them to slots.
+            const copyShadowRoot = copy.attachShadow({
+                mode: shadowState.mode,
+                clonable: true,
+                serializable: shadowState.serializable,
+                delegatesFocus: shadowState.delegatesFocus,
+                slotAssignment: shadowState.slotAssignment,
+                registry: shadowState.registry
+            });
+            const shadowChildNodes = shadowState.childNodes;
+            const shadowChildNodesCount = shadowChildNodes.length;
+            for (let i = 0; i < shadowChildNodesCount; i++) {
+                append(clone(shadowChildNodes[i], document, true), copyShadowRoot);
+            }
+        }
+    }
+
     return copy;
 }
 
@@ -572,6 +783,8 @@ registerAttributeChangeSteps(function updateSlotName(element, localName, oldValu
             }
             const elementTree = root(element);
             if (isShadowRoot(elementTree)) {
+                unindexSlot(elementTree, element, oldValue || EMPTY_STRING);
+                indexSlot(elementTree, element);
                 assignSlotablesForATree(elementTree);
             }
         }
@@ -931,14 +1144,120 @@ function findASlot(slotable, open) {
         return null;
     }
 
-    // 5. Return the first slot in shadow’s tree whose name is slotable’s name, if any, and null otherwise.
-    if (!parentState.shadowRoot.firstChild) {
-        return null;
+    // 5. If shadow’s slot assignment is "manual", then return the slot in shadow’s descendants 
+    // whose manually assigned nodes contains slotable, if any, and null otherwise.
+    if (isManualSlotAssignment(parentState.shadowRoot)) {
+        return findManuallyAssignedSlot(slotable, parentState.shadowRoot);
+    }
+
+    // 6. Return the first slot in shadow’s tree whose name is slotable’s name, if any, and null otherwise.
+    return firstSlotNamed(parentState.shadowRoot, slotableName(slotable));
+}
+
+function slotableName(slotable) {
+    return slotable instanceof Element ? slotable.slot : EMPTY_STRING;
+}
+
+// Each shadow root keeps its slots by name, in tree order, so that finding
+// a slot does not mean searching the whole tree. The index is built the first
+// time it is needed and kept up to date as slots are inserted, removed and renamed.
+
+function slotIndex(shadowRoot) {
+    const shadowState = $utils.getShadowState(shadowRoot);
+    if (!shadowState.slotsByName) {
+        const slotsByName = shadowState.slotsByName = Object.create(null);
+        const firstChild = shadowRoot.firstChild;
+        if (firstChild) {
+            const slots = [];
+            treeOrderRecursiveSelectAll(firstChild, slots, isSlot);
+            for (let i = 0; i < slots.length; i++) {
+                const name = slots[i].name;
+                (slotsByName[name] || (slotsByName[name] = [])).push(slots[i]);
+            }
+        }
     }
+    return shadowState.slotsByName;
+}
 
-    const name = slotable instanceof Element ? slotable.slot : EMPTY_STRING;
+function firstSlotNamed(shadowRoot, name) {
+    const slots = slotIndex(shadowRoot)[name];
+    return slots ? slots[0] : null;
+}
 
-    return treeOrderRecursiveSelectFirst(parentState.shadowRoot.firstChild, node => isSlot(node) && node.name === name);
+function indexSlot(shadowRoot, slot) {
+    const slotsByName = $utils.getShadowState(shadowRoot).slotsByName;
+    if (!slotsByName) {
+        return;
+    }
+    const name = slot.name;
+    const slots = slotsByName[name] || (slotsByName[name] = []);
+    // Slots are usually inserted after the others with the same name.
+    let index = slots.length;
+    while (index > 0 && precedesInTree(slot, slots[index - 1])) {
+        index--;
+    }
+    slots.splice(index, 0, slot);
+}
+
+function unindexSlot(shadowRoot, slot, name) {
+    const slotsByName = $utils.getShadowState(shadowRoot).slotsByName;
+    if (!slotsByName) {
+        return;
+    }
+    const slots = slotsByName[name];
+    const index = slots ? slots.indexOf(slot) : -1;
+    if (index !== -1) {
+        slots.splice(index, 1);
+        if (!slots.length) {
+            delete slotsByName[name];
+        }
+    }
+}
+
+function precedesInTree(nodeA, nodeB) {
+    // https://dom.spec.whatwg.org/#concept-tree-preceding
+    // Both nodes are expected to be in the same tree.
+    const ancestorsA = inclusiveAncestors(nodeA);
+    const ancestorsB = inclusiveAncestors(nodeB);
+    let a = ancestorsA.length - 1;
+    let b = ancestorsB.length - 1;
+    while (a >= 0 && b >= 0 && ancestorsA[a] === ancestorsB[b]) {
+        a--;
+        b--;
+    }
+    if (a === ancestorsA.length - 1) {
+        // The nodes are in different trees.
+        return false;
+    }
+    if (a < 0) {
+        // A is an ancestor of B.
+        return b >= 0;
+    }
+    if (b < 0) {
+        return false;
+    }
+    const siblings = ancestorsA[a + 1].childNodes;
+    return Array.prototype.indexOf.call(siblings, ancestorsA[a]) < Array.prototype.indexOf.call(siblings, ancestorsB[b]);
+}
+
+function inclusiveAncestors(node) {
+    const ancestors = [];
+    while (node) {
+        ancestors.push(node);
+        node = node.parentNode;
+    }
+    return ancestors;
+}
+
+function findManuallyAssignedSlot(slotable, shadowRoot) {
+    // A slotable can only be manually assigned to one slot at a time,
+    // so we only need to check that the slot is in the shadow tree.
+    const slotableState = $utils.getShadowState(slotable);
+    const slot = slotableState ? slotableState.manualSlotAssignment : null;
+    if (slot && root(slot) === shadowRoot) {
+        return slot;
+    }
+    return null;
 }
 
 function findSlotables(slot) {
@@ -959,7 +1278,25 @@ function findSlotables(slot) {
     // 3. Let host be slot’s root’s host.
     const host = slotRoot.host;
 
-    // 4. For each slotable child of host, slotable, in tree order, run these substeps:
+    // 4. If slot’s root’s slot assignment is "manual", then for each slotable 
+    // of slot’s manually assigned nodes, if slotable’s parent is host, append 
+    // slotable to result.
+    if (isManualSlotAssignment(slotRoot)) {
+        const slotState = $utils.getShadowState(slot);
+        const manuallyAssignedNodes = slotState && slotState.manuallyAssignedNodes;
+        result = [];
+        if (manuallyAssignedNodes) {
+            for (let i = 0; i < manuallyAssignedNodes.length; i++) {
+                const slotable = manuallyAssignedNodes[i];
+                if (slotable.parentNode === host) {
+                    result[result.length] = slotable;
+                }
+            }
+        }
+        return result;
+    }
+
+    // 5. Otherwise, for each slotable child of host, slotable, in tree order, run these substeps:
     const slotableChildren = host.childNodes;
     // PERF: allocation of result
     result = new Array(slotableChildren.length);
@@ -979,7 +1316,7 @@ function findSlotables(slot) {
     // PERF: set the actual length
     result.length = pushed;
 
-    // 5. Return result.
+    // 6. Return result.
     return result;
 }
 
@@ -988,12 +1325,17 @@ function findFlattenedSlotables(slot) {
     // To find flattened slotables for a given slot slot, run these steps:
 
     // 1. Let result be an empty list.
-    let result = [];
+    const result = [];
+
+    // 2. If slot’s root is not a shadow root, then return result.
+    if (!isShadowRoot(root(slot))) {
+        return result;
+    }
 
-    // 2. Let slotables be the result of finding slotables given slot.
+    // 3. Let slotables be the result of finding slotables given slot.
     const slotables = findSlotables(slot);
 
-    // 3. If slotables is the empty list, then append each slotable child of slot, in tree order, to slotables.
+    // 4. If slotables is the empty list, then append each slotable child of slot, in tree order, to slotables.
     if (slotables.length === 0) {
         const slotableChildren = slot.childNodes;
         const slotableChildrenLength = slotableChildren.length;
@@ -1009,32 +1351,53 @@ function findFlattenedSlotables(slot) {
         slotables.length = slotablesPushed;
     }
 
-    // 4. For each node in slotables, run these substeps:
+    // 5. For each node in slotables, run these substeps:
     for (let i = 0; i < slotables.length; i++) {
         const node = slotables[i];
-        // 1. If node is a slot, run these subsubsteps:
-        if (isSlot(node)) {
+        // 1. If node is a slot whose root is a shadow root, run these subsubsteps:
+        if (isSlot(node) && isShadowRoot(root(node))) {
+            // 1. Let temporaryResult be the result of finding flattened slotables given node.
             const temporaryResult = findFlattenedSlotables(node);
-            const resultLength = resultLength;
+            // 2. Append each slotable in temporaryResult, in order, to result.
+            const resultLength = result.length;
             result.length += temporaryResult.length;
             for (let j = 0; j < temporaryResult.length; j++) {
-                result[resultLength + j] = temporaryResult[k];
+                result[resultLength + j] = temporaryResult[j];
             }
         }
+        // 2. Otherwise, append node to result.
         else {
             result[result.length] = node;
         }
     }
 
-    // 5. Return result.
+    // 6. Return result.
     return result;
 }
 
+// https://html.spec.whatwg.org/multipage/scripting.html#the-slot-element
+// A slot's children are its fallback content, which is rendered
+// when the slot is in a shadow tree and nothing is assigned to it.
+
+function fallbackNodes(slot) {
+    return Array.prototype.slice.call(slot.childNodes);
+}
+
+function isShowingFallback(slot) {
+    if (!isShadowRoot(root(slot))) {
+        return false;
+    }
+    const slotState = $utils.getShadowState(slot);
+    return !slotState || !slotState.assignedNodes || slotState.assignedNodes.length === 0;
+}
+
 // https://dom.spec.whatwg.org/#assigning-slotables-and-slots
 
 // Using custom algorithms instead.
 
-function assignSlotableToSlot(slotable, slot, suppressSignaling) {
+// When the index among the slot's assigned nodes is known (as when slotables
+// are assigned in tree order), it is given so that it need not be searched for.
+function assignSlotableToSlot(slotable, slot, suppressSignaling, deferRendering, assignedNodeIndex) {
     const slotableState = $utils.getShadowState(slotable);
     slotableState.assignedSlot = slot;
 
@@ -1046,45 +1409,71 @@ function assignSlotableToSlot(slotable, slot, suppressSignaling) {
         $mo.signalASlotChange(slot);
     }
 
-    if (assignedNodesCount === 0) {
-        assignedNodes.push(slotable);
-
-        // rendering
-        if (!slotState.childNodes) {
-            slotState.childNodes = Array.prototype.slice.call(slot.childNodes);
-            const fallbackNodes = slotState.childNodes;
-            const fallbackNodesCount = fallbackNodes.length;
-            for (let i = 0; i < fallbackNodesCount; i++) {
-                const fallbackNode = fallbackNodes[i];
-                const fallbackNodeState = $utils.getShadowState(fallbackNode) || $utils.setShadowState(fallbackNode, {});
-                fallbackNodeState.parentNode = slot;
-            }
-        }
+    if (!slotState.childNodes) {
+        // The slot's children become its fallback content.
+        slotState.childNodes = Array.prototype.slice.call(slot.childNodes);
         const fallbackNodes = slotState.childNodes;
         const fallbackNodesCount = fallbackNodes.length;
         for (let i = 0; i < fallbackNodesCount; i++) {
-            nodeRemoveChildDescriptor.value.call(slot, fallbackNodes[i]);
+            const fallbackNode = fallbackNodes[i];
+            const fallbackNodeState = $utils.getShadowState(fallbackNode) || $utils.setShadowState(fallbackNode, {});
+            fallbackNodeState.parentNode = slot;
         }
-        nodeAppendChildDescriptor.value.call(slot, slotable);
     }
-    else {
-        let referenceNode = null;
-        let referenceNodeIndex = 0;
-        for (let i = 0; i < assignedNodesCount; i++) {
-            const assignedNode = assignedNodes[i];
-            if (assignedNode.compareDocumentPosition(slotable) === Node.DOCUMENT_POSITION_FOLLOWING) {
-                break;
+
+    let referenceNode = null;
+    let referenceNodeIndex = assignedNodesCount;
+    if (assignedNodeIndex != null) {
+        referenceNodeIndex = assignedNodeIndex;
+        referenceNode = assignedNodes[assignedNodeIndex] || null;
+    }
+    else if (assignedNodesCount !== 0) {
+        if (isManualSlotAssignment(root(slot))) {
+            // Manually assigned nodes are kept in assignment order rather than tree order.
+            const manuallyAssignedNodes = slotState.manuallyAssignedNodes;
+            const slotableIndex = manuallyAssignedNodes.indexOf(slotable);
+            referenceNodeIndex = 0;
+            while (referenceNodeIndex < assignedNodesCount &&
+                manuallyAssignedNodes.indexOf(assignedNodes[referenceNodeIndex]) < slotableIndex) {
+                referenceNodeIndex++;
             }
-            referenceNodeIndex++;
+            referenceNode = assignedNodes[referenceNodeIndex] || null;
         }
-        assignedNodes.splice(referenceNodeIndex, 0, slotable);
+        else {
+            // The slotable goes before the next of the host's children that 
+            // is assigned to the slot. Slotables are usually appended, so the 
+            // host's children are searched from the end.
+            const hostChildNodes = $utils.getShadowState(slotable.parentNode).childNodes;
+            for (let i = hostChildNodes.lastIndexOf(slotable) + 1; i < hostChildNodes.length; i++) {
+                const hostChildState = $utils.getShadowState(hostChildNodes[i]);
+                if (hostChildState && hostChildState.assignedSlot === slot) {
+                    referenceNode = hostChildNodes[i];
+                    referenceNodeIndex = assignedNodes.indexOf(referenceNode);
+                    break;
+                }
+            }
+        }
+    }
+    assignedNodes.splice(referenceNodeIndex, 0, slotable);
+
+    if (deferRendering) {
+        return;
+    }
 
-        // rendering
-        nodeInsertBeforeDescriptor.value.call(slot, slotable, referenceNode);
+    // rendering
+    if (assignedNodesCount === 0) {
+        const fallbackNodes = slotState.childNodes;
+        const fallbackNodesCount = fallbackNodes.length;
+        for (let i = 0; i < fallbackNodesCount; i++) {
+            nodeRemoveChildDescriptor.value.call(slot, fallbackNodes[i]);
+        }
     }
+    nodeInsertBeforeDescriptor.value.call(slot, slotable, referenceNode);
+
+    runSlotRenderingSteps(slot);
 }
 
-function unassignSlotableFromSlot(slotable, slot, suppressSignaling) {
+function unassignSlotableFromSlot(slotable, slot, suppressSignaling, deferRendering) {
     const slotableState = $utils.getShadowState(slotable);
     slotableState.assignedSlot = null;
 
@@ -1096,6 +1485,10 @@ function unassignSlotableFromSlot(slotable, slot, suppressSignaling) {
         $mo.signalASlotChange(slot);
     }
 
+    if (deferRendering) {
+        return;
+    }
+
     // rendering
     nodeRemoveChildDescriptor.value.call(slot, slotable);
     if (slotAssignedNodes.length === 0) {
@@ -1105,15 +1498,54 @@ function unassignSlotableFromSlot(slotable, slot, suppressSignaling) {
             nodeAppendChildDescriptor.value.call(slot, fallbackNodes[i]);
         }
     }
+
+    runSlotRenderingSteps(slot);
 }
 
-function assignSlotablesForATree(tree, noSignalSlots) {
-    // Gather slots
-    const slots = [];
-    treeOrderRecursiveSelectAll(tree, slots, isSlot);
-    const slotCount = slots.length;
+function renderSlot(slot) {
+    // Brings the slot's physical children in line with its assigned 
+    // nodes (or its fallback content), moving as few nodes as possible.
+    const slotState = $utils.getShadowState(slot);
+    const assignedNodes = slotState.assignedNodes;
+    const renderedNodes = assignedNodes.length ? assignedNodes : slotState.childNodes;
+    let physicalChild = nodeFirstChildDescriptor.get.call(slot);
+    for (let i = 0; i < renderedNodes.length; i++) {
+        const renderedNode = renderedNodes[i];
+        if (renderedNode === physicalChild) {
+            physicalChild = nodeNextSiblingDescriptor.get.call(physicalChild);
+        }
+        else {
+            nodeInsertBeforeDescriptor.value.call(slot, renderedNode, physicalChild);
+        }
+    }
+    while (physicalChild) {
+        const nextPhysicalChild = nodeNextSiblingDescriptor.get.call(physicalChild);
+        nodeRemoveChildDescriptor.value.call(slot, physicalChild);
+        physicalChild = nextPhysicalChild;
+    }
+
+    runSlotRenderingSteps(slot);
+}
 
-    // Gather slotables and set their assigned slots
+function runSlotRenderingSteps(slot) {
+    for (let i = 0; i < slotRenderingSteps.length; i++) {
+        slotRenderingSteps[i](slot);
+    }
+}
+
+let slotAssignmentPass = 0;
+
+function assignSlotablesForATree(tree, noSignalSlots) {
+    // Assignments are made first and each slot that changed 
+    // is rendered once afterwards.
+    const manual = isManualSlotAssignment(tree);
+    const slotsByName = manual ? null : slotIndex(tree);
+    const changedSlots = [];
+    // The host's children are visited in tree order, so each slot counts the
+    // nodes that stay or become assigned to it during this pass: that count is
+    // where the next slotable assigned to it goes. Manually assigned nodes are
+    // kept in assignment order instead.
+    const pass = ++slotAssignmentPass;
     const hostChildNodes = tree.host.childNodes;
     const hostChildNodesCount = hostChildNodes.length;
     for (let i = 0; i < hostChildNodesCount; i++) {
@@ -1124,24 +1556,123 @@ function assignSlotablesForATree(tree, noSignalSlots) {
         const slotableState = $utils.getShadowState(slotable);
         const oldAssignedSlot = slotableState.assignedSlot;
         let newAssignedSlot = null;
-        const name = slotable instanceof Element ? slotable.slot : EMPTY_STRING;
-        for (let j = 0; j < slots.length; j++) {
-            const slot = slots[j];
-            if (slot.name === name) {
-                newAssignedSlot = slot;
-                break;
-            }
+        if (manual) {
+            newAssignedSlot = findManuallyAssignedSlot(slotable, tree);
+        }
+        else {
+            const slots = slotsByName[slotableName(slotable)];
+            newAssignedSlot = slots ? slots[0] : null;
         }
         if (newAssignedSlot !== oldAssignedSlot) {
             if (oldAssignedSlot) {
                 const suppress = !noSignalSlots || noSignalSlots.indexOf(oldAssignedSlot) === -1;
-                unassignSlotableFromSlot(slotable, oldAssignedSlot, suppress);
+                unassignSlotableFromSlot(slotable, oldAssignedSlot, suppress, true);
+                markSlotChanged(oldAssignedSlot, changedSlots);
             }
             if (newAssignedSlot) {
                 const suppress = !noSignalSlots || noSignalSlots.indexOf(newAssignedSlot) === -1;
-                assignSlotableToSlot(slotable, newAssignedSlot, suppress);
+                const assignedNodeIndex = manual ? null : passAssignedNodesCount(newAssignedSlot, pass);
+                assignSlotableToSlot(slotable, newAssignedSlot, suppress, true, assignedNodeIndex);
+                markSlotChanged(newAssignedSlot, changedSlots);
             }
         }
+        if (newAssignedSlot && !manual) {
+            const slotState = $utils.getShadowState(newAssignedSlot);
+            slotState.passAssignedNodesCount = passAssignedNodesCount(newAssignedSlot, pass) + 1;
+        }
+    }
+    for (let i = 0; i < changedSlots.length; i++) {
+        $utils.getShadowState(changedSlots[i]).renderPending = false;
+        renderSlot(changedSlots[i]);
+    }
+}
+
+function passAssignedNodesCount(slot, pass) {
+    const slotState = $utils.getShadowState(slot) || $utils.setShadowState(slot, {});
+    if (slotState.assignmentPass !== pass) {
+        slotState.assignmentPass = pass;
+        slotState.passAssignedNodesCount = 0;
+    }
+    return slotState.passAssignedNodesCount;
+}
+
+function markSlotChanged(slot, changedSlots) {
+    const slotState = $utils.getShadowState(slot);
+    if (!slotState.renderPending) {
+        slotState.renderPending = true;
+        changedSlots.push(slot);
+    }
+}
+
+function assignSlotablesManually(slot, nodes) {
+    // https://html.spec.whatwg.org/multipage/scripting.html#dom-slot-assign
+    const slotState = $utils.getShadowState(slot) || $utils.setShadowState(slot, {});
+    const previousAssignedNodes = (slotState.assignedNodes || []).slice();
+    const affectedSlots = [];
+
+    // 1. For each node of this's manually assigned nodes, set node's manual slot assignment to null.
+    const oldManuallyAssignedNodes = slotState.manuallyAssignedNodes;
+    if (oldManuallyAssignedNodes) {
+        for (let i = 0; i < oldManuallyAssignedNodes.length; i++) {
+            $utils.getShadowState(oldManuallyAssignedNodes[i]).manualSlotAssignment = null;
+        }
+    }
+
+    // 2. Let nodesSet be a new ordered set.
+    const nodesSet = [];
+
+    // 3. For each node of nodes:
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (nodesSet.indexOf(node) !== -1) {
+            continue;
+        }
+        const nodeState = $utils.getShadowState(node) || $utils.setShadowState(node, {});
+        // 1. If node's manual slot assignment refers to a slot, then remove 
+        // node from that slot's manually assigned nodes.
+        const oldSlot = nodeState.manualSlotAssignment;
+        if (oldSlot && oldSlot !== slot) {
+            const oldSlotNodes = $utils.getShadowState(oldSlot).manuallyAssignedNodes;
+            oldSlotNodes.splice(oldSlotNodes.indexOf(node), 1);
+            if (affectedSlots.indexOf(oldSlot) === -1) {
+                affectedSlots.push(oldSlot);
+            }
+        }
+        // 2. Set node's manual slot assignment to this.
+        nodeState.manualSlotAssignment = slot;
+        // 3. Append node to nodesSet.
+        nodesSet.push(node);
+    }
+
+    // 4. Set this's manually assigned nodes to nodesSet.
+    slotState.manuallyAssignedNodes = nodesSet;
+
+    // Slots in other trees may have to give up the nodes that were moved.
+    const slotRoot = root(slot);
+    for (let i = 0; i < affectedSlots.length; i++) {
+        const affectedSlotRoot = root(affectedSlots[i]);
+        if (affectedSlotRoot !== slotRoot && isShadowRoot(affectedSlotRoot)) {
+            assignSlotablesForATree(affectedSlotRoot, affectedSlots);
+        }
+    }
+
+    // 5. Run assign slottables for a tree for this's root.
+    if (!isShadowRoot(slotRoot)) {
+        return;
+    }
+    // The slot's current assignees are released first so that they are 
+    // rendered again in their new order.
+    for (let i = 0; i < previousAssignedNodes.length; i++) {
+        unassignSlotableFromSlot(previousAssignedNodes[i], slot, true);
+    }
+    assignSlotablesForATree(slotRoot, affectedSlots);
+    const assignedNodes = slotState.assignedNodes || [];
+    let changed = assignedNodes.length !== previousAssignedNodes.length;
+    for (let i = 0; !changed && i < assignedNodes.length; i++) {
+        changed = assignedNodes[i] !== previousAssignedNodes[i];
+    }
+    if (changed) {
+        $mo.signalASlotChange(slot);
     }
 }
 
@@ -1216,7 +1747,15 @@ function insert(node, parent, child, suppressObservers) {
     }
 
     // 2. If child is non-null, run these substeps:
-    // TODO: (Range)
+    // 1. For each live range whose start node is parent and start offset is 
+    // greater than child’s index, increase its start offset by count.
+    // 2. For each live range whose end node is parent and end offset is 
+    // greater than child’s index, increase its end offset by count.
+    if (child) {
+        for (let i = 0; i < preInsertingSteps.length; i++) {
+            preInsertingSteps[i](parent, child, count);
+        }
+    }
 
     // 3. Let nodes be node’s children if node is a DocumentFragment node, 
     // and a list containing solely node otherwise.
@@ -1264,9 +1803,16 @@ function insert(node, parent, child, suppressObservers) {
             }
             const nodeState = $utils.getShadowState(node) || $utils.setShadowState(node, {});
             nodeState.parentNode = parent;
-            // If it's a shadow root, perform physical insert on the host.
+            // If it's a shadow root, perform physical insert on the host,
+            // keeping any adopted style sheets rendered after its children.
             if (parentIsShadowRoot) {
-                nodeInsertBeforeDescriptor.value.call(parentState.host, node, child);
+                const adoptedStyleElements = parentState.adoptedStyleElements;
+                const physicalChild = child || (adoptedStyleElements ? adoptedStyleElements[0] : null);
+                nodeInsertBeforeDescriptor.value.call(parentState.host, node, physicalChild);
+            }
+            // If it's a slot rendering its fallback content, so is the node.
+            else if (isSlot(parent) && parentState.assignedNodes.length === 0) {
+                nodeInsertBeforeDescriptor.value.call(parent, node, child);
             }
         }
         else {
@@ -1290,10 +1836,12 @@ function insert(node, parent, child, suppressObservers) {
         // 4. Run assign slotables for a tree with node’s tree and a set containing 
         // each inclusive descendant of node that is a slot.
         if (isShadowRoot(parentTree)) {
-            const inclusiveSlotDescendants = isSlot(node) ? [node] : [];
-            treeOrderRecursiveSelectAll(node, inclusiveSlotDescendants, isSlot);
-            if (inclusiveSlotDescendants.length) {
-                assignSlotablesForATree(parentTree, inclusiveSlotDescendants);
+            const slots = inclusiveSlotDescendants(node);
+            if (slots.length) {
+                for (let j = 0; j < slots.length; j++) {
+                    indexSlot(parentTree, slots[j]);
+                }
+                assignSlotablesForATree(parentTree, slots);
             }
         }
 
@@ -1469,16 +2017,18 @@ function remove(node, parent, suppressObservers) {
     // https://dom.spec.whatwg.org/#concept-node-remove
     // To remove a node from a parent, with an optional suppress observers flag, run these steps:
 
-    // TODO: (Range)
     // 1. Let index be node’s index.
     // 2. For each range whose start node is an inclusive descendant of node, set its start to (parent, index).
     // 3. For each range whose end node is an inclusive descendant of node, set its end to (parent, index).
     // 4. For each range whose start node is parent and start offset is greater than index, decrease its start offset by one.
     // 5. For each range whose end node is parent and end offset is greater than index, decrease its end offset by one.
 
-    // TODO: (NodeIterator)
     // 6. For each NodeIterator object iterator whose root’s node document is node’s node document, 
     // run the NodeIterator pre-removing steps given node and iterator.
+    // NOTE: Steps 1 to 6 are taken care of by the pre-removing steps.
+    for (let i = 0; i < preRemovingSteps.length; i++) {
+        preRemovingSteps[i](node, parent);
+    }
 
     // 7. Let oldPreviousSibling be node’s previous sibling.
     const oldPreviousSibling = node.previousSibling;
@@ -1497,6 +2047,10 @@ function remove(node, parent, suppressObservers) {
         if (isShadowRoot(parent)) {
             nodeRemoveChildDescriptor.value.call(parent.host, node);
         }
+        // Fallback content is only there while the slot renders it.
+        else if (isSlot(parent) && nodeParentNodeDescriptor.get.call(node) === parent) {
+            nodeRemoveChildDescriptor.value.call(parent, node);
+        }
     }
     else {
         nodeRemoveChildDescriptor.value.call(parent, node);
@@ -1508,22 +2062,26 @@ function remove(node, parent, suppressObservers) {
         unassignSlotableFromSlot(node, nodeState.assignedSlot);
     }
 
+    // 11. If parent is a slot whose assigned nodes is the empty list,
+    // then run signal a slot change for parent.
+    if (isSlot(parent) && parent.assignedNodes().length === 0) {
+        $mo.signalASlotChange(parent);
+    }
+
     const parentTree = root(parent);
     if (isShadowRoot(parentTree)) {
-        // 11. If parent is a slot whose assigned nodes is the empty list,
-        // then run signal a slot change for parent.
-        // SKIP: This is already taken care of by our algorithm in step 10.
-
         // 12. If node has an inclusive descendant that is a slot, then:
         // 1. Run assign slotables for a tree with parent’s tree.
         // 2. Run assign slotables for a tree with node’s tree and a 
         // set containing each inclusive descendant of node that is a slot.
-        const inclusiveSlotDescendants = isSlot(node) ? [node] : [];
-        treeOrderRecursiveSelectAll(node, inclusiveSlotDescendants, isSlot);
-        if (inclusiveSlotDescendants.length) {
+        const slots = inclusiveSlotDescendants(node);
+        if (slots.length) {
             // NOTE: Using our own algorithm here instead
             // TODO: Test to make sure that our algorithm takes care of clearing
             // the assigned nodes of any of these descendants.
+            for (let i = 0; i < slots.length; i++) {
+                unindexSlot(parentTree, slots[i], slots[i].name);
+            }
             assignSlotablesForATree(parentTree);
         }
     }
@@ -0,0 +1,308 @@
+// https://html.spec.whatwg.org/multipage/browsing-the-web.html#scroll-to-fragid
+// https://html.spec.whatwg.org/multipage/browsing-the-web.html#the-indicated-part-of-the-document
+// https://drafts.csswg.org/selectors-4/#the-target-pseudo
+//
+// Shadow trees are rendered physically, so the browser would otherwise scroll
+// to (and match :target against) an element in some shadow tree whose ID is
+// the URL's fragment. Only elements in the document tree can be indicated by
+// a fragment, which is why fragment navigation is resolved here instead:
+// clicks on links to a fragment of the document are intercepted, navigations
+// that cannot be (setting location.hash, or traversing history) are corrected
+// once they have happened, and the document's target element carries an
+// attribute that :target is rewritten to match (see style-scoping.js).
+//
+// Components can handle fragments that point into their own shadow trees by
+// listening for a cancelable 'fragmentnavigate' event on their shadow root,
+// which is dispatched at the element a fragment points to when it indicates
+// nothing in the document tree.
+
+import $dom from './dom.js';
+import $microtask from './microtask.js';
+import $mo from './mutation-observers.js';
+import $utils from './utils.js';
+
+export default {
+    install,
+    isInstalled,
+    targetElement,
+    targetStateAttribute
+};
+
+const ATTR_TARGET = 'shadow-target';
+const EVENT_FRAGMENT_NAVIGATE = 'fragmentnavigate';
+
+const documentGetElementByIdDescriptor = $utils.descriptor(Document, 'getElementById');
+const elementGetAttributeDescriptor = $utils.descriptor(Element, 'getAttribute');
+const elementSetAttributeDescriptor = $utils.descriptor(Element, 'setAttribute');
+const elementRemoveAttributeDescriptor = $utils.descriptor(Element, 'removeAttribute');
+const eventTargetDescriptor = $utils.descriptor(Event, 'target');
+const nativeWindowAddEventListener = window.addEventListener;
+const nodeWalker = document.createTreeWalker(document, NodeFilter.SHOW_ALL, null, false);
+
+let getEventTarget = event => eventTargetDescriptor.get.call(event);
+
+if ($utils.brokenAccessors) {
+    getEventTarget = event => event.target;
+}
+
+let installed = false;
+let target = null;
+let currentURL = null;
+let scrollPosition = null;
+
+function install() {
+    installed = true;
+    currentURL = location.href;
+    scrollPosition = { x: 0, y: 0 };
+
+    $dom.registerInternalAttribute(ATTR_TARGET);
+
+    // The target element stops matching :target when it leaves the document tree.
+    $dom.registerInsertingSteps(function (node) {
+        if (node === target) {
+            updateTargetAttribute();
+        }
+    });
+
+    $dom.registerRemovingSteps(function (node) {
+        if (node === target) {
+            updateTargetAttribute();
+        }
+    });
+
+    $dom.registerCloningSteps(function (copy) {
+        if (copy.nodeType === Node.ELEMENT_NODE && elementGetAttributeDescriptor.value.call(copy, ATTR_TARGET) !== null) {
+            elementRemoveAttributeDescriptor.value.call(copy, ATTR_TARGET);
+        }
+    });
+
+    // This is where we scroll back to when a navigation
+    // would have scrolled to an element in a shadow tree.
+    nativeWindowAddEventListener.call(window, 'scroll', function () {
+        if (location.href === currentURL) {
+            scrollPosition = { x: window.pageXOffset, y: window.pageYOffset };
+        }
+    }, { passive: true });
+
+    // Registered on the window so that links the author has
+    // already handled (or prevented) are left alone.
+    nativeWindowAddEventListener.call(window, 'click', interceptLinkClick);
+
+    // History traversal fires popstate before hashchange, and
+    // the browser restores the scroll position by itself.
+    nativeWindowAddEventListener.call(window, 'popstate', function () {
+        if (location.href !== currentURL) {
+            currentURL = location.href;
+            scrollToTheFragment(false);
+        }
+    });
+
+    nativeWindowAddEventListener.call(window, 'hashchange', function () {
+        if (location.href !== currentURL) {
+            currentURL = location.href;
+            scrollToTheFragment(true);
+        }
+    });
+
+    // Shadow trees are usually attached by scripts, so the browser
+    // may have scrolled into one while the document was loading.
+    if (document.readyState === 'complete') {
+        $microtask.enqueue(scrollToTheInitialFragment);
+    }
+    else {
+        nativeWindowAddEventListener.call(window, 'load', scrollToTheInitialFragment, { once: true });
+    }
+}
+
+function isInstalled() {
+    return installed;
+}
+
+function targetElement() {
+    return target;
+}
+
+function targetStateAttribute() {
+    return installed ? ATTR_TARGET : null;
+}
+
+function scrollToTheInitialFragment() {
+    if (location.hash) {
+        scrollToTheFragment(true);
+    }
+}
+
+function interceptLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.ctrlKey || event.shiftKey || event.altKey || event.metaKey) {
+        return;
+    }
+
+    // The physical tree is the flat tree, so we walk up it natively
+    // to find the link, which may well be in a shadow tree.
+    let link = getEventTarget(event);
+    while (link && !isHyperlink(link)) {
+        nodeWalker.currentNode = link;
+        link = nodeWalker.parentNode();
+    }
+    if (!link || link.hasAttribute('download')) {
+        return;
+    }
+    const linkTarget = link.getAttribute('target');
+    if (linkTarget && linkTarget.toLowerCase() !== '_self') {
+        return;
+    }
+
+    // https://html.spec.whatwg.org/multipage/browsing-the-web.html#navigate-fragid
+    const url = link.href;
+    const hashIndex = url.indexOf('#');
+    if (hashIndex === -1 || url.slice(0, hashIndex) !== location.href.split('#')[0]) {
+        return;
+    }
+
+    event.preventDefault();
+
+    const oldURL = location.href;
+    if (url !== oldURL) {
+        // A fragment navigation starts a new session history entry with no state.
+        history.pushState(null, '', url);
+        currentURL = location.href;
+    }
+    scrollToTheFragment(true);
+    if (url !== oldURL) {
+        fireHashChange(oldURL, location.href);
+    }
+}
+
+function fireHashChange(oldURL, newURL) {
+    // HashChangeEvent cannot be constructed in IE 11, so a plain event carries the URLs.
+    // 'Event' is capitalized for Webkit.
+    const event = document.createEvent('Event');
+    event.initEvent('hashchange', false, false);
+    Object.defineProperty(event, 'oldURL', { value: oldURL, enumerable: true });
+    Object.defineProperty(event, 'newURL', { value: newURL, enumerable: true });
+    window.dispatchEvent(event);
+}
+
+function scrollToTheFragment(scroll) {
+    // https://html.spec.whatwg.org/multipage/browsing-the-web.html#scroll-to-the-fragment-identifier
+    const fragment = location.hash.slice(1);
+    const indicatedElement = findAPotentialIndicatedElement(fragment);
+
+    setTarget(indicatedElement);
+
+    if (!scroll) {
+        return;
+    }
+    if (indicatedElement) {
+        indicatedElement.scrollIntoView();
+        return;
+    }
+    const decodedFragment = decodeFragment(fragment);
+    if (decodedFragment === '' || decodedFragment.toLowerCase() === 'top') {
+        window.scrollTo(0, 0);
+        return;
+    }
+
+    // Nothing in the document tree is indicated, so the browser should not
+    // have scrolled. If the fragment points into a shadow tree, the component
+    // it belongs to is given the chance to handle the navigation itself.
+    const shadowElement = findAShadowTreeElement(fragment) || findAShadowTreeElement(decodedFragment);
+    if (!shadowElement) {
+        return;
+    }
+    // The event bubbles from the element and, not being composed, stops at its shadow root.
+    const navigateEvent = new window.CustomEvent(EVENT_FRAGMENT_NAVIGATE, {
+        bubbles: true,
+        cancelable: true,
+        detail: { fragment: decodedFragment, element: shadowElement }
+    });
+    if (shadowElement.dispatchEvent(navigateEvent)) {
+        window.scrollTo(scrollPosition.x, scrollPosition.y);
+    }
+}
+
+function findAPotentialIndicatedElement(fragment) {
+    // https://html.spec.whatwg.org/multipage/browsing-the-web.html#find-a-potential-indicated-element
+    let indicatedElement = findAnElementInTheDocumentTree(fragment);
+    if (!indicatedElement) {
+        const decodedFragment = decodeFragment(fragment);
+        if (decodedFragment !== fragment) {
+            indicatedElement = findAnElementInTheDocumentTree(decodedFragment);
+        }
+    }
+    return indicatedElement;
+}
+
+function findAnElementInTheDocumentTree(fragment) {
+    if (!fragment) {
+        return null;
+    }
+    // The polyfilled getElementById only looks at the document tree.
+    const element = document.getElementById(fragment);
+    if (element) {
+        return element;
+    }
+    const links = document.getElementsByTagName('a');
+    for (let i = 0; i < links.length; i++) {
+        if (links[i].getAttribute('name') === fragment) {
+            return links[i];
+        }
+    }
+    return null;
+}
+
+function findAShadowTreeElement(fragment) {
+    if (!fragment) {
+        return null;
+    }
+    // This is the element the browser would have scrolled to.
+    const element = documentGetElementByIdDescriptor.value.call(document, fragment);
+    return element && $dom.isShadowRoot($dom.root(element)) ? element : null;
+}
+
+function decodeFragment(fragment) {
+    try {
+        return decodeURIComponent(fragment);
+    }
+    catch (error) {
+        return fragment;
+    }
+}
+
+function setTarget(element) {
+    if (target === element) {
+        return;
+    }
+    const previousTarget = target;
+    target = element;
+    if (previousTarget) {
+        setNativeAttribute(previousTarget, false);
+    }
+    updateTargetAttribute();
+}
+
+function updateTargetAttribute() {
+    if (target) {
+        setNativeAttribute(target, $dom.root(target) === document);
+    }
+}
+
+function setNativeAttribute(element, present) {
+    if ((elementGetAttributeDescriptor.value.call(element, ATTR_TARGET) !== null) !== present) {
+        $mo.withoutNativeRecords(() => {
+            if (present) {
+                elementSetAttributeDescriptor.value.call(element, ATTR_TARGET, '');
+            }
+            else {
+                elementRemoveAttributeDescriptor.value.call(element, ATTR_TARGET);
+            }
+        });
+    }
+}
+
+function isHyperlink(node) {
+    return node.nodeType === Node.ELEMENT_NODE
+        && (node.localName === 'a' || node.localName === 'area')
+        && node.hasAttribute('href');
+}
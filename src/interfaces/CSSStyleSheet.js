@@ -0,0 +1,308 @@
+// https://drafts.csswg.org/cssom/#the-cssstylesheet-interface
+// https://drafts.csswg.org/cssom/#extensions-to-the-document-or-shadow-root-interface
+
+import $dom from '../dom.js';
+import $styleScoping from '../style-scoping.js';
+import $utils from '../utils.js';
+
+export default {
+    install,
+    getAdoptedStyleSheets,
+    setAdoptedStyleSheets,
+    isAdoptedStyleElement
+};
+
+const nativeCSSStyleSheet = window.CSSStyleSheet;
+const nativeInsertRule = nativeCSSStyleSheet.prototype.insertRule;
+const nativeDeleteRule = nativeCSSStyleSheet.prototype.deleteRule;
+const documentCreateElementDescriptor = $utils.descriptor(Document, 'createElement');
+const documentCreateTextNodeDescriptor = $utils.descriptor(Document, 'createTextNode');
+const characterDataDataDescriptor = $utils.descriptor(CharacterData, 'data');
+const elementSetAttributeDescriptor = $utils.descriptor(Element, 'setAttribute');
+const nodeAppendChildDescriptor = $utils.descriptor(Node, 'appendChild');
+const nodeFirstChildDescriptor = $utils.descriptor(Node, 'firstChild');
+const nodeRemoveChildDescriptor = $utils.descriptor(Node, 'removeChild');
+
+const theEmptyList = Object.freeze([]);
+
+// Constructed style sheets are backed by <style> elements in a document
+// that is never rendered, which lets us hand out real CSSStyleSheet objects.
+let constructionDocument = null;
+
+function install() {
+    $utils.extend(nativeCSSStyleSheet, cssStyleSheetMixin);
+    window.CSSStyleSheet = $CSSStyleSheet;
+
+    // A sheet only keeps track of the shadow roots adopting it that are connected,
+    // so that it does not keep discarded shadow trees alive. Shadow roots catch up
+    // with the changes made to their sheets when they are connected again.
+    $dom.registerInsertingSteps(function (node) {
+        if ($dom.isShadowRoot(node)) {
+            const adopterState = $utils.getShadowState(node);
+            if (adopterState.adoptedStyleSheets && isConnectedAdopter(node, adopterState)) {
+                addAdopter(node, adopterState.adoptedStyleSheets);
+                updateAdoptedStyleElements(node, adopterState);
+            }
+        }
+    });
+
+    $dom.registerRemovingSteps(function (node) {
+        if ($dom.isShadowRoot(node)) {
+            const adopterState = $utils.getShadowState(node);
+            if (adopterState.adoptedStyleSheets && !isConnectedAdopter(node, adopterState)) {
+                removeAdopter(node, adopterState.adoptedStyleSheets);
+            }
+        }
+    });
+}
+
+function $CSSStyleSheet(options) {
+    // https://drafts.csswg.org/cssom/#dom-cssstylesheet-cssstylesheet
+    const style = createStyleElement(getConstructionDocument(), '');
+    const sheet = style.sheet;
+    if (options) {
+        if (options.media) {
+            sheet.media.mediaText = typeof options.media === 'string'
+                ? options.media
+                : Array.prototype.join.call(options.media, ', ');
+        }
+        if (options.disabled === true) {
+            sheet.disabled = true;
+        }
+    }
+    $utils.setShadowState(sheet, {
+        constructed: true,
+        adopters: []
+    });
+    return sheet;
+}
+
+$CSSStyleSheet.prototype = nativeCSSStyleSheet.prototype;
+
+const cssStyleSheetMixin = {
+
+    replace(text) {
+        // https://drafts.csswg.org/cssom/#dom-cssstylesheet-replace
+        if (!('Promise' in window)) {
+            throw new Error('Please include a promise polyfill.');
+        }
+        try {
+            this.replaceSync(text);
+        }
+        catch (error) {
+            return Promise.reject(error);
+        }
+        return Promise.resolve(this);
+    },
+
+    replaceSync(text) {
+        // https://drafts.csswg.org/cssom/#dom-cssstylesheet-replacesync
+        const sheetState = getConstructedState(this);
+        const rules = this.cssRules;
+        while (rules.length) {
+            nativeDeleteRule.call(this, rules.length - 1);
+        }
+        // The text is parsed by a scratch <style> element and its rules
+        // copied over so that the identity of this sheet is preserved.
+        const scratch = createStyleElement(getConstructionDocument(), String(text));
+        const parsedRules = scratch.sheet.cssRules;
+        for (let i = 0; i < parsedRules.length; i++) {
+            const parsedRule = parsedRules[i];
+            // @import rules are ignored by replaceSync.
+            if (parsedRule.type === CSSRule.IMPORT_RULE) {
+                continue;
+            }
+            nativeInsertRule.call(this, parsedRule.cssText, this.cssRules.length);
+        }
+        nodeRemoveChildDescriptor.value.call(scratch.parentNode, scratch);
+        updateAdopters(this, sheetState);
+    },
+
+    insertRule(rule, index) {
+        const result = nativeInsertRule.call(this, rule, index === undefined ? 0 : index);
+        const sheetState = $utils.getShadowState(this);
+        if (sheetState && sheetState.constructed) {
+            updateAdopters(this, sheetState);
+        }
+        return result;
+    },
+
+    deleteRule(index) {
+        nativeDeleteRule.call(this, index);
+        const sheetState = $utils.getShadowState(this);
+        if (sheetState && sheetState.constructed) {
+            updateAdopters(this, sheetState);
+        }
+    },
+
+};
+
+function getAdoptedStyleSheets(adopter) {
+    const adopterState = $utils.getShadowState(adopter);
+    return (adopterState && adopterState.adoptedStyleSheets) || theEmptyList;
+}
+
+function setAdoptedStyleSheets(adopter, value) {
+    // https://drafts.csswg.org/cssom/#dom-documentorshadowroot-adoptedstylesheets
+    if (value == null || typeof value.length !== 'number') {
+        throw new TypeError('adoptedStyleSheets must be an array of CSSStyleSheet objects');
+    }
+    const sheets = Array.prototype.slice.call(value);
+    for (let i = 0; i < sheets.length; i++) {
+        const sheet = sheets[i];
+        if (!(sheet instanceof nativeCSSStyleSheet)) {
+            throw new TypeError('adoptedStyleSheets must be an array of CSSStyleSheet objects');
+        }
+        getConstructedState(sheet);
+    }
+
+    const adopterState = $utils.getShadowState(adopter) || $utils.setShadowState(adopter, {});
+    removeAdopter(adopter, adopterState.adoptedStyleSheets || theEmptyList);
+    if (isConnectedAdopter(adopter, adopterState)) {
+        addAdopter(adopter, sheets);
+    }
+    adopterState.adoptedStyleSheets = Object.freeze(sheets);
+
+    renderAdoptedStyleSheets(adopter, adopterState);
+}
+
+function renderAdoptedStyleSheets(adopter, adopterState) {
+    const oldElements = adopterState.adoptedStyleElements;
+    if (oldElements) {
+        for (let i = 0; i < oldElements.length; i++) {
+            const oldElement = oldElements[i];
+            nodeRemoveChildDescriptor.value.call(oldElement.parentNode, oldElement);
+        }
+    }
+
+    const sheets = adopterState.adoptedStyleSheets;
+    if (!sheets.length) {
+        adopterState.adoptedStyleElements = null;
+        return;
+    }
+
+    // Shadow roots render their adopted style sheets after their own children
+    // (see insert in dom.js) and documents render them at the end of the head.
+    let container;
+    let document;
+    if ($dom.isShadowRoot(adopter)) {
+        container = adopterState.host;
+        document = container.ownerDocument;
+    }
+    else {
+        document = adopter;
+        container = document.head || document.documentElement;
+    }
+
+    const elements = new Array(sheets.length);
+    for (let i = 0; i < sheets.length; i++) {
+        const element = createStyleElement(document, renderRules(sheets[i], adopter), container);
+        $utils.setShadowState(element, { adoptedStyleSheet: sheets[i] });
+        const mediaText = sheets[i].media.mediaText;
+        if (mediaText) {
+            elementSetAttributeDescriptor.value.call(element, 'media', mediaText);
+        }
+        elements[i] = element;
+    }
+    adopterState.adoptedStyleElements = elements;
+}
+
+function isConnectedAdopter(adopter, adopterState) {
+    return $dom.isShadowRoot(adopter) ? adopterState.host.isConnected : true;
+}
+
+function addAdopter(adopter, sheets) {
+    for (let i = 0; i < sheets.length; i++) {
+        const adopters = $utils.getShadowState(sheets[i]).adopters;
+        if (adopters.indexOf(adopter) === -1) {
+            adopters.push(adopter);
+        }
+    }
+}
+
+function removeAdopter(adopter, sheets) {
+    for (let i = 0; i < sheets.length; i++) {
+        const adopters = $utils.getShadowState(sheets[i]).adopters;
+        const index = adopters.indexOf(adopter);
+        if (index !== -1) {
+            adopters.splice(index, 1);
+        }
+    }
+}
+
+function isAdoptedStyleElement(element) {
+    // Adopted style sheets are rendered with <style> elements 
+    // that must not show up in any styleSheets list.
+    const elementState = $utils.getShadowState(element);
+    return elementState != null && elementState.adoptedStyleSheet != null;
+}
+
+function updateAdopters(sheet, sheetState) {
+    const cssText = serializeRules(sheet);
+    const adopters = sheetState.adopters;
+    for (let i = 0; i < adopters.length; i++) {
+        const adopterState = $utils.getShadowState(adopters[i]);
+        const sheets = adopterState.adoptedStyleSheets;
+        const elements = adopterState.adoptedStyleElements;
+        for (let j = 0; j < sheets.length; j++) {
+            if (sheets[j] === sheet) {
+                setStyleElementText(elements[j], $styleScoping.rewriteStyleText(cssText, adopters[i]));
+            }
+        }
+    }
+}
+
+function updateAdoptedStyleElements(adopter, adopterState) {
+    const sheets = adopterState.adoptedStyleSheets;
+    const elements = adopterState.adoptedStyleElements;
+    for (let i = 0; i < sheets.length; i++) {
+        setStyleElementText(elements[i], renderRules(sheets[i], adopter));
+    }
+}
+
+function setStyleElementText(element, cssText) {
+    const text = nodeFirstChildDescriptor.get.call(element);
+    if (characterDataDataDescriptor.get.call(text) !== cssText) {
+        characterDataDataDescriptor.set.call(text, cssText);
+    }
+}
+
+function getConstructedState(sheet) {
+    const sheetState = $utils.getShadowState(sheet);
+    if (!sheetState || !sheetState.constructed) {
+        throw $utils.makeDOMException('NotAllowedError', 'Only constructed style sheets can be used here');
+    }
+    return sheetState;
+}
+
+function getConstructionDocument() {
+    if (!constructionDocument) {
+        constructionDocument = document.implementation.createHTMLDocument('');
+    }
+    return constructionDocument;
+}
+
+function createStyleElement(document, cssText, container) {
+    const style = documentCreateElementDescriptor.value.call(document, 'style');
+    const text = documentCreateTextNodeDescriptor.value.call(document, cssText);
+    nodeAppendChildDescriptor.value.call(style, text);
+    nodeAppendChildDescriptor.value.call(container || document.head, style);
+    return style;
+}
+
+function renderRules(sheet, adopter) {
+    // The rules are scoped to the shadow tree that adopts them, like those of its <style> elements.
+    return $styleScoping.rewriteStyleText(serializeRules(sheet), adopter);
+}
+
+function serializeRules(sheet) {
+    if (sheet.disabled) {
+        return '';
+    }
+    const rules = sheet.cssRules;
+    let cssText = '';
+    for (let i = 0; i < rules.length; i++) {
+        cssText += rules[i].cssText + '\n';
+    }
+    return cssText;
+}
\ No newline at end of file
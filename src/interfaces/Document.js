@@ -3,6 +3,8 @@
 import $dom from '../dom.js';
 import $ce from '../custom-elements.js';
 import $mo from '../mutation-observers.js';
+import $traversal from '../traversal.js';
+import $Range from './Range.js';
 import $utils from '../utils.js';
 
 const originalCreateCDATASection = Document.prototype.createCDATASection;
@@ -14,6 +16,24 @@ const originalCreateProcessingInstruction = Document.prototype.createProcessingI
 const originalCreateTextNode = Document.prototype.createTextNode;
 
 export default {
+    install() {
+        $utils.extend(Document, documentMixin);
+        $utils.defineProperty(Document, 'parseHTMLUnsafe', { value: parseHTMLUnsafe });
+    }
+}
+
+const documentParser = new DOMParser();
+
+function parseHTMLUnsafe(html) {
+    return $ce.executeCEReactions(() => {
+        // https://html.spec.whatwg.org/multipage/dynamic-markup-insertion.html#dom-parsehtmlunsafe
+        const document = documentParser.parseFromString(String(html), 'text/html');
+        $dom.attachDeclarativeShadowRoots(document);
+        return document;
+    });
+}
+
+const documentMixin = {
     
     createCDATASection(data) {
         const section = originalCreateCDATASection.call(this, data);
@@ -57,6 +77,18 @@ export default {
         return text;
     },
 
+    createNodeIterator(root, whatToShow, filter, options) {
+        return $traversal.createNodeIterator(root, whatToShow, filter, options);
+    },
+
+    createRange() {
+        return $Range.createRange(this);
+    },
+
+    createTreeWalker(root, whatToShow, filter, options) {
+        return $traversal.createTreeWalker(root, whatToShow, filter, options);
+    },
+
     getElementsByTagName(qualifiedName) {
         return $dom.listOfElementsWithQualifiedName(this, qualifiedName);
     },
@@ -87,4 +119,4 @@ export default {
         });
     },
 
-};
\ No newline at end of file
+};
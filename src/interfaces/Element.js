@@ -2,24 +2,13 @@
 
 import $dom from '../dom.js';
 import $ce from '../custom-elements.js';
+import $selectors from '../selectors.js';
 import $utils from '../utils.js';
 import $Attr from '../interfaces/Attr.js';
 import $ShadowRoot from '../interfaces/ShadowRoot.js';
 
 export default {
     install() {
-        // Element.matches(selectors) polyfill from MDN
-        // https://developer.mozilla.org/en-US/docs/Web/API/Element/matches#Polyfill
-        // Purposefully chop out the polyfill function that uses querySelectorAll.
-        if (!Element.prototype.matches) {
-            Element.prototype.matches =
-                Element.prototype.matchesSelector ||
-                Element.prototype.mozMatchesSelector ||
-                Element.prototype.msMatchesSelector ||
-                Element.prototype.oMatchesSelector ||
-                Element.prototype.webkitMatchesSelector;
-        }
-
         if ($utils.brokenAccessors) {
             const attributesDescriptor = {
                 get: function () {
@@ -165,6 +154,17 @@ const elementMixin = {
             throw $utils.makeDOMException('TypeError');
         }
 
+        const slotAssignment = init.slotAssignment === undefined ? 'named' : init.slotAssignment;
+        if (slotAssignment !== 'named' && slotAssignment !== 'manual') {
+            throw $utils.makeDOMException('TypeError');
+        }
+
+        // https://wicg.github.io/webcomponents/proposals/Scoped-Custom-Element-Registries
+        const registry = init.registry == null ? null : init.registry;
+        if (registry !== null && $ce.isInstalled() && !$ce.isRegistry(registry)) {
+            throw $utils.makeDOMException('TypeError');
+        }
+
         if (this.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
             throw $utils.makeDOMException('NotSupportedError');
         }
@@ -193,6 +193,11 @@ const elementMixin = {
         $utils.setShadowState(shadow, {
             host: this,
             mode: init.mode,
+            delegatesFocus: init.delegatesFocus === true,
+            clonable: init.clonable === true,
+            serializable: init.serializable === true,
+            slotAssignment: slotAssignment,
+            registry: registry,
             childNodes: []
         });
 
@@ -229,16 +234,14 @@ const elementMixin = {
         return shadowRoot;
     },
 
-    // TODO: tests
-    closest(selectors) {
-        let element = this;
+    matches(selectors) {
+        // https://dom.spec.whatwg.org/#dom-element-matches
+        return $selectors.matches(this, selectors);
+    },
 
-        do {
-            if (element.matches(selectors)) {
-                return element;
-            }
-        }
-        while (element = element.parentElement);
+    closest(selectors) {
+        // https://dom.spec.whatwg.org/#dom-element-closest
+        return $selectors.closest(this, selectors);
     },
 
     getElementsByTagName(qualifiedName) {
@@ -285,6 +288,13 @@ const htmlElementMixin = {
 
     // https://w3c.github.io/DOM-Parsing/#extensions-to-the-element-interface
 
+    getHTML(options) {
+        // https://html.spec.whatwg.org/multipage/dynamic-markup-insertion.html#dom-element-gethtml
+        const serializableShadowRoots = options ? options.serializableShadowRoots === true : false;
+        const shadowRoots = options ? options.shadowRoots : null;
+        return $dom.serializeHTMLFragment(this, serializableShadowRoots, shadowRoots);
+    },
+
     // TODO: more thorough tests of the serialization
     get innerHTML() {
         // https://w3c.github.io/DOM-Parsing/#dom-element-innerhtml
@@ -295,14 +305,14 @@ const htmlElementMixin = {
     set innerHTML(value) {
         return $ce.executeCEReactions(() => {
             // https://w3c.github.io/DOM-Parsing/#dom-element-innerhtml
-            const fragment = $dom.parseHTMLFragment(value, this);
-            const content = this['content'];
-            if (content instanceof DocumentFragment) {
-                $dom.replaceAll(fragment, content);
-            }
-            else {
-                $dom.replaceAll(fragment, this);
-            }
+            $dom.replaceAllWithHTML(value, this);
+        });
+    },
+
+    setHTMLUnsafe(html) {
+        return $ce.executeCEReactions(() => {
+            // https://html.spec.whatwg.org/multipage/dynamic-markup-insertion.html#dom-element-sethtmlunsafe
+            $dom.replaceAllWithHTML(html, this);
         });
     },
 
@@ -0,0 +1,610 @@
+// https://html.spec.whatwg.org/multipage/custom-elements.html#the-elementinternals-interface
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#constructing-the-form-data-set
+// https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#constraints
+// https://html.spec.whatwg.org/multipage/custom-elements.html#customstateset
+//
+// Browsers without native custom elements do not know that form-associated
+// custom elements belong to forms, so their submission values are added to the
+// form data set here, and their validity is checked along with the form's own
+// controls when it is submitted or its checkValidity and reportValidity are called.
+//
+// Custom states are kept by custom-elements.js, which mirrors them into an
+// attribute that :state() is rewritten to match (see style-scoping.js).
+
+import $ce from '../custom-elements.js';
+import $dom from '../dom.js';
+import $microtask from '../microtask.js';
+import $mo from '../mutation-observers.js';
+import $utils from '../utils.js';
+
+export default {
+    install
+};
+
+const nativeFormCheckValidity = HTMLFormElement.prototype.checkValidity;
+const nativeFormReportValidity = HTMLFormElement.prototype.reportValidity;
+const nativeWindowAddEventListener = window.addEventListener;
+const documentCreateElementDescriptor = $utils.descriptor(Document, 'createElement');
+const elementSetAttributeDescriptor = $utils.descriptor(Element, 'setAttribute');
+const eventTargetDescriptor = $utils.descriptor(Event, 'target');
+const nodeAppendChildDescriptor = $utils.descriptor(Node, 'appendChild');
+const nodeParentNodeDescriptor = $utils.descriptor(Node, 'parentNode');
+const nodeRemoveChildDescriptor = $utils.descriptor(Node, 'removeChild');
+
+const supportsFormDataEvent = typeof window.FormDataEvent === 'function';
+
+const ATTR_NAME = 'name';
+const ATTR_READONLY = 'readonly';
+const ERROR_NOT_SUPPORTED = 'NotSupportedError';
+const EVENT_INVALID = 'invalid';
+const TAG_DATALIST = 'datalist';
+const TAG_FORM = 'form';
+const TAG_LABEL = 'label';
+
+const validityFlags = [
+    'valueMissing',
+    'typeMismatch',
+    'patternMismatch',
+    'tooLong',
+    'tooShort',
+    'rangeUnderflow',
+    'rangeOverflow',
+    'stepMismatch',
+    'badInput',
+    'customError'
+];
+
+let getEventTarget = event => eventTargetDescriptor.get.call(event);
+
+if ($utils.brokenAccessors) {
+    getEventTarget = event => event.target;
+}
+
+function install() {
+    $utils.extend(HTMLElement, htmlElementMixin);
+
+    window.ElementInternals = $ElementInternals;
+    window.CustomStateSet = $CustomStateSet;
+
+    $utils.extend(HTMLFormElement, htmlFormElementMixin);
+
+    // The browser validates its own controls before firing submit, so
+    // this goes first and stops the event like the browser would.
+    nativeWindowAddEventListener.call(window, 'submit', validateOnSubmit, true);
+
+    if (supportsFormDataEvent) {
+        nativeWindowAddEventListener.call(window, 'formdata', function (event) {
+            const formData = event.formData;
+            forEachEntry(getEventTarget(event), function (name, value) {
+                formData.append(name, value);
+            });
+        }, true);
+    }
+    else {
+        // The form data set is constructed right after the submit event,
+        // so hidden inputs can stand in for the entries until then.
+        nativeWindowAddEventListener.call(window, 'submit', function (event) {
+            if (!event.defaultPrevented) {
+                appendHiddenInputs(getEventTarget(event));
+            }
+        });
+    }
+
+    nativeWindowAddEventListener.call(window, 'reset', function (event) {
+        const form = getEventTarget(event);
+        if (!event.defaultPrevented && isForm(form)) {
+            $ce.executeCEReactions(() => $ce.resetFormAssociatedElements(form));
+        }
+    });
+}
+
+const htmlElementMixin = {
+
+    attachInternals() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-attachinternals
+        const internals = Object.create(elementInternalsPrototype);
+        $ce.attachInternals(this, internals);
+        $utils.setShadowState(internals, {
+            target: this,
+            submissionValue: null,
+            state: null,
+            validity: {},
+            validationMessage: '',
+            validationAnchor: null,
+            validityState: null,
+            states: null
+        });
+        return internals;
+    },
+
+};
+
+const htmlFormElementMixin = {
+
+    checkValidity() {
+        // https://html.spec.whatwg.org/multipage/forms.html#dom-form-checkvalidity
+        const valid = nativeFormCheckValidity.call(this);
+        return checkValidityOfElements(this, false) && valid;
+    },
+
+    reportValidity() {
+        // https://html.spec.whatwg.org/multipage/forms.html#dom-form-reportvalidity
+        // The problem with one of the form's own controls is the one that gets reported.
+        const valid = nativeFormReportValidity.call(this);
+        return checkValidityOfElements(this, valid) && valid;
+    },
+
+};
+
+function $ElementInternals() {
+    throw new TypeError('Illegal constructor');
+}
+
+const elementInternalsPrototype = {
+
+    get shadowRoot() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-shadowroot
+        const target = getInternalsState(this).target;
+        const targetState = $utils.getShadowState(target);
+        return targetState && targetState.shadowRoot || null;
+    },
+
+    get states() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-states
+        const internalsState = getInternalsState(this);
+        if (!internalsState.states) {
+            internalsState.states = Object.create(customStateSetPrototype);
+            $utils.setShadowState(internalsState.states, { target: internalsState.target });
+        }
+        return internalsState.states;
+    },
+
+    setFormValue(value, state) {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-setformvalue
+        const internalsState = getFormAssociatedState(this);
+        internalsState.submissionValue = copyFormValue(value);
+        internalsState.state = arguments.length < 2 ? internalsState.submissionValue : copyFormValue(state);
+    },
+
+    get form() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-form
+        return $ce.formOwner(getFormAssociatedState(this).target);
+    },
+
+    setValidity(flags, message, anchor) {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-setvalidity
+        const internalsState = getFormAssociatedState(this);
+        const target = internalsState.target;
+        flags = flags || {};
+
+        // 2. If flags contains one or more true values and message is not given or is the
+        // empty string, then throw a TypeError.
+        let invalid = false;
+        for (let i = 0; i < validityFlags.length; i++) {
+            if (flags[validityFlags[i]]) {
+                invalid = true;
+            }
+        }
+        if (invalid && !message) {
+            throw new TypeError('A validation message is required when a validity flag is set');
+        }
+
+        // 5. If anchor is given and it is not a shadow-including descendant of
+        // element, then throw a "NotFoundError" DOMException.
+        if (anchor != null && (anchor === target || !$dom.shadowIncludingInclusiveAncestor(target, anchor))) {
+            throw $utils.makeDOMException('NotFoundError');
+        }
+
+        // 3. For each entry flag → value of flags, set element's validity flag
+        // with the name flag to value.
+        const validity = {};
+        for (let i = 0; i < validityFlags.length; i++) {
+            validity[validityFlags[i]] = flags[validityFlags[i]] === true;
+        }
+        internalsState.validity = validity;
+
+        // 4. Set element's validation message to the empty string if message
+        // is not given or all of element's validity flags are false, or to
+        // message otherwise.
+        internalsState.validationMessage = invalid ? String(message) : '';
+
+        // 6. Set element's validation anchor to null if anchor is not given,
+        // or to anchor otherwise.
+        internalsState.validationAnchor = anchor || null;
+    },
+
+    get willValidate() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-willvalidate
+        return isCandidateForConstraintValidation(getFormAssociatedState(this).target);
+    },
+
+    get validity() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-validity
+        const internalsState = getFormAssociatedState(this);
+        if (!internalsState.validityState) {
+            internalsState.validityState = createValidityState(internalsState);
+        }
+        return internalsState.validityState;
+    },
+
+    get validationMessage() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-validationmessage
+        const internalsState = getFormAssociatedState(this);
+        if (!isCandidateForConstraintValidation(internalsState.target)) {
+            return '';
+        }
+        return internalsState.validationMessage;
+    },
+
+    checkValidity() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-checkvalidity
+        return checkValidityOfElement(getFormAssociatedState(this).target, false);
+    },
+
+    reportValidity() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-reportvalidity
+        return checkValidityOfElement(getFormAssociatedState(this).target, true);
+    },
+
+    get labels() {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-elementinternals-labels
+        const target = getFormAssociatedState(this).target;
+        const rootNode = $dom.root(target);
+        if (!rootNode.querySelectorAll) {
+            return [];
+        }
+        const labels = rootNode.querySelectorAll(TAG_LABEL);
+        const result = [];
+        for (let i = 0; i < labels.length; i++) {
+            if (labeledControl(labels[i], rootNode) === target) {
+                result.push(labels[i]);
+            }
+        }
+        return result;
+    },
+
+};
+
+$ElementInternals.prototype = elementInternalsPrototype;
+
+Object.defineProperty(elementInternalsPrototype, 'constructor', {
+    configurable: true,
+    writable: true,
+    value: $ElementInternals
+});
+
+function $CustomStateSet() {
+    throw new TypeError('Illegal constructor');
+}
+
+const customStateSetPrototype = {
+
+    get size() {
+        return getCustomStates(this).length;
+    },
+
+    add(value) {
+        // https://html.spec.whatwg.org/multipage/custom-elements.html#dom-customstateset-add
+        const target = getCustomStateSetTarget(this);
+        const states = getCustomStates(this);
+        value = String(value);
+        if (states.indexOf(value) === -1) {
+            $ce.setCustomStates(target, states.concat(value));
+        }
+        return this;
+    },
+
+    delete(value) {
+        const target = getCustomStateSetTarget(this);
+        const states = getCustomStates(this);
+        const index = states.indexOf(String(value));
+        if (index === -1) {
+            return false;
+        }
+        states.splice(index, 1);
+        $ce.setCustomStates(target, states);
+        return true;
+    },
+
+    has(value) {
+        return getCustomStates(this).indexOf(String(value)) !== -1;
+    },
+
+    clear() {
+        $ce.setCustomStates(getCustomStateSetTarget(this), []);
+    },
+
+    forEach(callback, thisArg) {
+        const states = getCustomStates(this);
+        for (let i = 0; i < states.length; i++) {
+            callback.call(thisArg, states[i], states[i], this);
+        }
+    },
+
+    values() {
+        return makeIterator(getCustomStates(this), state => state);
+    },
+
+    keys() {
+        return makeIterator(getCustomStates(this), state => state);
+    },
+
+    entries() {
+        return makeIterator(getCustomStates(this), state => [state, state]);
+    },
+
+};
+
+$CustomStateSet.prototype = customStateSetPrototype;
+
+Object.defineProperty(customStateSetPrototype, 'constructor', {
+    configurable: true,
+    writable: true,
+    value: $CustomStateSet
+});
+
+if (typeof Symbol === 'function' && Symbol.iterator) {
+    Object.defineProperty(customStateSetPrototype, Symbol.iterator, {
+        configurable: true,
+        writable: true,
+        value: customStateSetPrototype.values
+    });
+}
+
+function getCustomStateSetTarget(set) {
+    const setState = $utils.getShadowState(set);
+    if (!setState || !setState.target) {
+        throw new TypeError('Illegal invocation');
+    }
+    return setState.target;
+}
+
+function getCustomStates(set) {
+    // A copy, in insertion order.
+    return $ce.customStates(getCustomStateSetTarget(set));
+}
+
+function makeIterator(states, map) {
+    // Iterates over a snapshot, which is as good as it gets without a real Set.
+    let index = 0;
+    const iterator = {
+        next() {
+            if (index < states.length) {
+                return { value: map(states[index++]), done: false };
+            }
+            return { value: undefined, done: true };
+        }
+    };
+    if (typeof Symbol === 'function' && Symbol.iterator) {
+        iterator[Symbol.iterator] = function () {
+            return this;
+        };
+    }
+    return iterator;
+}
+
+function getInternalsState(internals) {
+    const internalsState = $utils.getShadowState(internals);
+    if (!internalsState || !internalsState.target) {
+        throw new TypeError('Illegal invocation');
+    }
+    return internalsState;
+}
+
+function getFormAssociatedState(internals) {
+    // The form-related members throw for elements that are not form-associated.
+    const internalsState = getInternalsState(internals);
+    if (!$ce.isFormAssociated(internalsState.target)) {
+        throw $utils.makeDOMException(ERROR_NOT_SUPPORTED);
+    }
+    return internalsState;
+}
+
+function copyFormValue(value) {
+    // Entries of a FormData are copied, other values are kept as they are.
+    if (value instanceof FormData && typeof value.forEach === 'function') {
+        const copy = new FormData();
+        value.forEach(function (entryValue, entryName) {
+            copy.append(entryName, entryValue);
+        });
+        return copy;
+    }
+    return value === undefined ? null : value;
+}
+
+function createValidityState(internalsState) {
+    const validityState = {};
+    for (let i = 0; i < validityFlags.length; i++) {
+        const flag = validityFlags[i];
+        Object.defineProperty(validityState, flag, {
+            get() {
+                return internalsState.validity[flag] === true;
+            },
+            enumerable: true
+        });
+    }
+    Object.defineProperty(validityState, 'valid', {
+        get() {
+            return isValid(internalsState);
+        },
+        enumerable: true
+    });
+    return validityState;
+}
+
+function isValid(internalsState) {
+    for (let i = 0; i < validityFlags.length; i++) {
+        if (internalsState.validity[validityFlags[i]]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function isCandidateForConstraintValidation(element) {
+    // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#barred-from-constraint-validation
+    if ($ce.isDisabled(element) || element.hasAttribute(ATTR_READONLY)) {
+        return false;
+    }
+    return !hasDatalistAncestor(element);
+}
+
+function hasDatalistAncestor(element) {
+    let ancestor = element.parentNode;
+    while (ancestor && ancestor.nodeType === Node.ELEMENT_NODE) {
+        if (ancestor.localName === TAG_DATALIST) {
+            return true;
+        }
+        ancestor = ancestor.parentNode;
+    }
+    return false;
+}
+
+function checkValidityOfElement(element, report) {
+    // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#check-validity-steps
+    // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#report-validity-steps
+    const internals = $ce.attachedInternals(element);
+    if (!internals || !isCandidateForConstraintValidation(element)) {
+        return true;
+    }
+    const internalsState = $utils.getShadowState(internals);
+    if (isValid(internalsState)) {
+        return true;
+    }
+    const invalidEvent = element.ownerDocument.createEvent('Event');
+    invalidEvent.initEvent(EVENT_INVALID, false, true);
+    const notCanceled = element.dispatchEvent(invalidEvent);
+    if (report && notCanceled) {
+        // There is no way to show the browser's own validation message
+        // for a custom element, so the best we can do is focus it.
+        (internalsState.validationAnchor || element).focus();
+    }
+    return false;
+}
+
+function checkValidityOfElements(form, report) {
+    const elements = formAssociatedElementsOf(form);
+    let valid = true;
+    for (let i = 0; i < elements.length; i++) {
+        // Only the first problem is reported to the user.
+        if (!checkValidityOfElement(elements[i], report && valid)) {
+            valid = false;
+        }
+    }
+    return valid;
+}
+
+function validateOnSubmit(event) {
+    // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#interactively-validate-the-constraints
+    const form = getEventTarget(event);
+    if (!isForm(form) || form.noValidate) {
+        return;
+    }
+    const submitter = event.submitter;
+    if (submitter && submitter.formNoValidate) {
+        return;
+    }
+    if (!checkValidityOfElements(form, true)) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+}
+
+function forEachEntry(form, callback) {
+    // https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#constructing-the-form-data-set
+    if (!isForm(form)) {
+        return;
+    }
+    const elements = formAssociatedElementsOf(form);
+    for (let i = 0; i < elements.length; i++) {
+        const element = elements[i];
+        const internals = $ce.attachedInternals(element);
+        if (!internals || $ce.isDisabled(element) || hasDatalistAncestor(element)) {
+            continue;
+        }
+        const value = $utils.getShadowState(internals).submissionValue;
+        if (value == null) {
+            continue;
+        }
+        // A FormData submission value provides its own names.
+        if (value instanceof FormData) {
+            if (typeof value.forEach === 'function') {
+                value.forEach(function (entryValue, entryName) {
+                    callback(entryName, entryValue);
+                });
+            }
+            continue;
+        }
+        const name = element.getAttribute(ATTR_NAME);
+        if (name) {
+            callback(name, value);
+        }
+    }
+}
+
+function appendHiddenInputs(form) {
+    const inputs = [];
+    $mo.withoutNativeRecords(() => {
+        forEachEntry(form, function (name, value) {
+            if (typeof value !== 'string') {
+                return;
+            }
+            const input = documentCreateElementDescriptor.value.call(form.ownerDocument, 'input');
+            elementSetAttributeDescriptor.value.call(input, 'type', 'hidden');
+            elementSetAttributeDescriptor.value.call(input, ATTR_NAME, name);
+            input.value = value;
+            nodeAppendChildDescriptor.value.call(form, input);
+            inputs.push(input);
+        });
+    });
+    if (inputs.length) {
+        $microtask.enqueue(function () {
+            $mo.withoutNativeRecords(() => {
+                for (let i = 0; i < inputs.length; i++) {
+                    nodeRemoveChildDescriptor.value.call(nodeParentNodeDescriptor.get.call(inputs[i]), inputs[i]);
+                }
+            });
+        });
+    }
+}
+
+function formAssociatedElementsOf(form) {
+    const elements = $ce.formAssociatedElements().filter(element => $ce.formOwner(element) === form);
+    // Tree order
+    return elements.sort(function (a, b) {
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+}
+
+function labeledControl(label, rootNode) {
+    // https://html.spec.whatwg.org/multipage/forms.html#labeled-control
+    if (label.hasAttribute('for')) {
+        const element = rootNode.getElementById ? rootNode.getElementById(label.getAttribute('for')) : null;
+        return element && isLabelable(element) ? element : null;
+    }
+    const firstChild = label.firstChild;
+    if (!firstChild) {
+        return null;
+    }
+    return $dom.treeOrderRecursiveSelectFirst(firstChild, isLabelable);
+}
+
+function isLabelable(node) {
+    // https://html.spec.whatwg.org/multipage/forms.html#category-label
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return false;
+    }
+    switch (node.localName) {
+        case 'button': case 'meter': case 'output':
+        case 'progress': case 'select': case 'textarea':
+            return true;
+        case 'input':
+            return node.type !== 'hidden';
+        default:
+            return $ce.isFormAssociated(node);
+    }
+}
+
+function isForm(node) {
+    return node != null && node.nodeType === Node.ELEMENT_NODE && node.localName === TAG_FORM;
+}
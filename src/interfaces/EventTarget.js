@@ -425,7 +425,10 @@ function getTheParent(node, event, path) {
             }
             return node.host;
         }
-        return node.assignedSlot || node.parentNode;
+        // A node's assigned slot is its parent even when the slot is in a closed shadow tree.
+        const nodeState = $utils.getShadowState(node);
+        const assignedSlot = nodeState ? nodeState.assignedSlot : null;
+        return assignedSlot || node.parentNode;
     }
 
     return null;
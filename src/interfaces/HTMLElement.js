@@ -0,0 +1,122 @@
+// https://html.spec.whatwg.org/multipage/dom.html#htmlelement
+// https://html.spec.whatwg.org/multipage/interaction.html#focus
+
+import $dom from '../dom.js';
+import $utils from '../utils.js';
+
+export default {
+    install
+};
+
+const nativeFocus = HTMLElement.prototype.focus;
+const nativeDocumentAddEventListener = document.addEventListener;
+const nativeDocumentActiveElement = $utils.descriptor(Document, 'activeElement');
+const eventTargetDescriptor = $utils.descriptor(Event, 'target');
+const nodeWalker = document.createTreeWalker(document, NodeFilter.SHOW_ALL, null, false);
+
+let getEventTarget = event => eventTargetDescriptor.get.call(event);
+
+if ($utils.brokenAccessors) {
+    getEventTarget = event => event.target;
+}
+
+function install() {
+    $utils.extend(HTMLElement, htmlElementMixin);
+
+    // Clicking on a part of a shadow tree that is not focusable should
+    // move focus to the host's focus delegate, if it has one.
+    nativeDocumentAddEventListener.call(document, 'mousedown', delegateClickFocus, true);
+}
+
+const htmlElementMixin = {
+
+    focus(options) {
+        // https://html.spec.whatwg.org/multipage/interaction.html#dom-focus
+        const shadowRoot = delegatingShadowRoot(this);
+        if (!shadowRoot) {
+            return nativeFocus.call(this, options);
+        }
+        if (focusIsWithin(this)) {
+            return;
+        }
+        const delegate = findFocusDelegate(shadowRoot);
+        if (delegate) {
+            nativeFocus.call(delegate, options);
+        }
+    },
+
+};
+
+function delegateClickFocus(event) {
+    let node = getEventTarget(event);
+    while (node && node.nodeType === Node.ELEMENT_NODE) {
+        // The physical tree is the flat tree, so we walk up it natively
+        // and let the browser handle anything that can take focus itself.
+        if (isFocusable(node)) {
+            return;
+        }
+        const shadowRoot = delegatingShadowRoot(node);
+        if (shadowRoot) {
+            if (focusIsWithin(node)) {
+                event.preventDefault();
+                return;
+            }
+            const delegate = findFocusDelegate(shadowRoot);
+            if (delegate) {
+                event.preventDefault();
+                nativeFocus.call(delegate);
+            }
+            return;
+        }
+        nodeWalker.currentNode = node;
+        node = nodeWalker.parentNode();
+    }
+}
+
+function delegatingShadowRoot(element) {
+    const elementState = $utils.getShadowState(element);
+    if (!elementState || !elementState.shadowRoot) {
+        return null;
+    }
+    const shadowRoot = elementState.shadowRoot;
+    return $utils.getShadowState(shadowRoot).delegatesFocus ? shadowRoot : null;
+}
+
+function focusIsWithin(host) {
+    const activeElement = nativeDocumentActiveElement.get.call(host.ownerDocument);
+    return activeElement != null && $dom.shadowIncludingInclusiveAncestor(host, activeElement);
+}
+
+function findFocusDelegate(shadowRoot) {
+    // https://html.spec.whatwg.org/multipage/interaction.html#focus-delegate
+    const firstChild = shadowRoot.firstChild;
+    if (!firstChild) {
+        return null;
+    }
+    let delegate = null;
+    $dom.treeOrderRecursiveSelectFirst(firstChild, function (node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return false;
+        }
+        if (isFocusable(node)) {
+            delegate = node;
+            return true;
+        }
+        const nestedShadowRoot = delegatingShadowRoot(node);
+        if (nestedShadowRoot) {
+            delegate = findFocusDelegate(nestedShadowRoot);
+        }
+        return delegate !== null;
+    });
+    return delegate;
+}
+
+function isFocusable(element) {
+    // https://html.spec.whatwg.org/multipage/interaction.html#focusable-area
+    // This is an approximation: natively focusable elements report a
+    // non-negative tabIndex, and anything else needs a tabindex attribute.
+    if (element.disabled === true || delegatingShadowRoot(element)) {
+        return false;
+    }
+    return element.tabIndex >= 0 || element.hasAttribute('tabindex');
+}
\ No newline at end of file
@@ -39,11 +39,42 @@ export default {
             if (shadowState) {
                 assignedNodes = shadowState.assignedNodes;
             }
-            return assignedNodes || [];
+            return assignedNodes ? assignedNodes.slice() : [];
         }
 
         // 2. Return the result of finding flattened slotables with this element.
         return $dom.findFlattenedSlotables(this);
     },
 
+    assignedElements(options) {
+        if (this.localName !== 'slot') {
+            return;
+        }
+
+        // https://html.spec.whatwg.org/multipage/scripting.html#dom-slot-assignedelements
+        // The assignedElements(options) method, when invoked, must run these steps:
+
+        // 1. If the value of options's flatten member is false, then return this 
+        // element's assigned nodes, filtered to contain only Element nodes.
+        // 2. Return the result of finding flattened slotables with this element, 
+        // filtered to contain only Element nodes.
+        return this.assignedNodes(options).filter($utils.isElementNode);
+    },
+
+    assign(...nodes) {
+        if (this.localName !== 'slot') {
+            return;
+        }
+
+        // https://html.spec.whatwg.org/multipage/scripting.html#dom-slot-assign
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            if (!(node instanceof Element) && !(node instanceof Text)) {
+                throw new TypeError('Only elements and text nodes can be assigned to a slot');
+            }
+        }
+
+        $dom.assignSlotablesManually(this, nodes);
+    },
+
 }
\ No newline at end of file
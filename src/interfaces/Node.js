@@ -3,6 +3,7 @@
 import $dom from '../dom.js';
 import $ce from '../custom-elements.js';
 import $utils from '../utils.js';
+import $Range from './Range.js';
 
 export default {
     install
@@ -226,32 +227,46 @@ const methodDescriptors = {
             // https://dom.spec.whatwg.org/#dom-node-normalize
             // The normalize() method, when invoked, must run these steps 
             // for each descendant exclusive Text node node of context object:
-            const childNodes = this.childNodes;
-            for (let i = 0; i < childNodes.length; i++) {
-                let childNode = childNodes[i];
-                if (childNode.nodeType === Node.TEXT_NODE) {
-                    let length = childNode.data.length;
-                    if (length === 0) {
-                        $dom.remove(childNode, this);
-                        continue;
-                    }
-                    let data = '';
-                    let contiguousTextNodes = new Array(childNodes.length);
-                    let contiguousCount = 0;
-                    let next = childNode;
-                    while (next = next.nextSibling && next.nodeType === Node.TEXT_NODE) {
-                        data += next.data;
-                        contiguousTextNodes[contiguousCount++] = next;
-                    }
-                    childNode.replaceData(length, 0, data);
-                    // TODO: (Range)
-                    for (let j = 0; j < contiguousCount; j++) {
-                        $dom.remove(contiguousTextNodes[j], this);
-                    }
-                }
-                else {
+            let childNode = this.firstChild;
+            while (childNode) {
+                if (childNode.nodeType !== Node.TEXT_NODE) {
                     childNode.normalize();
+                    childNode = childNode.nextSibling;
+                    continue;
+                }
+                // 1. Let length be node’s length.
+                let length = childNode.data.length;
+                // 2. If length is zero, then remove node and continue with the next exclusive Text node, if any.
+                if (length === 0) {
+                    const nextSibling = childNode.nextSibling;
+                    $dom.remove(childNode, this);
+                    childNode = nextSibling;
+                    continue;
+                }
+                // 3. Let data be the concatenation of the data of node’s contiguous 
+                // exclusive Text nodes (excluding itself), in tree order.
+                let data = '';
+                const contiguousTextNodes = [];
+                let next = childNode;
+                while ((next = next.nextSibling) && next.nodeType === Node.TEXT_NODE) {
+                    data += next.data;
+                    contiguousTextNodes.push(next);
+                }
+                // 4. Replace data with node node, offset length, count 0, and data data.
+                childNode.replaceData(length, 0, data);
+                // 5. Let currentNode be node’s next sibling.
+                // 6. While currentNode is an exclusive Text node: 
+                // update the live ranges and add currentNode’s length to length.
+                for (let j = 0; j < contiguousTextNodes.length; j++) {
+                    const currentNode = contiguousTextNodes[j];
+                    $Range.normalizeSteps(childNode, currentNode, length);
+                    length += currentNode.data.length;
+                }
+                // 7. Remove node’s contiguous exclusive Text nodes (excluding itself), in tree order.
+                for (let j = 0; j < contiguousTextNodes.length; j++) {
+                    $dom.remove(contiguousTextNodes[j], this);
                 }
+                childNode = childNode.nextSibling;
             }
         });
     },
@@ -0,0 +1,1199 @@
+// https://dom.spec.whatwg.org/#interface-range
+// https://w3c.github.io/DOM-Parsing/#extensions-to-the-range-interface
+// https://drafts.csswg.org/cssom-view/#extensions-to-the-range-interface
+
+import $dom from '../dom.js';
+import $ce from '../custom-elements.js';
+import $utils from '../utils.js';
+
+export default {
+    install,
+    createRange,
+    fromNativeRange,
+    toNativeRange,
+    logicalPoint,
+    physicalPoint,
+    splitTextSteps,
+    normalizeSteps
+};
+
+const nativeRange = window.Range;
+const nativeCreateRange = Document.prototype.createRange;
+const nativeSetStart = nativeRange.prototype.setStart;
+const nativeSetEnd = nativeRange.prototype.setEnd;
+const nativeGetClientRects = nativeRange.prototype.getClientRects;
+const nativeGetBoundingClientRect = nativeRange.prototype.getBoundingClientRect;
+const characterDataDataDescriptor = $utils.descriptor(CharacterData, 'data');
+const characterDataReplaceDataDescriptor = $utils.descriptor(CharacterData, 'replaceData');
+const nodeChildNodesDescriptor = $utils.descriptor(Node, 'childNodes');
+const nodeParentNodeDescriptor = $utils.descriptor(Node, 'parentNode');
+const nodeWalker = document.createTreeWalker(document, NodeFilter.SHOW_ALL, null, false);
+
+const START_TO_START = 0;
+const START_TO_END = 1;
+const END_TO_END = 2;
+const END_TO_START = 3;
+
+const ERROR_HIERARCHY_REQUEST = 'HierarchyRequestError';
+const ERROR_INDEX_SIZE = 'IndexSizeError';
+const ERROR_INVALID_NODE_TYPE = 'InvalidNodeTypeError';
+
+// Live ranges are kept track of by the root of their boundary points, so that a
+// change to a tree only looks at the ranges within it and the ranges of a tree
+// that is discarded go along with it. Without weak references, the ranges of a
+// tree that is kept (like the document) are held on to until they are detached.
+const supportsWeakRef = typeof window.WeakRef === 'function';
+const liveRangesByRoot = new WeakMap();
+
+function install() {
+    $dom.registerPreInsertingSteps(function (parent, child, count) {
+        // https://dom.spec.whatwg.org/#concept-node-insert (step 2)
+        const index = indexOf(child);
+        forEachLiveRange(parent, function (rangeState) {
+            if (rangeState.startNode === parent && rangeState.startOffset > index) {
+                rangeState.startOffset += count;
+            }
+            if (rangeState.endNode === parent && rangeState.endOffset > index) {
+                rangeState.endOffset += count;
+            }
+        });
+    });
+
+    $dom.registerPreRemovingSteps(function (node, parent) {
+        // https://dom.spec.whatwg.org/#concept-node-remove (steps 1 to 5)
+        const index = indexOf(node);
+        forEachLiveRange(parent, function (rangeState) {
+            if (inclusiveAncestor(node, rangeState.startNode)) {
+                rangeState.startNode = parent;
+                rangeState.startOffset = index;
+            }
+            if (inclusiveAncestor(node, rangeState.endNode)) {
+                rangeState.endNode = parent;
+                rangeState.endOffset = index;
+            }
+            if (rangeState.startNode === parent && rangeState.startOffset > index) {
+                rangeState.startOffset--;
+            }
+            if (rangeState.endNode === parent && rangeState.endOffset > index) {
+                rangeState.endOffset--;
+            }
+        });
+    });
+
+    $dom.registerInsertingSteps(function (node) {
+        // A tree that is inserted into another brings its ranges along.
+        const entries = liveRangesByRoot.get(node);
+        if (entries) {
+            const root = $dom.root(node);
+            if (root !== node) {
+                liveRangesByRoot.delete(node);
+                for (let i = 0; i < entries.length; i++) {
+                    const rangeState = supportsWeakRef ? entries[i].deref() : entries[i];
+                    if (rangeState) {
+                        rangeState.trackedRoot = null;
+                        trackRange(rangeState);
+                    }
+                }
+            }
+        }
+    });
+
+    $utils.extend(CharacterData, characterDataMixin);
+
+    $Range.prototype = rangePrototype;
+    $Range.START_TO_START = START_TO_START;
+    $Range.START_TO_END = START_TO_END;
+    $Range.END_TO_END = END_TO_END;
+    $Range.END_TO_START = END_TO_START;
+    window.Range = $Range;
+}
+
+function $Range() {
+    // https://dom.spec.whatwg.org/#dom-range-range
+    return createRange(window.document);
+}
+
+function createRange(document) {
+    // https://dom.spec.whatwg.org/#dom-document-createrange
+    const range = Object.create(rangePrototype);
+    const rangeState = $utils.setShadowState(range, {
+        startNode: document,
+        startOffset: 0,
+        endNode: document,
+        endOffset: 0,
+        trackedRoot: null,
+        trackingEntry: null
+    });
+    // The state is only reachable through the range, so it lives exactly as long.
+    rangeState.trackingEntry = supportsWeakRef ? new window.WeakRef(rangeState) : rangeState;
+    trackRange(rangeState);
+    return range;
+}
+
+function getRangeState(range) {
+    const rangeState = $utils.getShadowState(range);
+    if (!rangeState || !rangeState.startNode) {
+        throw new TypeError('Illegal invocation');
+    }
+    return rangeState;
+}
+
+function trackRange(rangeState) {
+    // Called whenever the boundary points of a range may have moved to another tree.
+    const root = rangeRoot(rangeState);
+    if (rangeState.trackedRoot === root) {
+        return;
+    }
+    untrackRange(rangeState);
+    const entries = liveRangesByRoot.get(root);
+    if (entries) {
+        entries.push(rangeState.trackingEntry);
+    }
+    else {
+        liveRangesByRoot.set(root, [rangeState.trackingEntry]);
+    }
+    rangeState.trackedRoot = root;
+}
+
+function untrackRange(rangeState) {
+    const entries = rangeState.trackedRoot ? liveRangesByRoot.get(rangeState.trackedRoot) : null;
+    if (entries) {
+        const index = entries.indexOf(rangeState.trackingEntry);
+        if (index !== -1) {
+            entries.splice(index, 1);
+        }
+    }
+    rangeState.trackedRoot = null;
+}
+
+function forEachLiveRange(node, callback) {
+    // Runs callback for the live ranges within the tree of node.
+    const entries = liveRangesByRoot.get($dom.root(node));
+    if (!entries) {
+        return;
+    }
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const rangeState = supportsWeakRef ? entries[i].deref() : entries[i];
+        if (!rangeState) {
+            entries.splice(i, 1);
+            continue;
+        }
+        callback(rangeState);
+    }
+}
+
+const rangePrototype = Object.create(nativeRange.prototype, {
+
+    constructor: {
+        value: $Range,
+        writable: true,
+        configurable: true
+    },
+
+    startContainer: {
+        get() {
+            return getRangeState(this).startNode;
+        }
+    },
+
+    startOffset: {
+        get() {
+            return getRangeState(this).startOffset;
+        }
+    },
+
+    endContainer: {
+        get() {
+            return getRangeState(this).endNode;
+        }
+    },
+
+    endOffset: {
+        get() {
+            return getRangeState(this).endOffset;
+        }
+    },
+
+    collapsed: {
+        get() {
+            return isCollapsed(getRangeState(this));
+        }
+    },
+
+    commonAncestorContainer: {
+        get() {
+            // https://dom.spec.whatwg.org/#dom-range-commonancestorcontainer
+            return commonAncestor(getRangeState(this));
+        }
+    },
+
+    setStart: {
+        value(node, offset) {
+            setStartOrEnd(getRangeState(this), node, offset, true);
+        }
+    },
+
+    setEnd: {
+        value(node, offset) {
+            setStartOrEnd(getRangeState(this), node, offset, false);
+        }
+    },
+
+    setStartBefore: {
+        value(node) {
+            setStartOrEnd(getRangeState(this), parentOf(node), indexOf(node), true);
+        }
+    },
+
+    setStartAfter: {
+        value(node) {
+            setStartOrEnd(getRangeState(this), parentOf(node), indexOf(node) + 1, true);
+        }
+    },
+
+    setEndBefore: {
+        value(node) {
+            setStartOrEnd(getRangeState(this), parentOf(node), indexOf(node), false);
+        }
+    },
+
+    setEndAfter: {
+        value(node) {
+            setStartOrEnd(getRangeState(this), parentOf(node), indexOf(node) + 1, false);
+        }
+    },
+
+    collapse: {
+        value(toStart) {
+            // https://dom.spec.whatwg.org/#dom-range-collapse
+            const rangeState = getRangeState(this);
+            if (toStart) {
+                rangeState.endNode = rangeState.startNode;
+                rangeState.endOffset = rangeState.startOffset;
+            }
+            else {
+                rangeState.startNode = rangeState.endNode;
+                rangeState.startOffset = rangeState.endOffset;
+            }
+        }
+    },
+
+    selectNode: {
+        value(node) {
+            selectNode(getRangeState(this), node);
+        }
+    },
+
+    selectNodeContents: {
+        value(node) {
+            // https://dom.spec.whatwg.org/#concept-range-select-contents
+            const rangeState = getRangeState(this);
+            if (node.nodeType === Node.DOCUMENT_TYPE_NODE) {
+                throw $utils.makeDOMException(ERROR_INVALID_NODE_TYPE);
+            }
+            rangeState.startNode = node;
+            rangeState.startOffset = 0;
+            rangeState.endNode = node;
+            rangeState.endOffset = nodeLength(node);
+            trackRange(rangeState);
+        }
+    },
+
+    compareBoundaryPoints: {
+        value(how, sourceRange) {
+            // https://dom.spec.whatwg.org/#dom-range-compareboundarypoints
+            const rangeState = getRangeState(this);
+            const sourceState = getRangeState(sourceRange);
+            if (how !== START_TO_START && how !== START_TO_END && how !== END_TO_END && how !== END_TO_START) {
+                throw $utils.makeDOMException('NotSupportedError');
+            }
+            if (rangeRoot(rangeState) !== rangeRoot(sourceState)) {
+                throw $utils.makeDOMException('WrongDocumentError');
+            }
+            switch (how) {
+                case START_TO_START:
+                    return position(rangeState.startNode, rangeState.startOffset, sourceState.startNode, sourceState.startOffset);
+                case START_TO_END:
+                    return position(rangeState.endNode, rangeState.endOffset, sourceState.startNode, sourceState.startOffset);
+                case END_TO_END:
+                    return position(rangeState.endNode, rangeState.endOffset, sourceState.endNode, sourceState.endOffset);
+                case END_TO_START:
+                    return position(rangeState.startNode, rangeState.startOffset, sourceState.endNode, sourceState.endOffset);
+            }
+        }
+    },
+
+    deleteContents: {
+        value() {
+            return $ce.executeCEReactions(() => {
+                deleteContents(getRangeState(this));
+            });
+        }
+    },
+
+    extractContents: {
+        value() {
+            return $ce.executeCEReactions(() => {
+                return extract(getRangeState(this));
+            });
+        }
+    },
+
+    cloneContents: {
+        value() {
+            return $ce.executeCEReactions(() => {
+                return cloneContents(getRangeState(this));
+            });
+        }
+    },
+
+    insertNode: {
+        value(node) {
+            return $ce.executeCEReactions(() => {
+                insertNode(getRangeState(this), node);
+            });
+        }
+    },
+
+    surroundContents: {
+        value(newParent) {
+            return $ce.executeCEReactions(() => {
+                // https://dom.spec.whatwg.org/#dom-range-surroundcontents
+                const rangeState = getRangeState(this);
+                // 1. If a non-Text node is partially contained in this, then throw an InvalidStateError.
+                if (hasPartiallyContainedNonText(rangeState)) {
+                    throw $utils.makeDOMException('InvalidStateError');
+                }
+                // 2. If newParent is a Document, DocumentType, or DocumentFragment node, then throw an InvalidNodeTypeError.
+                switch (newParent.nodeType) {
+                    case Node.DOCUMENT_NODE:
+                    case Node.DOCUMENT_TYPE_NODE:
+                    case Node.DOCUMENT_FRAGMENT_NODE:
+                        throw $utils.makeDOMException(ERROR_INVALID_NODE_TYPE);
+                }
+                // 3. Let fragment be the result of extracting this.
+                const fragment = extract(rangeState);
+                // 4. If newParent has children, then replace all with null within newParent.
+                if (newParent.firstChild) {
+                    $dom.replaceAll(null, newParent);
+                }
+                // 5. Insert newParent into this.
+                insertNode(rangeState, newParent);
+                // 6. Append fragment to newParent.
+                $dom.append(fragment, newParent);
+                // 7. Select newParent within this.
+                selectNode(rangeState, newParent);
+            });
+        }
+    },
+
+    cloneRange: {
+        value() {
+            // https://dom.spec.whatwg.org/#dom-range-clonerange
+            const rangeState = getRangeState(this);
+            const range = createRange(nodeDocument(rangeState.startNode));
+            const cloneState = $utils.getShadowState(range);
+            cloneState.startNode = rangeState.startNode;
+            cloneState.startOffset = rangeState.startOffset;
+            cloneState.endNode = rangeState.endNode;
+            cloneState.endOffset = rangeState.endOffset;
+            trackRange(cloneState);
+            return range;
+        }
+    },
+
+    detach: {
+        value() {
+            // https://dom.spec.whatwg.org/#dom-range-detach
+            // This does nothing natively, but it lets go of the range
+            // where it cannot be garbage collected otherwise.
+            const rangeState = getRangeState(this);
+            if (!supportsWeakRef) {
+                untrackRange(rangeState);
+            }
+        }
+    },
+
+    isPointInRange: {
+        value(node, offset) {
+            // https://dom.spec.whatwg.org/#dom-range-ispointinrange
+            const rangeState = getRangeState(this);
+            if ($dom.root(node) !== rangeRoot(rangeState)) {
+                return false;
+            }
+            validateBoundaryPoint(node, offset);
+            return position(node, offset, rangeState.startNode, rangeState.startOffset) !== -1
+                && position(node, offset, rangeState.endNode, rangeState.endOffset) !== 1;
+        }
+    },
+
+    comparePoint: {
+        value(node, offset) {
+            // https://dom.spec.whatwg.org/#dom-range-comparepoint
+            const rangeState = getRangeState(this);
+            if ($dom.root(node) !== rangeRoot(rangeState)) {
+                throw $utils.makeDOMException('WrongDocumentError');
+            }
+            validateBoundaryPoint(node, offset);
+            if (position(node, offset, rangeState.startNode, rangeState.startOffset) === -1) {
+                return -1;
+            }
+            if (position(node, offset, rangeState.endNode, rangeState.endOffset) === 1) {
+                return 1;
+            }
+            return 0;
+        }
+    },
+
+    intersectsNode: {
+        value(node) {
+            // https://dom.spec.whatwg.org/#dom-range-intersectsnode
+            const rangeState = getRangeState(this);
+            if ($dom.root(node) !== rangeRoot(rangeState)) {
+                return false;
+            }
+            const parent = node.parentNode;
+            if (!parent) {
+                return true;
+            }
+            const offset = indexOf(node);
+            return position(parent, offset, rangeState.endNode, rangeState.endOffset) === -1
+                && position(parent, offset + 1, rangeState.startNode, rangeState.startOffset) === 1;
+        }
+    },
+
+    toString: {
+        value() {
+            // https://dom.spec.whatwg.org/#dom-range-stringifier
+            const rangeState = getRangeState(this);
+            const startNode = rangeState.startNode;
+            const endNode = rangeState.endNode;
+            if (startNode === endNode && startNode.nodeType === Node.TEXT_NODE) {
+                return startNode.data.slice(rangeState.startOffset, rangeState.endOffset);
+            }
+            let string = '';
+            if (startNode.nodeType === Node.TEXT_NODE) {
+                string += startNode.data.slice(rangeState.startOffset);
+            }
+            const containedNodes = [];
+            selectContainedNodes(rangeState, commonAncestor(rangeState), containedNodes);
+            for (let i = 0; i < containedNodes.length; i++) {
+                const texts = [];
+                collectTexts(containedNodes[i], texts);
+                for (let j = 0; j < texts.length; j++) {
+                    string += texts[j].data;
+                }
+            }
+            if (endNode.nodeType === Node.TEXT_NODE) {
+                string += endNode.data.slice(0, rangeState.endOffset);
+            }
+            return string;
+        }
+    },
+
+    createContextualFragment: {
+        value(fragment) {
+            return $ce.executeCEReactions(() => {
+                // https://w3c.github.io/DOM-Parsing/#dom-range-createcontextualfragment
+                const node = getRangeState(this).startNode;
+                let element = null;
+                switch (node.nodeType) {
+                    case Node.ELEMENT_NODE:
+                        element = node;
+                        break;
+                    case Node.TEXT_NODE:
+                    case Node.COMMENT_NODE:
+                        element = node.parentElement;
+                        break;
+                }
+                const document = nodeDocument(node);
+                if (!element || element.localName === 'html') {
+                    element = document.createElement('body');
+                }
+                const fragmentNode = document.createDocumentFragment();
+                $dom.append($dom.parseHTMLFragment(String(fragment), element), fragmentNode);
+                return fragmentNode;
+            });
+        }
+    },
+
+    getClientRects: {
+        value() {
+            return nativeGetClientRects.call(toNativeRange(this));
+        }
+    },
+
+    getBoundingClientRect: {
+        value() {
+            return nativeGetBoundingClientRect.call(toNativeRange(this));
+        }
+    },
+
+});
+
+const characterDataMixin = {
+
+    get data() {
+        return characterDataDataDescriptor.get.call(this);
+    },
+
+    set data(value) {
+        // https://dom.spec.whatwg.org/#dom-characterdata-data
+        replaceData(this, 0, this.length, value === null ? '' : String(value));
+    },
+
+    appendData(data) {
+        replaceData(this, this.length, 0, String(data));
+    },
+
+    insertData(offset, data) {
+        replaceData(this, offset, 0, String(data));
+    },
+
+    deleteData(offset, count) {
+        replaceData(this, offset, count, '');
+    },
+
+    replaceData(offset, count, data) {
+        replaceData(this, offset, count, String(data));
+    },
+
+};
+
+function replaceData(node, offset, count, data) {
+    // https://dom.spec.whatwg.org/#concept-cd-replace
+    offset = offset >>> 0;
+    count = count >>> 0;
+    const length = node.length;
+    characterDataReplaceDataDescriptor.value.call(node, offset, count, data);
+    if (offset + count > length) {
+        count = length - offset;
+    }
+    // 8. For each live range whose start node is node and start offset is
+    // greater than offset but less than or equal to offset plus count, set its start offset to offset.
+    // 9. (The same for the end.)
+    // 10. For each live range whose start node is node and start offset is greater
+    // than offset plus count, increase its start offset by data’s length and decrease it by count.
+    // 11. (The same for the end.)
+    forEachLiveRange(node, function (rangeState) {
+        if (rangeState.startNode === node) {
+            rangeState.startOffset = replacedOffset(rangeState.startOffset, offset, count, data.length);
+        }
+        if (rangeState.endNode === node) {
+            rangeState.endOffset = replacedOffset(rangeState.endOffset, offset, count, data.length);
+        }
+    });
+}
+
+function replacedOffset(boundaryOffset, offset, count, dataLength) {
+    if (boundaryOffset > offset + count) {
+        return boundaryOffset + dataLength - count;
+    }
+    if (boundaryOffset > offset) {
+        return offset;
+    }
+    return boundaryOffset;
+}
+
+function splitTextSteps(node, offset, newNode, parent) {
+    // https://dom.spec.whatwg.org/#concept-text-split (step 7)
+    const index = indexOf(node);
+    forEachLiveRange(node, function (rangeState) {
+        if (rangeState.startNode === node && rangeState.startOffset > offset) {
+            rangeState.startNode = newNode;
+            rangeState.startOffset -= offset;
+        }
+        if (rangeState.endNode === node && rangeState.endOffset > offset) {
+            rangeState.endNode = newNode;
+            rangeState.endOffset -= offset;
+        }
+        if (rangeState.startNode === parent && rangeState.startOffset === index + 1) {
+            rangeState.startOffset++;
+        }
+        if (rangeState.endNode === parent && rangeState.endOffset === index + 1) {
+            rangeState.endOffset++;
+        }
+    });
+}
+
+function normalizeSteps(node, currentNode, length) {
+    // https://dom.spec.whatwg.org/#dom-node-normalize (steps 6.1 to 6.4)
+    const parent = currentNode.parentNode;
+    const index = indexOf(currentNode);
+    forEachLiveRange(node, function (rangeState) {
+        if (rangeState.startNode === currentNode) {
+            rangeState.startNode = node;
+            rangeState.startOffset += length;
+        }
+        if (rangeState.endNode === currentNode) {
+            rangeState.endNode = node;
+            rangeState.endOffset += length;
+        }
+        if (rangeState.startNode === parent && rangeState.startOffset === index) {
+            rangeState.startNode = node;
+            rangeState.startOffset = length;
+        }
+        if (rangeState.endNode === parent && rangeState.endOffset === index) {
+            rangeState.endNode = node;
+            rangeState.endOffset = length;
+        }
+    });
+}
+
+// Boundary points
+
+function setStartOrEnd(rangeState, node, offset, start) {
+    // https://dom.spec.whatwg.org/#concept-range-bp-set
+    offset = offset >>> 0;
+    validateBoundaryPoint(node, offset);
+    const root = $dom.root(node);
+    if (start) {
+        if (rangeRoot(rangeState) !== root || position(node, offset, rangeState.endNode, rangeState.endOffset) === 1) {
+            rangeState.endNode = node;
+            rangeState.endOffset = offset;
+        }
+        rangeState.startNode = node;
+        rangeState.startOffset = offset;
+    }
+    else {
+        if (rangeRoot(rangeState) !== root || position(node, offset, rangeState.startNode, rangeState.startOffset) === -1) {
+            rangeState.startNode = node;
+            rangeState.startOffset = offset;
+        }
+        rangeState.endNode = node;
+        rangeState.endOffset = offset;
+    }
+    trackRange(rangeState);
+}
+
+function validateBoundaryPoint(node, offset) {
+    if (!(node instanceof Node)) {
+        throw new TypeError('Argument 1 is not a Node');
+    }
+    if (node.nodeType === Node.DOCUMENT_TYPE_NODE) {
+        throw $utils.makeDOMException(ERROR_INVALID_NODE_TYPE);
+    }
+    if (offset > nodeLength(node)) {
+        throw $utils.makeDOMException(ERROR_INDEX_SIZE);
+    }
+}
+
+function position(nodeA, offsetA, nodeB, offsetB) {
+    // https://dom.spec.whatwg.org/#concept-range-bp-position
+    // Returns -1, 0 or 1 for before, equal and after.
+    if (nodeA === nodeB) {
+        return offsetA === offsetB ? 0 : offsetA < offsetB ? -1 : 1;
+    }
+    if (following(nodeA, nodeB)) {
+        return -position(nodeB, offsetB, nodeA, offsetA);
+    }
+    if (inclusiveAncestor(nodeA, nodeB)) {
+        let child = nodeB;
+        while (child.parentNode !== nodeA) {
+            child = child.parentNode;
+        }
+        if (indexOf(child) < offsetA) {
+            return 1;
+        }
+    }
+    return -1;
+}
+
+function following(nodeA, nodeB) {
+    // Whether nodeA follows nodeB in tree order (both being in the same tree).
+    const ancestorsA = inclusiveAncestors(nodeA);
+    const ancestorsB = inclusiveAncestors(nodeB);
+    let i = 0;
+    while (i < ancestorsA.length && i < ancestorsB.length && ancestorsA[i] === ancestorsB[i]) {
+        i++;
+    }
+    if (i === ancestorsB.length) {
+        // nodeB is an ancestor of nodeA.
+        return i < ancestorsA.length;
+    }
+    if (i === ancestorsA.length) {
+        return false;
+    }
+    return indexOf(ancestorsA[i]) > indexOf(ancestorsB[i]);
+}
+
+function inclusiveAncestors(node) {
+    // From the root down to node.
+    const ancestors = [];
+    while (node) {
+        ancestors.unshift(node);
+        node = node.parentNode;
+    }
+    return ancestors;
+}
+
+function inclusiveAncestor(ancestor, node) {
+    while (node) {
+        if (node === ancestor) {
+            return true;
+        }
+        node = node.parentNode;
+    }
+    return false;
+}
+
+function rangeRoot(rangeState) {
+    return $dom.root(rangeState.startNode);
+}
+
+function isCollapsed(rangeState) {
+    return rangeState.startNode === rangeState.endNode && rangeState.startOffset === rangeState.endOffset;
+}
+
+function commonAncestor(rangeState) {
+    let container = rangeState.startNode;
+    while (!inclusiveAncestor(container, rangeState.endNode)) {
+        container = container.parentNode;
+    }
+    return container;
+}
+
+function contained(rangeState, node) {
+    // https://dom.spec.whatwg.org/#contained
+    return $dom.root(node) === rangeRoot(rangeState)
+        && position(node, 0, rangeState.startNode, rangeState.startOffset) === 1
+        && position(node, nodeLength(node), rangeState.endNode, rangeState.endOffset) === -1;
+}
+
+function partiallyContained(rangeState, node) {
+    // https://dom.spec.whatwg.org/#partially-contained
+    return inclusiveAncestor(node, rangeState.startNode) !== inclusiveAncestor(node, rangeState.endNode);
+}
+
+function hasPartiallyContainedNonText(rangeState) {
+    const ancestors = inclusiveAncestors(rangeState.startNode).concat(inclusiveAncestors(rangeState.endNode));
+    for (let i = 0; i < ancestors.length; i++) {
+        const ancestor = ancestors[i];
+        if (ancestor.nodeType !== Node.TEXT_NODE && partiallyContained(rangeState, ancestor)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function selectContainedNodes(rangeState, node, results) {
+    // The nodes contained in the range, omitting those whose parent is contained as well.
+    let child = node.firstChild;
+    while (child) {
+        if (contained(rangeState, child)) {
+            results.push(child);
+        }
+        else if (partiallyContained(rangeState, child)) {
+            selectContainedNodes(rangeState, child, results);
+        }
+        child = child.nextSibling;
+    }
+}
+
+function selectNode(rangeState, node) {
+    // https://dom.spec.whatwg.org/#concept-range-select
+    const parent = parentOf(node);
+    const index = indexOf(node);
+    rangeState.startNode = parent;
+    rangeState.startOffset = index;
+    rangeState.endNode = parent;
+    rangeState.endOffset = index + 1;
+    trackRange(rangeState);
+}
+
+// Mutation
+
+function deleteContents(rangeState) {
+    // https://dom.spec.whatwg.org/#dom-range-deletecontents
+    // 1. If this is collapsed, then return.
+    if (isCollapsed(rangeState)) {
+        return;
+    }
+    // 2. Let original start node, original start offset, original end node,
+    // and original end offset be this’s start node, start offset, end node, and end offset, respectively.
+    const originalStartNode = rangeState.startNode;
+    const originalStartOffset = rangeState.startOffset;
+    const originalEndNode = rangeState.endNode;
+    const originalEndOffset = rangeState.endOffset;
+
+    // 3. If original start node is original end node and it is a CharacterData node,
+    // then replace data with node original start node, offset original start offset,
+    // count original end offset minus original start offset, and data the empty string, and then return.
+    if (originalStartNode === originalEndNode && isCharacterData(originalStartNode)) {
+        replaceData(originalStartNode, originalStartOffset, originalEndOffset - originalStartOffset, '');
+        return;
+    }
+
+    // 4. Let nodes to remove be a list of all the nodes that are contained in this,
+    // in tree order, omitting any node whose parent is also contained in this.
+    const nodesToRemove = [];
+    selectContainedNodes(rangeState, commonAncestor(rangeState), nodesToRemove);
+
+    // 5. If original start node is an inclusive ancestor of original end node,
+    // set new node to original start node and new offset to original start offset.
+    // 6. Otherwise: ...
+    const newPoint = collapsedPoint(originalStartNode, originalStartOffset, originalEndNode);
+
+    // 7. If original start node is a CharacterData node, then replace data with node original start node,
+    // offset original start offset, count original start node’s length minus original start offset, data the empty string.
+    if (isCharacterData(originalStartNode)) {
+        replaceData(originalStartNode, originalStartOffset, nodeLength(originalStartNode) - originalStartOffset, '');
+    }
+
+    // 8. For each node in nodes to remove, in tree order, remove node.
+    for (let i = 0; i < nodesToRemove.length; i++) {
+        $dom.remove(nodesToRemove[i], nodesToRemove[i].parentNode);
+    }
+
+    // 9. If original end node is a CharacterData node, then replace data with node original end node,
+    // offset 0, count original end offset and data the empty string.
+    if (isCharacterData(originalEndNode)) {
+        replaceData(originalEndNode, 0, originalEndOffset, '');
+    }
+
+    // 10. Set start and end to (new node, new offset).
+    rangeState.startNode = rangeState.endNode = newPoint.node;
+    rangeState.startOffset = rangeState.endOffset = newPoint.offset;
+}
+
+function extract(rangeState) {
+    // https://dom.spec.whatwg.org/#concept-range-extract
+    return extractOrClone(rangeState, true);
+}
+
+function cloneContents(rangeState) {
+    // https://dom.spec.whatwg.org/#concept-range-clone
+    return extractOrClone(rangeState, false);
+}
+
+function extractOrClone(rangeState, extracting) {
+    // The extract and clone algorithms only differ in whether the
+    // range's contents are moved (and the range collapsed) or cloned.
+
+    // 1. Let fragment be a new DocumentFragment node whose node document is range’s start node’s node document.
+    const fragment = nodeDocument(rangeState.startNode).createDocumentFragment();
+
+    // 2. If range is collapsed, then return fragment.
+    if (isCollapsed(rangeState)) {
+        return fragment;
+    }
+
+    // 3. Let original start node, original start offset, original end node, and original end offset
+    // be range’s start node, start offset, end node, and end offset, respectively.
+    const originalStartNode = rangeState.startNode;
+    const originalStartOffset = rangeState.startOffset;
+    const originalEndNode = rangeState.endNode;
+    const originalEndOffset = rangeState.endOffset;
+
+    // 4. If original start node is original end node and it is a CharacterData node, then:
+    if (originalStartNode === originalEndNode && isCharacterData(originalStartNode)) {
+        const clone = $dom.clone(originalStartNode);
+        clone.data = originalStartNode.data.slice(originalStartOffset, originalEndOffset);
+        $dom.append(clone, fragment);
+        if (extracting) {
+            replaceData(originalStartNode, originalStartOffset, originalEndOffset - originalStartOffset, '');
+        }
+        return fragment;
+    }
+
+    // 5. Let common ancestor be original start node.
+    // 6. While common ancestor is not an inclusive ancestor of original end node, set common ancestor to its own parent.
+    const commonAncestorNode = commonAncestor(rangeState);
+
+    // 7. Let first partially contained child be null.
+    // 8. If original start node is not an inclusive ancestor of original end node,
+    // set first partially contained child to the first child of common ancestor that is partially contained in range.
+    // 9. Let last partially contained child be null.
+    // 10. If original end node is not an inclusive ancestor of original start node,
+    // set last partially contained child to the last child of common ancestor that is partially contained in range.
+    // 11. Let contained children be a list of all children of common ancestor that are contained in range, in tree order.
+    const partiallyContainedChildren = [];
+    const containedChildren = [];
+    let child = commonAncestorNode.firstChild;
+    while (child) {
+        if (contained(rangeState, child)) {
+            // 12. If any member of contained children is a doctype, then throw a HierarchyRequestError.
+            if (child.nodeType === Node.DOCUMENT_TYPE_NODE) {
+                throw $utils.makeDOMException(ERROR_HIERARCHY_REQUEST);
+            }
+            containedChildren.push(child);
+        }
+        else if (partiallyContained(rangeState, child)) {
+            partiallyContainedChildren.push(child);
+        }
+        child = child.nextSibling;
+    }
+    const firstPartiallyContainedChild = inclusiveAncestor(originalStartNode, originalEndNode)
+        ? null
+        : partiallyContainedChildren[0];
+    const lastPartiallyContainedChild = inclusiveAncestor(originalEndNode, originalStartNode)
+        ? null
+        : partiallyContainedChildren[partiallyContainedChildren.length - 1];
+
+    // 13. If original start node is an inclusive ancestor of original end node,
+    // set new node to original start node and new offset to original start offset.
+    // 14. Otherwise: ...
+    const newPoint = extracting ? collapsedPoint(originalStartNode, originalStartOffset, originalEndNode) : null;
+
+    // 15. If first partially contained child is a CharacterData node, then:
+    if (firstPartiallyContainedChild && isCharacterData(firstPartiallyContainedChild)) {
+        const clone = $dom.clone(originalStartNode);
+        clone.data = originalStartNode.data.slice(originalStartOffset);
+        $dom.append(clone, fragment);
+        if (extracting) {
+            replaceData(originalStartNode, originalStartOffset, nodeLength(originalStartNode) - originalStartOffset, '');
+        }
+    }
+    // 16. Otherwise, if first partially contained child is not null:
+    else if (firstPartiallyContainedChild) {
+        const clone = $dom.clone(firstPartiallyContainedChild);
+        $dom.append(clone, fragment);
+        const subrange = {
+            startNode: originalStartNode,
+            startOffset: originalStartOffset,
+            endNode: firstPartiallyContainedChild,
+            endOffset: nodeLength(firstPartiallyContainedChild)
+        };
+        $dom.append(extractOrClone(subrange, extracting), clone);
+    }
+
+    // 17. For each contained child in contained children, append (or a clone of) contained child to fragment.
+    for (let i = 0; i < containedChildren.length; i++) {
+        const containedChild = containedChildren[i];
+        $dom.append(extracting ? containedChild : $dom.clone(containedChild, undefined, true), fragment);
+    }
+
+    // 18. If last partially contained child is a CharacterData node, then:
+    if (lastPartiallyContainedChild && isCharacterData(lastPartiallyContainedChild)) {
+        const clone = $dom.clone(originalEndNode);
+        clone.data = originalEndNode.data.slice(0, originalEndOffset);
+        $dom.append(clone, fragment);
+        if (extracting) {
+            replaceData(originalEndNode, 0, originalEndOffset, '');
+        }
+    }
+    // 19. Otherwise, if last partially contained child is not null:
+    else if (lastPartiallyContainedChild) {
+        const clone = $dom.clone(lastPartiallyContainedChild);
+        $dom.append(clone, fragment);
+        const subrange = {
+            startNode: lastPartiallyContainedChild,
+            startOffset: 0,
+            endNode: originalEndNode,
+            endOffset: originalEndOffset
+        };
+        $dom.append(extractOrClone(subrange, extracting), clone);
+    }
+
+    // 20. Set range’s start and end to (new node, new offset).
+    if (extracting) {
+        rangeState.startNode = rangeState.endNode = newPoint.node;
+        rangeState.startOffset = rangeState.endOffset = newPoint.offset;
+    }
+
+    // 21. Return fragment.
+    return fragment;
+}
+
+function collapsedPoint(originalStartNode, originalStartOffset, originalEndNode) {
+    // Where a range ends up after its contents have been removed.
+    if (inclusiveAncestor(originalStartNode, originalEndNode)) {
+        return { node: originalStartNode, offset: originalStartOffset };
+    }
+    let referenceNode = originalStartNode;
+    while (referenceNode.parentNode && !inclusiveAncestor(referenceNode.parentNode, originalEndNode)) {
+        referenceNode = referenceNode.parentNode;
+    }
+    return { node: referenceNode.parentNode, offset: indexOf(referenceNode) + 1 };
+}
+
+function insertNode(rangeState, node) {
+    // https://dom.spec.whatwg.org/#concept-range-insert
+    const startNode = rangeState.startNode;
+
+    // 1. If range’s start node is a ProcessingInstruction or Comment node, is a Text node
+    // whose parent is null, or is node, then throw a HierarchyRequestError.
+    if (startNode.nodeType === Node.PROCESSING_INSTRUCTION_NODE ||
+        startNode.nodeType === Node.COMMENT_NODE ||
+        (startNode.nodeType === Node.TEXT_NODE && !startNode.parentNode) ||
+        startNode === node) {
+        throw $utils.makeDOMException(ERROR_HIERARCHY_REQUEST);
+    }
+
+    // 2. Let referenceNode be null.
+    // 3. If range’s start node is a Text node, set referenceNode to that Text node.
+    // 4. Otherwise, set referenceNode to the child of start node whose index is start offset, and null if there is no such child.
+    let referenceNode = startNode.nodeType === Node.TEXT_NODE
+        ? startNode
+        : startNode.childNodes[rangeState.startOffset] || null;
+
+    // 5. Let parent be range’s start node if referenceNode is null, and referenceNode’s parent otherwise.
+    const parent = referenceNode ? referenceNode.parentNode : startNode;
+
+    // 6. Ensure pre-insertion validity of node into parent before referenceNode.
+    $dom.ensurePreInsertionValidity(node, parent, referenceNode);
+
+    // 7. If range’s start node is a Text node, set referenceNode to the result of splitting it with offset range’s start offset.
+    if (startNode.nodeType === Node.TEXT_NODE) {
+        referenceNode = startNode.splitText(rangeState.startOffset);
+    }
+
+    // 8. If node is referenceNode, set referenceNode to its next sibling.
+    if (node === referenceNode) {
+        referenceNode = referenceNode.nextSibling;
+    }
+
+    // 9. If node’s parent is non-null, then remove node.
+    if (node.parentNode) {
+        $dom.remove(node, node.parentNode);
+    }
+
+    // 10. Let newOffset be parent’s length if referenceNode is null, and referenceNode’s index otherwise.
+    let newOffset = referenceNode ? indexOf(referenceNode) : nodeLength(parent);
+
+    // 11. Increase newOffset by node’s length if node is a DocumentFragment node, and one otherwise.
+    newOffset += node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? nodeLength(node) : 1;
+
+    // 12. Pre-insert node into parent before referenceNode.
+    $dom.preInsert(node, parent, referenceNode);
+
+    // 13. If range is collapsed, then set range’s end to (parent, newOffset).
+    if (isCollapsed(rangeState)) {
+        rangeState.endNode = parent;
+        rangeState.endOffset = newOffset;
+    }
+}
+
+// Rendering
+
+function fromNativeRange(range) {
+    // Native ranges have their boundary points in the rendered tree.
+    const start = logicalPoint(range.startContainer, range.startOffset);
+    const end = logicalPoint(range.endContainer, range.endOffset);
+    const result = createRange(nodeDocument(start.node));
+    const resultState = $utils.getShadowState(result);
+    resultState.startNode = start.node;
+    resultState.startOffset = start.offset;
+    resultState.endNode = end.node;
+    resultState.endOffset = end.offset;
+    trackRange(resultState);
+    return result;
+}
+
+function toNativeRange(range) {
+    const rangeState = getRangeState(range);
+    const start = physicalPoint(rangeState.startNode, rangeState.startOffset);
+    const end = physicalPoint(rangeState.endNode, rangeState.endOffset);
+    const result = nativeCreateRange.call(nodeDocument(start.node));
+    nativeSetStart.call(result, start.node, start.offset);
+    nativeSetEnd.call(result, end.node, end.offset);
+    return result;
+}
+
+function logicalPoint(node, offset) {
+    // Native boundary points are in the physical (flattened) tree, where
+    // hosts contain their shadow trees and slots contain their assigned nodes.
+    const nodeState = $utils.getShadowState(node);
+    if (!nodeState || !nodeState.childNodes || node.nodeType !== Node.ELEMENT_NODE) {
+        return { node, offset };
+    }
+    nodeWalker.currentNode = node;
+    let child = nodeWalker.firstChild();
+    let previousChild = null;
+    for (let i = 0; child && i < offset; i++) {
+        previousChild = child;
+        child = nodeWalker.nextSibling();
+    }
+    // The boundary is before child, or after the last child if there is none.
+    const physicalChild = child || previousChild;
+    const after = !child;
+    if (!physicalChild) {
+        return { node: nodeState.shadowRoot || node, offset: 0 };
+    }
+    const parent = physicalChild.parentNode;
+    const index = parent ? Array.prototype.indexOf.call(parent.childNodes, physicalChild) : -1;
+    if (index === -1) {
+        // Adopted style sheets are rendered after the shadow root's children.
+        const shadowRoot = nodeState.shadowRoot || node;
+        return { node: shadowRoot, offset: shadowRoot.childNodes.length };
+    }
+    return { node: parent, offset: after ? index + 1 : index };
+}
+
+function physicalPoint(node, offset) {
+    // The reverse of logicalPoint: shadow roots are rendered within their
+    // hosts, and the children of hosts and slots may be rendered elsewhere.
+    const nodeState = $utils.getShadowState(node);
+    if (!nodeState || !nodeState.childNodes || isCharacterData(node)) {
+        return { node, offset };
+    }
+    const container = $dom.isShadowRoot(node) ? nodeState.host : node;
+    const childNodes = nodeState.childNodes;
+    const after = offset >= childNodes.length;
+    const child = after ? childNodes[childNodes.length - 1] : childNodes[offset];
+    const parent = child ? nodeParentNodeDescriptor.get.call(child) : null;
+    if (!parent) {
+        return { node: container, offset: 0 };
+    }
+    const index = Array.prototype.indexOf.call(nodeChildNodesDescriptor.get.call(parent), child);
+    return { node: parent, offset: after ? index + 1 : index };
+}
+
+// Utilities
+
+function nodeLength(node) {
+    // https://dom.spec.whatwg.org/#concept-node-length
+    switch (node.nodeType) {
+        case Node.DOCUMENT_TYPE_NODE:
+            return 0;
+        case Node.TEXT_NODE:
+        case Node.CDATA_SECTION_NODE:
+        case Node.PROCESSING_INSTRUCTION_NODE:
+        case Node.COMMENT_NODE:
+            return node.data.length;
+        default:
+            return node.childNodes.length;
+    }
+}
+
+function indexOf(node) {
+    const parent = node.parentNode;
+    return parent ? Array.prototype.indexOf.call(parent.childNodes, node) : 0;
+}
+
+function parentOf(node) {
+    const parent = node.parentNode;
+    if (!parent) {
+        throw $utils.makeDOMException(ERROR_INVALID_NODE_TYPE);
+    }
+    return parent;
+}
+
+function nodeDocument(node) {
+    return node.nodeType === Node.DOCUMENT_NODE ? node : node.ownerDocument;
+}
+
+function isCharacterData(node) {
+    switch (node.nodeType) {
+        case Node.TEXT_NODE:
+        case Node.CDATA_SECTION_NODE:
+        case Node.PROCESSING_INSTRUCTION_NODE:
+        case Node.COMMENT_NODE:
+            return true;
+    }
+    return false;
+}
+
+function collectTexts(node, results) {
+    // The Text nodes that are inclusive descendants of node, in tree order.
+    if (node.nodeType === Node.TEXT_NODE) {
+        results.push(node);
+    }
+    else if (node.firstChild) {
+        $dom.treeOrderRecursiveSelectAll(node.firstChild, results, isText);
+    }
+}
+
+function isText(node) {
+    return node.nodeType === Node.TEXT_NODE;
+}
@@ -0,0 +1,317 @@
+// https://w3c.github.io/selection-api/#selection-interface
+// https://w3c.github.io/selection-api/#dom-selection-getcomposedranges
+
+import $dom from '../dom.js';
+import $utils from '../utils.js';
+import $Range from './Range.js';
+
+export default {
+    install,
+    getSelection
+};
+
+const nativeDocumentGetSelection = Document.prototype.getSelection;
+const nativeGetRangeAt = Selection.prototype.getRangeAt;
+const selectionAnchorNodeDescriptor = $utils.descriptor(Selection, 'anchorNode');
+const selectionAnchorOffsetDescriptor = $utils.descriptor(Selection, 'anchorOffset');
+const selectionFocusNodeDescriptor = $utils.descriptor(Selection, 'focusNode');
+const selectionFocusOffsetDescriptor = $utils.descriptor(Selection, 'focusOffset');
+const selectionRangeCountDescriptor = $utils.descriptor(Selection, 'rangeCount');
+const nativeAddRange = Selection.prototype.addRange;
+const nativeRemoveAllRanges = Selection.prototype.removeAllRanges;
+const nativeSetBaseAndExtent = Selection.prototype.setBaseAndExtent;
+const nativeCollapse = Selection.prototype.collapse;
+const nativeExtend = Selection.prototype.extend;
+
+function install() {
+    // Shadow roots hand out their own Selection objects which forward
+    // everything we do not override to the document's native selection.
+    const names = Object.getOwnPropertyNames(Selection.prototype);
+    for (let i = 0; i < names.length; i++) {
+        const name = names[i];
+        if (name === 'constructor' || selectionMixin.hasOwnProperty(name)) {
+            continue;
+        }
+        const descriptor = Object.getOwnPropertyDescriptor(Selection.prototype, name);
+        if (typeof descriptor.value === 'function') {
+            $utils.defineProperty(Selection.prototype, name, { value: forwardMethod(descriptor.value) });
+        }
+        else if (descriptor.get) {
+            $utils.defineProperty(Selection.prototype, name, { get: forwardGetter(descriptor.get), set: descriptor.set && forwardSetter(descriptor.set) });
+        }
+    }
+
+    $utils.extend(Selection, selectionMixin);
+}
+
+function getSelection(context) {
+    // https://w3c.github.io/selection-api/#extensions-to-document-interface
+    const document = context.ownerDocument || context;
+    const selection = nativeDocumentGetSelection.call(document);
+    if (!selection || !$dom.isShadowRoot(context)) {
+        return selection;
+    }
+    const contextState = $utils.getShadowState(context);
+    if (!contextState.selection) {
+        contextState.selection = Object.create(Selection.prototype);
+        $utils.setShadowState(contextState.selection, {
+            selection: selection,
+            root: context
+        });
+    }
+    return contextState.selection;
+}
+
+const selectionMixin = {
+
+    get anchorNode() {
+        const point = anchorPoint(this);
+        return point ? point.node : null;
+    },
+
+    get anchorOffset() {
+        const point = anchorPoint(this);
+        return point ? point.offset : 0;
+    },
+
+    get focusNode() {
+        const point = focusPoint(this);
+        return point ? point.node : null;
+    },
+
+    get focusOffset() {
+        const point = focusPoint(this);
+        return point ? point.offset : 0;
+    },
+
+    get isCollapsed() {
+        const anchor = anchorPoint(this);
+        if (!anchor) {
+            return true;
+        }
+        const focus = focusPoint(this);
+        return anchor.node === focus.node && anchor.offset === focus.offset;
+    },
+
+    get type() {
+        if (!anchorPoint(this)) {
+            return 'None';
+        }
+        return this.isCollapsed ? 'Caret' : 'Range';
+    },
+
+    getRangeAt(index) {
+        // https://w3c.github.io/selection-api/#dom-selection-getrangeat
+        const native = nativeSelection(this);
+        const nativeRange = nativeGetRangeAt.call(native, index);
+        const range = $Range.fromNativeRange(nativeRange);
+        if ($dom.root(range.startContainer) !== $dom.root(range.endContainer)) {
+            // A live range has both of its boundary points in the same tree.
+            const start = rescope({ node: range.startContainer, offset: range.startOffset }, false, []);
+            const end = rescope({ node: range.endContainer, offset: range.endOffset }, true, []);
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+        }
+        return range;
+    },
+
+    addRange(range) {
+        // https://w3c.github.io/selection-api/#dom-selection-addrange
+        nativeAddRange.call(nativeSelection(this), $Range.toNativeRange(range));
+    },
+
+    removeRange(range) {
+        // https://w3c.github.io/selection-api/#dom-selection-removerange
+        const native = nativeSelection(this);
+        if (selectionRangeCountDescriptor.get.call(native)) {
+            const current = this.getRangeAt(0);
+            if (current.startContainer === range.startContainer &&
+                current.startOffset === range.startOffset &&
+                current.endContainer === range.endContainer &&
+                current.endOffset === range.endOffset) {
+                nativeRemoveAllRanges.call(native);
+                return;
+            }
+        }
+        throw $utils.makeDOMException('NotFoundError');
+    },
+
+    collapse(node, offset) {
+        // https://w3c.github.io/selection-api/#dom-selection-collapse
+        const native = nativeSelection(this);
+        if (node === null) {
+            nativeRemoveAllRanges.call(native);
+            return;
+        }
+        const point = $Range.physicalPoint(node, offset >>> 0);
+        nativeCollapse.call(native, point.node, point.offset);
+    },
+
+    setPosition(node, offset) {
+        this.collapse(node, offset);
+    },
+
+    extend(node, offset) {
+        // https://w3c.github.io/selection-api/#dom-selection-extend
+        const point = $Range.physicalPoint(node, offset >>> 0);
+        nativeExtend.call(nativeSelection(this), point.node, point.offset);
+    },
+
+    setBaseAndExtent(anchorNode, anchorOffset, focusNode, focusOffset) {
+        // https://w3c.github.io/selection-api/#dom-selection-setbaseandextent
+        const anchor = $Range.physicalPoint(anchorNode, anchorOffset >>> 0);
+        const focus = $Range.physicalPoint(focusNode, focusOffset >>> 0);
+        nativeSetBaseAndExtent.call(nativeSelection(this), anchor.node, anchor.offset, focus.node, focus.offset);
+    },
+
+    selectAllChildren(node) {
+        // https://w3c.github.io/selection-api/#dom-selection-selectallchildren
+        this.setBaseAndExtent(node, 0, node, node.childNodes.length);
+    },
+
+    getComposedRanges(options) {
+        // https://w3c.github.io/selection-api/#dom-selection-getcomposedranges
+        let shadowRoots;
+        if (options == null || !$dom.isShadowRoot(options)) {
+            shadowRoots = Array.prototype.slice.call((options && options.shadowRoots) || []);
+        }
+        else {
+            // The original form of this method took the shadow roots as arguments.
+            shadowRoots = Array.prototype.slice.call(arguments);
+        }
+        for (let i = 0; i < shadowRoots.length; i++) {
+            if (!shadowRoots[i] || !$dom.isShadowRoot(shadowRoots[i])) {
+                throw new TypeError('shadowRoots must be a list of ShadowRoot objects');
+            }
+        }
+
+        // 1. If this is empty, return an empty array.
+        const selection = nativeSelection(this);
+        if (!selectionRangeCountDescriptor.get.call(selection)) {
+            return [];
+        }
+
+        // 2. Otherwise, let startNode and startOffset (and endNode and endOffset)
+        // be the start (and end) of this's range, rescoped out of any shadow tree
+        // that none of the given shadow roots are in.
+        const range = nativeGetRangeAt.call(selection, 0);
+        const start = rescope($Range.logicalPoint(range.startContainer, range.startOffset), false, shadowRoots);
+        const end = rescope($Range.logicalPoint(range.endContainer, range.endOffset), true, shadowRoots);
+
+        // 3. Return an array consisting of new StaticRange whose start
+        // is (startNode, startOffset) and end is (endNode, endOffset).
+        return [createStaticRange(start, end)];
+    },
+
+};
+
+function nativeSelection(selection) {
+    const selectionState = $utils.getShadowState(selection);
+    return selectionState ? selectionState.selection : selection;
+}
+
+function contextRoots(selection) {
+    const selectionState = $utils.getShadowState(selection);
+    return selectionState ? [selectionState.root] : [];
+}
+
+function forwardMethod(method) {
+    return function () {
+        return method.apply(nativeSelection(this), arguments);
+    };
+}
+
+function forwardGetter(getter) {
+    return function () {
+        return getter.call(nativeSelection(this));
+    };
+}
+
+function forwardSetter(setter) {
+    return function (value) {
+        setter.call(nativeSelection(this), value);
+    };
+}
+
+function anchorPoint(selection) {
+    return boundaryPoint(selection, true);
+}
+
+function focusPoint(selection) {
+    return boundaryPoint(selection, false);
+}
+
+function boundaryPoint(selection, anchor) {
+    // The anchor and focus are seen from the tree of the selection's context
+    // object: boundaries inside of deeper shadow trees are clamped to their host.
+    const native = nativeSelection(selection);
+    const anchorNode = selectionAnchorNodeDescriptor.get.call(native);
+    if (!anchorNode) {
+        return null;
+    }
+    const anchorOffset = selectionAnchorOffsetDescriptor.get.call(native);
+    const focusNode = selectionFocusNodeDescriptor.get.call(native);
+    const focusOffset = selectionFocusOffsetDescriptor.get.call(native);
+
+    // Boundaries before the host are rescoped to the host's index and
+    // boundaries after it to the index after, so we need the direction.
+    let backward = false;
+    if (selectionRangeCountDescriptor.get.call(native)) {
+        const range = nativeGetRangeAt.call(native, 0);
+        backward = !range.collapsed
+            && range.endContainer === anchorNode
+            && range.endOffset === anchorOffset;
+    }
+
+    const point = anchor
+        ? $Range.logicalPoint(anchorNode, anchorOffset)
+        : $Range.logicalPoint(focusNode, focusOffset);
+    const isCollapsed = anchorNode === focusNode && anchorOffset === focusOffset;
+    const isEnd = !isCollapsed && (anchor ? backward : !backward);
+    return rescope(point, isEnd, contextRoots(selection));
+}
+
+function rescope(point, isEnd, shadowRoots) {
+    // https://w3c.github.io/selection-api/#dfn-rescope
+    let node = point.node;
+    let offset = point.offset;
+    let rootNode;
+    while (node && $dom.isShadowRoot(rootNode = $dom.root(node)) && !containsAny(rootNode, shadowRoots)) {
+        const host = rootNode.host;
+        node = host.parentNode;
+        offset = node ? Array.prototype.indexOf.call(node.childNodes, host) : 0;
+        if (isEnd) {
+            offset++;
+        }
+    }
+    return { node, offset };
+}
+
+function containsAny(rootNode, shadowRoots) {
+    for (let i = 0; i < shadowRoots.length; i++) {
+        if ($dom.shadowIncludingInclusiveAncestor(rootNode, shadowRoots[i])) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function createStaticRange(start, end) {
+    // https://dom.spec.whatwg.org/#interface-staticrange
+    const init = {
+        startContainer: start.node,
+        startOffset: start.offset,
+        endContainer: end.node,
+        endOffset: end.offset
+    };
+    if (typeof window.StaticRange === 'function') {
+        try {
+            return new window.StaticRange(init);
+        }
+        catch (error) {
+            // Older implementations have no constructor.
+        }
+    }
+    init.collapsed = start.node === end.node && start.offset === end.offset;
+    return Object.freeze(init);
+}
@@ -19,6 +19,76 @@ export default {
         return $utils.getShadowState(this).host;
     },
 
+    get delegatesFocus() {
+        return $utils.getShadowState(this).delegatesFocus;
+    },
+
+    get slotAssignment() {
+        return $utils.getShadowState(this).slotAssignment;
+    },
+
+    get clonable() {
+        return $utils.getShadowState(this).clonable;
+    },
+
+    get serializable() {
+        return $utils.getShadowState(this).serializable;
+    },
+
+    get customElements() {
+        // https://wicg.github.io/webcomponents/proposals/Scoped-Custom-Element-Registries
+        const registry = $utils.getShadowState(this).registry;
+        if (registry) {
+            return registry;
+        }
+        const defaultView = this.ownerDocument.defaultView;
+        return defaultView ? defaultView.customElements : null;
+    },
+
+    createElement(localName, options) {
+        const registry = $utils.getShadowState(this).registry;
+        if (!registry || !$ce.isInstalled()) {
+            return this.ownerDocument.createElement(localName, options);
+        }
+        return $ce.createElementInRegistry(this.ownerDocument, localName, options, registry);
+    },
+
+    createElementNS(namespaceURI, qualifiedName, options) {
+        const registry = $utils.getShadowState(this).registry;
+        if (!registry || !$ce.isInstalled()) {
+            return this.ownerDocument.createElementNS(namespaceURI, qualifiedName, options);
+        }
+        return $ce.createElementNSInRegistry(this.ownerDocument, namespaceURI, qualifiedName, options, registry);
+    },
+
+    importNode(node, deep) {
+        const registry = $utils.getShadowState(this).registry;
+        if (!registry || !$ce.isInstalled()) {
+            return this.ownerDocument.importNode(node, deep);
+        }
+        return $ce.executeCEReactions(() => {
+            if (node.nodeType === Node.DOCUMENT_NODE || $dom.isShadowRoot(node)) {
+                throw $utils.makeDOMException('NotSupportedError');
+            }
+
+            return $ce.cloneInRegistry(node, this.ownerDocument, deep, registry);
+        });
+    },
+
+    getHTML(options) {
+        // https://html.spec.whatwg.org/multipage/dynamic-markup-insertion.html#dom-shadowroot-gethtml
+        const serializableShadowRoots = options ? options.serializableShadowRoots === true : false;
+        const shadowRoots = options ? options.shadowRoots : null;
+        return $dom.serializeHTMLFragment(this, serializableShadowRoots, shadowRoots);
+    },
+
+    setHTMLUnsafe(html) {
+        return $ce.executeCEReactions(() => {
+            // https://html.spec.whatwg.org/multipage/dynamic-markup-insertion.html#dom-shadowroot-sethtmlunsafe
+            $dom.replaceAllWithHTML(html, this);
+        });
+    },
+
     // TODO: tests
     get innerHTML() {
         return $dom.serializeHTMLFragment(this);
@@ -27,8 +97,7 @@ export default {
     // TODO: tests
     set innerHTML(value) {
         return $ce.executeCEReactions(() => {
-            const fragment = $dom.parseHTMLFragment(value, this);
-            $dom.replaceAll(fragment, this);
+            $dom.replaceAllWithHTML(value, this);
         });
     },
 
@@ -2,26 +2,26 @@
 
 import $dom from '../dom.js';
 import $utils from '../utils.js';
+import $Range from './Range.js';
 
 export default {
 
     // TODO: tests
     splitText(offset) {
+        // https://dom.spec.whatwg.org/#concept-text-split
         const length = this.length;
         if (offset > length) {
             throw $utils.makeDOMException('IndexSizeError');
         }
         const count = length - offset;
-        const newData = this.data.slice(offset, count);
+        const newData = this.data.slice(offset, offset + count);
         const newNode = this.ownerDocument.createTextNode(newData);
         const parent = this.parentNode;
         if (parent) {
             $dom.insert(newNode, parent, this.nextSibling);
-            // TODO: (Range)
+            $Range.splitTextSteps(this, offset, newNode, parent);
         }
         this.replaceData(offset, count, '');
-        // TODO: (Range)
-        // if (!parent) { }
         return newNode;
     },
 
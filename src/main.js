@@ -1,5 +1,6 @@
 import ShadowDOM from './shadow-dom.js';
 import $ce from './custom-elements.js';
+import $ElementInternals from './interfaces/ElementInternals.js';
 
 let installShadowDom = false;
 let installCustomElements = false;
@@ -20,6 +21,7 @@ if (installShadowDom) {
 
 if (installCustomElements) {
     $ce.install();
+    $ElementInternals.install();
     window['customElementsPolyfilled'] = true;
 }
 else {
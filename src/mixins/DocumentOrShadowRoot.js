@@ -2,16 +2,106 @@
 // https://www.w3.org/TR/shadow-dom/#extensions-to-the-documentorshadowroot-mixin
 
 import $dom from '../dom.js';
+import $slotDisplay from '../slot-display.js';
 import $utils from '../utils.js';
+import $CSSStyleSheet from '../interfaces/CSSStyleSheet.js';
+import $Selection from '../interfaces/Selection.js';
 
 const nativeDocumentActiveElement = $utils.descriptor(Document, 'activeElement');
+const nativeElementFromPoint = Document.prototype.elementFromPoint;
+const nativeDocumentStyleSheets = $utils.descriptor(Document, 'styleSheets') || $utils.descriptor(HTMLDocument, 'styleSheets');
+const nativeElementsFromPoint = Document.prototype.elementsFromPoint || Document.prototype.msElementsFromPoint;
+// https://drafts.csswg.org/cssom/#the-stylesheetlist-interface
+// Each document or shadow root keeps the same list, which is refreshed whenever it is asked for.
+const styleSheetListsByRoot = new WeakMap();
+const styleSheetListPrototype = {
+    item(index) {
+        index = index >>> 0;
+        return index < this.length ? this[index] : null;
+    }
+};
 
 export default {
 
-    // TODO: consider getSelection()
-    // TODO: consider elementFromPoint(double x, double y)
-    // TODO: consider elementsFromPoint(double x, double y)
-    // TODO: consider get styleSheets()
+    getSelection() {
+        // https://w3c.github.io/selection-api/#extensions-to-document-interface
+        return $Selection.getSelection(this);
+    },
+
+    elementFromPoint(x, y) {
+        // https://drafts.csswg.org/cssom-view/#dom-document-elementfrompoint
+        // https://drafts.csswg.org/cssom-view/#extensions-to-the-documentorshadowroot-mixin
+        const document = this.ownerDocument || this;
+        const element = nativeElementFromPoint.call(document, x, y);
+        if (!element) {
+            return null;
+        }
+        // Shadow trees are rendered physically inside of their hosts, 
+        // so the native hit test has to be retargeted against us.
+        return $dom.retarget(element, this);
+    },
+
+    elementsFromPoint(x, y) {
+        // https://drafts.csswg.org/cssom-view/#dom-document-elementsfrompoint
+        // https://drafts.csswg.org/cssom-view/#extensions-to-the-documentorshadowroot-mixin
+        const document = this.ownerDocument || this;
+        let elements;
+        if (nativeElementsFromPoint) {
+            elements = nativeElementsFromPoint.call(document, x, y) || [];
+        }
+        else {
+            const element = nativeElementFromPoint.call(document, x, y);
+            elements = element ? [element] : [];
+        }
+        // Several elements within a shadow tree may be retargeted to the 
+        // same host, which should only be listed once.
+        const sequence = [];
+        for (let i = 0; i < elements.length; i++) {
+            const element = $dom.retarget(elements[i], this);
+            if (sequence.indexOf(element) === -1) {
+                sequence.push(element);
+            }
+        }
+        return sequence;
+    },
+
+    get styleSheets() {
+        // https://drafts.csswg.org/cssom/#dom-documentorshadowroot-stylesheets
+        // Every sheet is natively listed by the document, including those 
+        // owned by elements in shadow trees, so we only keep the ones in our tree.
+        let styleSheets = styleSheetListsByRoot.get(this);
+        if (!styleSheets) {
+            styleSheets = Object.create(styleSheetListPrototype);
+            styleSheetListsByRoot.set(this, styleSheets);
+        }
+        const previousLength = styleSheets.length || 0;
+        const document = this.ownerDocument || this;
+        const nativeStyleSheets = nativeDocumentStyleSheets.get.call(document);
+        let length = 0;
+        for (let i = 0; i < nativeStyleSheets.length; i++) {
+            const styleSheet = nativeStyleSheets[i];
+            const ownerNode = styleSheet.ownerNode;
+            if (!ownerNode || $CSSStyleSheet.isAdoptedStyleElement(ownerNode) || $slotDisplay.isShimStyleElement(ownerNode)) {
+                continue;
+            }
+            if ($dom.root(ownerNode) === this) {
+                styleSheets[length++] = styleSheet;
+            }
+        }
+        for (let i = length; i < previousLength; i++) {
+            delete styleSheets[i];
+        }
+        styleSheets.length = length;
+        return styleSheets;
+    },
+
+    get adoptedStyleSheets() {
+        return $CSSStyleSheet.getAdoptedStyleSheets(this);
+    },
+
+    set adoptedStyleSheets(value) {
+        $CSSStyleSheet.setAdoptedStyleSheets(this, value);
+    },
 
     // TODO: tests
     get activeElement() {
@@ -22,7 +112,15 @@ export default {
             return null;
         }
 
-        return $dom.retarget(nativeActiveElement, this);
+        // A focused element inside of a shadow tree is reported as its
+        // host (or its host's host, and so on) at the document level.
+        const candidate = $dom.retarget(nativeActiveElement, this);
+
+        if ($dom.root(candidate) !== this) {
+            return null;
+        }
+
+        return candidate;
     },
 
 }
\ No newline at end of file
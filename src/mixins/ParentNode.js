@@ -2,6 +2,7 @@
 
 import $dom from '../dom.js';
 import $ce from '../custom-elements.js';
+import $selectors from '../selectors.js';
 import $utils from '../utils.js';
 
 const elementWalker = document.createTreeWalker(document, NodeFilter.SHOW_ELEMENT, null, false);
@@ -125,35 +126,14 @@ export default {
         });
     },
 
-    // TODO: tests
     querySelector(selectors) {
-        let firstChild = this.firstChild;
-
-        if (!firstChild) {
-            return null;
-        }
-
-        return $dom.treeOrderRecursiveSelectFirst(firstChild, function (node) {
-            return node.nodeType === Node.ELEMENT_NODE && node.matches(selectors);
-        });
+        // https://dom.spec.whatwg.org/#dom-parentnode-queryselector
+        return $selectors.querySelector(this, selectors);
     },
 
-    // TODO: tests
     querySelectorAll(selectors) {
-        // https://dom.spec.whatwg.org/#scope-match-a-selectors-string
-        const results = [];
-
-        let firstChild = this.firstChild;
-
-        if (!firstChild) {
-            return results;
-        }
-
-        $dom.treeOrderRecursiveSelectAll(firstChild, results, function (node) {
-            return node.nodeType === Node.ELEMENT_NODE && node.matches(selectors);
-        });
-
-        return results;
+        // https://dom.spec.whatwg.org/#dom-parentnode-queryselectorall
+        return $selectors.querySelectorAll(this, selectors);
     },
 
 };
\ No newline at end of file
@@ -10,7 +10,8 @@ export default {
         // this uses an alternative (see https://github.com/whatwg/dom/issues/369)
         const shadowState = $utils.getShadowState(this);
         if (shadowState) {
-            let slot = shadowState.assignedSlot;
+            // Slotables that have state but were never assigned have no slot yet.
+            const slot = shadowState.assignedSlot || null;
             if (slot && $dom.closedShadowHidden(slot, this)) {
                 return null;
             }
@@ -6,7 +6,8 @@ export default {
     createMutationObserver,
     createTransientObserver,
     registerForMutationObservers,
-    signalASlotChange
+    signalASlotChange,
+    withoutNativeRecords
 }
 
 import $microtask from './microtask.js';
@@ -244,6 +245,18 @@ function requeueNativeRecords(records) {
     }
 }
 
+function withoutNativeRecords(callback) {
+    // Changes that the polyfill makes to the native DOM for its own 
+    // purposes (like scoping styles) must not be observable.
+    requeueNativeRecords(documentObserver.takeRecords());
+    try {
+        callback();
+    }
+    finally {
+        documentObserver.takeRecords();
+    }
+}
+
 function registerForMutationObservers(node) {
     documentObserver.observe(node, { 
         attributes: true, 
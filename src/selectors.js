@@ -0,0 +1,706 @@
+// https://drafts.csswg.org/selectors-4/
+// https://drafts.csswg.org/css-scoping/#host-selector
+// https://drafts.csswg.org/css-scoping/#slotted-pseudo
+//
+// The physical DOM is the flattened tree, so native selector matching would
+// let combinators cross shadow boundaries. Selectors are parsed into compound
+// selectors and combinators here: the combinators (and the pseudo-classes that
+// depend on the shape of the tree) are evaluated against the polyfilled tree,
+// and everything else within a compound selector is handed to native matching.
+
+import $ce from './custom-elements.js';
+import $dom from './dom.js';
+import $fragmentNavigation from './fragment-navigation.js';
+import $utils from './utils.js';
+
+export default {
+    matches,
+    closest,
+    querySelector,
+    querySelectorAll,
+    split,
+    splitCompounds,
+    scan
+};
+
+const nativeMatches =
+    Element.prototype.matches ||
+    Element.prototype.matchesSelector ||
+    Element.prototype.mozMatchesSelector ||
+    Element.prototype.msMatchesSelector ||
+    Element.prototype.oMatchesSelector ||
+    Element.prototype.webkitMatchesSelector;
+
+const scratchElement = document.createElement('div');
+// Parsed selectors are cached, up to a limit beyond which the cache is started over.
+const PARSED_SELECTORS_LIMIT = 256;
+let parsedSelectors = Object.create(null);
+let parsedSelectorsCount = 0;
+const whitespace = /\s/;
+const identifierCharacter = /[\w\-\u00a0-\uffff]/;
+const nthExpression = /^([+-]?\d*)n\s*(?:([+-])\s*(\d+))?$/;
+// The element a :has() argument is being matched relative to.
+let hasAnchor = null;
+
+function matches(element, selectors) {
+    // https://dom.spec.whatwg.org/#dom-element-matches
+    return matchesSelectorList(element, parseSelectors(selectors), element);
+}
+
+function closest(element, selectors) {
+    // https://dom.spec.whatwg.org/#dom-element-closest
+    const selectorList = parseSelectors(selectors);
+    let candidate = element;
+    do {
+        if (matchesSelectorList(candidate, selectorList, element)) {
+            return candidate;
+        }
+    }
+    while (candidate = candidate.parentElement);
+    return null;
+}
+
+function querySelector(root, selectors) {
+    // https://dom.spec.whatwg.org/#dom-parentnode-queryselector
+    const selectorList = parseSelectors(selectors);
+    const firstChild = root.firstChild;
+    const result = firstChild && $dom.treeOrderRecursiveSelectFirst(firstChild, function (node) {
+        return node.nodeType === Node.ELEMENT_NODE && matchesSelectorList(node, selectorList, root);
+    });
+    if (result) {
+        return result;
+    }
+    const slotted = slottedCandidates(root, selectorList);
+    for (let i = 0; i < slotted.length; i++) {
+        if (matchesSelectorList(slotted[i], selectorList, root)) {
+            return slotted[i];
+        }
+    }
+    return null;
+}
+
+function querySelectorAll(root, selectors) {
+    // https://dom.spec.whatwg.org/#dom-parentnode-queryselectorall
+    const selectorList = parseSelectors(selectors);
+    const results = [];
+    const firstChild = root.firstChild;
+    if (firstChild) {
+        $dom.treeOrderRecursiveSelectAll(firstChild, results, function (node) {
+            return node.nodeType === Node.ELEMENT_NODE && matchesSelectorList(node, selectorList, root);
+        });
+    }
+    const slotted = slottedCandidates(root, selectorList);
+    for (let i = 0; i < slotted.length; i++) {
+        if (matchesSelectorList(slotted[i], selectorList, root)) {
+            results.push(slotted[i]);
+        }
+    }
+    return results;
+}
+
+function slottedCandidates(root, selectorList) {
+    // Nodes assigned to the slots of a shadow root are not its descendants,
+    // but they can be found from it with ::slotted().
+    const candidates = [];
+    if (!selectorList.slotted || !$dom.isShadowRoot(root) || !root.firstChild) {
+        return candidates;
+    }
+    const slots = [];
+    $dom.treeOrderRecursiveSelectAll(root.firstChild, slots, function (node) {
+        return node.localName === 'slot';
+    });
+    for (let i = 0; i < slots.length; i++) {
+        const assignedNodes = $utils.getShadowState(slots[i]);
+        const nodes = assignedNodes && assignedNodes.assignedNodes;
+        if (!nodes) {
+            continue;
+        }
+        for (let j = 0; j < nodes.length; j++) {
+            if (nodes[j].nodeType === Node.ELEMENT_NODE) {
+                candidates.push(nodes[j]);
+            }
+        }
+    }
+    return candidates;
+}
+
+// Parsing
+
+function parseSelectors(selectors) {
+    selectors = String(selectors);
+    let selectorList = parsedSelectors[selectors];
+    if (!selectorList) {
+        selectorList = parseSelectorList(selectors, selectors);
+        if (parsedSelectorsCount === PARSED_SELECTORS_LIMIT) {
+            parsedSelectors = Object.create(null);
+            parsedSelectorsCount = 0;
+        }
+        parsedSelectors[selectors] = selectorList;
+        parsedSelectorsCount++;
+    }
+    return selectorList;
+}
+
+function parseSelectorList(text, source) {
+    const selectorList = [];
+    selectorList.slotted = false;
+    const selectors = split(text, ',');
+    for (let i = 0; i < selectors.length; i++) {
+        const selector = selectors[i].trim();
+        if (!selector) {
+            throw syntaxError(source);
+        }
+        const complexSelector = parseComplexSelector(selector, source);
+        if (complexSelector.compounds[complexSelector.compounds.length - 1].slotted) {
+            selectorList.slotted = true;
+        }
+        selectorList.push(complexSelector);
+    }
+    return selectorList;
+}
+
+function parseComplexSelector(text, source) {
+    const compounds = [];
+    const combinators = [];
+    let combinator = null;
+    const parts = splitCompounds(text);
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        if (part.combinator) {
+            if (!compounds.length && part.combinator !== ' ') {
+                throw syntaxError(source);
+            }
+            combinator = part.combinator;
+            continue;
+        }
+        compounds.push(parseCompound(part.compound, source));
+        combinators.push(combinator);
+        combinator = null;
+    }
+    if (!compounds.length || (combinator && combinator !== ' ')) {
+        throw syntaxError(source);
+    }
+    return { compounds, combinators };
+}
+
+function parseRelativeSelectorList(text, source) {
+    // https://drafts.csswg.org/selectors-4/#relative
+    // Each relative selector is anchored by prepending a compound selector
+    // that only matches the :has() anchor element.
+    const relativeSelectorList = [];
+    const selectors = split(text, ',');
+    for (let i = 0; i < selectors.length; i++) {
+        let selector = selectors[i].trim();
+        let combinator = ' ';
+        if ('>+~'.indexOf(selector[0]) !== -1) {
+            combinator = selector[0];
+            selector = selector.slice(1).trim();
+        }
+        if (!selector) {
+            throw syntaxError(source);
+        }
+        const complexSelector = parseComplexSelector(selector, source);
+        const anchor = {
+            native: '',
+            host: null,
+            hostContext: null,
+            slotted: null,
+            pseudoClasses: [{ name: 'has-anchor' }]
+        };
+        complexSelector.compounds.unshift(anchor);
+        complexSelector.combinators[0] = combinator;
+        complexSelector.combinators.unshift(null);
+        relativeSelectorList.push(complexSelector);
+    }
+    return relativeSelectorList;
+}
+
+function parseCompound(text, source) {
+    const compound = {
+        native: '',
+        host: null,
+        hostContext: null,
+        slotted: null,
+        pseudoClasses: []
+    };
+    let position = 0;
+    const length = text.length;
+    while (position < length) {
+        const char = text[position];
+        if (char === '[') {
+            const end = scan(text, position + 1, ']') + 1;
+            compound.native += text.slice(position, end);
+            position = end;
+            continue;
+        }
+        if (char !== ':') {
+            const end = skip(text, position);
+            compound.native += text.slice(position, end);
+            position = end;
+            continue;
+        }
+
+        const isPseudoElement = text[position + 1] === ':';
+        const nameStart = position + (isPseudoElement ? 2 : 1);
+        let nameEnd = nameStart;
+        while (nameEnd < length && identifierCharacter.test(text[nameEnd])) {
+            nameEnd++;
+        }
+        const name = text.slice(nameStart, nameEnd).toLowerCase();
+        let argument = null;
+        let end = nameEnd;
+        if (text[nameEnd] === '(') {
+            end = scan(text, nameEnd + 1, ')');
+            if (end === length) {
+                throw syntaxError(source);
+            }
+            argument = text.slice(nameEnd + 1, end).trim();
+            end++;
+        }
+        const simpleSelector = text.slice(position, end);
+        position = end;
+
+        if (isPseudoElement) {
+            if (name === 'slotted') {
+                if (!argument) {
+                    throw syntaxError(source);
+                }
+                compound.slotted = parseCompound(argument, source);
+            }
+            else {
+                compound.native += simpleSelector;
+            }
+            continue;
+        }
+
+        switch (name) {
+            case 'host':
+                compound.host = { argument: argument ? parseCompound(argument, source) : null };
+                break;
+            case 'host-context':
+                if (!argument) {
+                    throw syntaxError(source);
+                }
+                compound.hostContext = parseCompound(argument, source);
+                break;
+            case 'not': case 'is': case 'where': case 'matches': case '-webkit-any': case '-moz-any':
+                if (!argument) {
+                    throw syntaxError(source);
+                }
+                compound.pseudoClasses.push({
+                    name: name === 'not' ? 'not' : 'is',
+                    selectorList: parseSelectorList(argument, source)
+                });
+                break;
+            case 'has':
+                if (!argument) {
+                    throw syntaxError(source);
+                }
+                compound.pseudoClasses.push({
+                    name: name,
+                    relativeSelectorList: parseRelativeSelectorList(argument, source)
+                });
+                break;
+            case 'state':
+                if (!argument) {
+                    throw syntaxError(source);
+                }
+                compound.pseudoClasses.push({
+                    name: name,
+                    state: argument
+                });
+                break;
+            case 'nth-child': case 'nth-last-child': case 'nth-of-type': case 'nth-last-of-type':
+                compound.pseudoClasses.push({
+                    name: name,
+                    nth: parseNth(argument, source)
+                });
+                break;
+            case 'defined': case 'scope': case 'empty': case 'target':
+            case 'first-child': case 'last-child': case 'only-child':
+            case 'first-of-type': case 'last-of-type': case 'only-of-type':
+                compound.pseudoClasses.push({ name: name });
+                break;
+            default:
+                compound.native += simpleSelector;
+                break;
+        }
+    }
+
+    // Let the native implementation reject anything it does not understand.
+    if (compound.native) {
+        try {
+            nativeMatches.call(scratchElement, compound.native);
+        }
+        catch (error) {
+            throw syntaxError(source);
+        }
+    }
+
+    return compound;
+}
+
+function parseNth(argument, source) {
+    // https://drafts.csswg.org/css-syntax-3/#anb-microsyntax
+    const expression = (argument || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (expression === 'odd') {
+        return { a: 2, b: 1 };
+    }
+    if (expression === 'even') {
+        return { a: 2, b: 0 };
+    }
+    if (/^[+-]?\d+$/.test(expression)) {
+        return { a: 0, b: parseInt(expression, 10) };
+    }
+    const match = nthExpression.exec(expression);
+    if (!match) {
+        throw syntaxError(source);
+    }
+    let a = match[1];
+    a = a === '' || a === '+' ? 1 : a === '-' ? -1 : parseInt(a, 10);
+    let b = match[3] ? parseInt(match[3], 10) : 0;
+    if (match[2] === '-') {
+        b = -b;
+    }
+    return { a, b };
+}
+
+function syntaxError(source) {
+    return $utils.makeDOMException('SyntaxError', '\'' + source + '\' is not a valid selector');
+}
+
+// Matching
+
+function matchesSelectorList(element, selectorList, scope) {
+    for (let i = 0; i < selectorList.length; i++) {
+        const complexSelector = selectorList[i];
+        if (matchesComplexSelector(element, complexSelector, complexSelector.compounds.length - 1, scope)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function matchesComplexSelector(element, complexSelector, index, scope) {
+    const compound = complexSelector.compounds[index];
+    let subject = element;
+    if (compound.slotted) {
+        // ::slotted() matches nodes assigned to a slot in the shadow tree
+        // being queried, and the rest of the selector applies to the slot.
+        if (!matchesCompound(element, compound.slotted, scope)) {
+            return false;
+        }
+        const elementState = $utils.getShadowState(element);
+        const slot = elementState ? elementState.assignedSlot : null;
+        if (!slot || !$dom.isShadowRoot(scope) || $dom.root(slot) !== scope) {
+            return false;
+        }
+        subject = slot;
+    }
+    if (!matchesCompound(subject, compound, scope)) {
+        return false;
+    }
+    return index === 0 || matchesCombinator(subject, complexSelector, index, scope);
+}
+
+function matchesCombinator(element, complexSelector, index, scope) {
+    switch (complexSelector.combinators[index]) {
+        case '>':
+            return matchesParent(element.parentNode, complexSelector, index - 1, scope);
+        case ' ':
+            let ancestor = element.parentNode;
+            while (ancestor && ancestor.nodeType === Node.ELEMENT_NODE) {
+                if (matchesComplexSelector(ancestor, complexSelector, index - 1, scope)) {
+                    return true;
+                }
+                ancestor = ancestor.parentNode;
+            }
+            return matchesParent(ancestor, complexSelector, index - 1, scope);
+        case '+':
+            const previous = element.previousElementSibling;
+            return previous != null && matchesComplexSelector(previous, complexSelector, index - 1, scope);
+        case '~':
+            let sibling = element;
+            while (sibling = sibling.previousElementSibling) {
+                if (matchesComplexSelector(sibling, complexSelector, index - 1, scope)) {
+                    return true;
+                }
+            }
+            return false;
+    }
+    return false;
+}
+
+function matchesParent(parent, complexSelector, index, scope) {
+    if (!parent) {
+        return false;
+    }
+    if (parent.nodeType === Node.ELEMENT_NODE) {
+        return matchesComplexSelector(parent, complexSelector, index, scope);
+    }
+    // Combinators stop at the shadow root, where only the (featureless)
+    // host can be matched, and only by the leftmost compound selector.
+    if ($dom.isShadowRoot(parent) && index === 0) {
+        return matchesHost($utils.getShadowState(parent).host, complexSelector.compounds[0], scope);
+    }
+    return false;
+}
+
+function matchesHost(host, compound, scope) {
+    if (!compound.host && !compound.hostContext) {
+        return false;
+    }
+    if (compound.host && compound.host.argument && !matchesCompound(host, compound.host.argument, scope)) {
+        return false;
+    }
+    if (compound.hostContext) {
+        // https://drafts.csswg.org/css-scoping/#host-context-selector
+        let ancestor = host;
+        while (ancestor && !(ancestor.nodeType === Node.ELEMENT_NODE && matchesCompound(ancestor, compound.hostContext, scope))) {
+            ancestor = $dom.isShadowRoot(ancestor) ? $utils.getShadowState(ancestor).host : ancestor.parentNode;
+        }
+        if (!ancestor) {
+            return false;
+        }
+    }
+    return matchesSimpleSelectors(host, compound, scope);
+}
+
+function matchesCompound(element, compound, scope) {
+    if (compound.host || compound.hostContext) {
+        return false;
+    }
+    return matchesSimpleSelectors(element, compound, scope);
+}
+
+function matchesSimpleSelectors(element, compound, scope) {
+    if (compound.native && !nativeMatches.call(element, compound.native)) {
+        return false;
+    }
+    const pseudoClasses = compound.pseudoClasses;
+    for (let i = 0; i < pseudoClasses.length; i++) {
+        if (!matchesPseudoClass(element, pseudoClasses[i], scope)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function matchesHas(element, relativeSelectorList, scope) {
+    // https://drafts.csswg.org/selectors-4/#relational
+    // Candidates are looked for in the polyfilled tree: among the anchor's
+    // descendants, or among its following siblings and their descendants.
+    const previousAnchor = hasAnchor;
+    hasAnchor = element;
+    try {
+        for (let i = 0; i < relativeSelectorList.length; i++) {
+            const complexSelector = relativeSelectorList[i];
+            const combinator = complexSelector.combinators[1];
+            const start = combinator === ' ' || combinator === '>' ? element.firstChild : element.nextSibling;
+            const index = complexSelector.compounds.length - 1;
+            const result = start && $dom.treeOrderRecursiveSelectFirst(start, function (node) {
+                return node.nodeType === Node.ELEMENT_NODE && matchesComplexSelector(node, complexSelector, index, scope);
+            });
+            if (result) {
+                return true;
+            }
+        }
+        return false;
+    }
+    finally {
+        hasAnchor = previousAnchor;
+    }
+}
+
+function matchesNativeState(element, state) {
+    // Browsers that do not know :state() have no custom states to match.
+    try {
+        return nativeMatches.call(element, ':state(' + state + ')');
+    }
+    catch (error) {
+        return false;
+    }
+}
+
+function matchesPseudoClass(element, pseudoClass, scope) {
+    switch (pseudoClass.name) {
+        case 'not':
+            return !matchesSelectorList(element, pseudoClass.selectorList, scope);
+        case 'is':
+            return matchesSelectorList(element, pseudoClass.selectorList, scope);
+        case 'has':
+            return matchesHas(element, pseudoClass.relativeSelectorList, scope);
+        case 'has-anchor':
+            return element === hasAnchor;
+        case 'defined':
+            // https://html.spec.whatwg.org/multipage/semantics-other.html#selector-defined
+            return $ce.isInstalled() ? $ce.isDefined(element) : nativeMatches.call(element, ':defined');
+        case 'target':
+            // https://drafts.csswg.org/selectors-4/#the-target-pseudo
+            if (!$fragmentNavigation.isInstalled()) {
+                return nativeMatches.call(element, ':target');
+            }
+            return element === $fragmentNavigation.targetElement() && $dom.root(element) === document;
+        case 'state':
+            // https://html.spec.whatwg.org/multipage/semantics-other.html#selector-custom
+            if (!$ce.isInstalled()) {
+                return matchesNativeState(element, pseudoClass.state);
+            }
+            return $ce.hasCustomState(element, pseudoClass.state);
+        case 'scope':
+            // https://drafts.csswg.org/selectors-4/#the-scope-pseudo
+            if (scope.nodeType === Node.DOCUMENT_NODE) {
+                return element === scope.documentElement;
+            }
+            return element === scope;
+        case 'empty':
+            const childNodes = element.childNodes;
+            for (let i = 0; i < childNodes.length; i++) {
+                const nodeType = childNodes[i].nodeType;
+                if (nodeType === Node.ELEMENT_NODE || nodeType === Node.TEXT_NODE || nodeType === Node.CDATA_SECTION_NODE) {
+                    return false;
+                }
+            }
+            return true;
+        case 'first-child':
+            return elementIndex(element, false, false) === 1;
+        case 'last-child':
+            return elementIndex(element, true, false) === 1;
+        case 'only-child':
+            return elementIndex(element, false, false) === 1 && elementIndex(element, true, false) === 1;
+        case 'first-of-type':
+            return elementIndex(element, false, true) === 1;
+        case 'last-of-type':
+            return elementIndex(element, true, true) === 1;
+        case 'only-of-type':
+            return elementIndex(element, false, true) === 1 && elementIndex(element, true, true) === 1;
+        case 'nth-child':
+            return matchesNth(elementIndex(element, false, false), pseudoClass.nth);
+        case 'nth-last-child':
+            return matchesNth(elementIndex(element, true, false), pseudoClass.nth);
+        case 'nth-of-type':
+            return matchesNth(elementIndex(element, false, true), pseudoClass.nth);
+        case 'nth-last-of-type':
+            return matchesNth(elementIndex(element, true, true), pseudoClass.nth);
+    }
+    return false;
+}
+
+function elementIndex(element, fromEnd, ofType) {
+    // The 1-based index of the element among its (logical) element siblings.
+    let index = 1;
+    let sibling = element;
+    while (sibling = fromEnd ? sibling.nextElementSibling : sibling.previousElementSibling) {
+        if (!ofType || (sibling.localName === element.localName && sibling.namespaceURI === element.namespaceURI)) {
+            index++;
+        }
+    }
+    return index;
+}
+
+function matchesNth(index, nth) {
+    if (nth.a === 0) {
+        return index === nth.b;
+    }
+    const n = (index - nth.b) / nth.a;
+    return n >= 0 && Math.floor(n) === n;
+}
+
+// Tokenizing
+
+function splitCompounds(selector) {
+    // Splits a complex selector into its compound selectors and combinators.
+    const parts = [];
+    let compound = '';
+    let position = 0;
+    const length = selector.length;
+    while (position < length) {
+        const char = selector[position];
+        if (whitespace.test(char) || char === '>' || char === '+' || char === '~') {
+            let combinator = ' ';
+            while (position < length && (whitespace.test(selector[position]) || '>+~'.indexOf(selector[position]) !== -1)) {
+                if (!whitespace.test(selector[position])) {
+                    combinator = selector[position];
+                }
+                position++;
+            }
+            if (compound) {
+                parts.push({ compound });
+                compound = '';
+            }
+            parts.push({ combinator });
+            continue;
+        }
+        let end;
+        if (char === '(') {
+            end = scan(selector, position + 1, ')') + 1;
+        }
+        else if (char === '[') {
+            end = scan(selector, position + 1, ']') + 1;
+        }
+        else {
+            end = skip(selector, position);
+        }
+        compound += selector.slice(position, end);
+        position = end;
+    }
+    if (compound) {
+        parts.push({ compound });
+    }
+    return parts;
+}
+
+function split(text, separator) {
+    const parts = [];
+    let position = 0;
+    while (position <= text.length) {
+        const end = scan(text, position, separator);
+        parts.push(text.slice(position, end));
+        position = end + 1;
+    }
+    return parts;
+}
+
+function scan(text, position, stops) {
+    // Finds the next stop character that is not nested in a block,
+    // function, attribute selector, string or comment.
+    let depth = 0;
+    const length = text.length;
+    while (position < length) {
+        const char = text[position];
+        if (depth === 0 && stops.indexOf(char) !== -1) {
+            return position;
+        }
+        switch (char) {
+            case '{': case '(': case '[':
+                depth++;
+                break;
+            case '}': case ')': case ']':
+                depth--;
+                break;
+        }
+        position = skip(text, position);
+    }
+    return length;
+}
+
+function skip(text, position) {
+    // Returns the position after the token (a character, an escape,
+    // a string or a comment) that starts at the given position.
+    const char = text[position];
+    if (char === '\\') {
+        return position + 2;
+    }
+    if (char === '"' || char === '\'') {
+        position++;
+        while (position < text.length && text[position] !== char) {
+            position += text[position] === '\\' ? 2 : 1;
+        }
+        return position + 1;
+    }
+    if (char === '/' && text[position + 1] === '*') {
+        const end = text.indexOf('*/', position + 2);
+        return end === -1 ? text.length : end + 2;
+    }
+    return position + 1;
+}
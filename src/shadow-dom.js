@@ -1,12 +1,18 @@
 import $dom from './dom.js';
+import $fragmentNavigation from './fragment-navigation.js';
+import $slotDisplay from './slot-display.js';
+import $styleScoping from './style-scoping.js';
+import $traversal from './traversal.js';
 import $utils from './utils.js';
 
 import $Attr from './interfaces/Attr.js';
+import $CSSStyleSheet from './interfaces/CSSStyleSheet.js';
 import $CustomEvent from './interfaces/CustomEvent.js';
 import $Document from './interfaces/Document.js';
 import $Element from './interfaces/Element.js';
 import $Event from './interfaces/Event.js';
 import $EventTarget from './interfaces/EventTarget.js';
+import $HTMLElement from './interfaces/HTMLElement.js';
 import $HTMLSlotElement from './interfaces/HTMLSlotElement.js';
 import $HTMLTableElement from './interfaces/HTMLTableElement.js';
 import $HTMLTableRowElement from './interfaces/HTMLTableRowElement.js';
@@ -14,6 +20,8 @@ import $HTMLTableSectionElement from './interfaces/HTMLTableSectionElement.js';
 import $MutationObserver from './interfaces/MutationObserver.js';
 import $NamedNodeMap from './interfaces/NamedNodeMap.js';
 import $Node from './interfaces/Node.js';
+import $Range from './interfaces/Range.js';
+import $Selection from './interfaces/Selection.js';
 import $ShadowRoot from './interfaces/ShadowRoot.js';
 import $Text from './interfaces/Text.js';
 
@@ -39,11 +47,14 @@ function install() {
     // Attr interface
     $Attr.install();
 
+    // CSSStyleSheet interface
+    $CSSStyleSheet.install();
+
     // CustomEvent interface
     window.CustomEvent = $CustomEvent;
 
     // Document interface
-    $utils.extend(Document, $Document);
+    $Document.install();
 
     // Element interface
     $Element.install();
@@ -54,6 +65,9 @@ function install() {
     // EventTarget
     $EventTarget.install();
 
+    // HTMLElement interface
+    $HTMLElement.install();
+
     // HTMLSlotElement interface
     $utils.extend('HTMLSlotElement' in window ? HTMLSlotElement : HTMLUnknownElement, $HTMLSlotElement);
 
@@ -75,9 +89,18 @@ function install() {
     // Node interface
     $Node.install();
 
+    // Range interface
+    $Range.install();
+
+    // Selection interface
+    $Selection.install();
+
     // Text interface
     $utils.extend(Text, $Text);
 
+    // TreeWalker and NodeIterator interfaces
+    $traversal.install();
+
     // ChildNode mixin
     $utils.extend(DocumentType, $ChildNode);
     $utils.extend(Element, $ChildNode);
@@ -109,4 +132,42 @@ function install() {
     // Slotable mixin
     $utils.extend(Element, $Slotable);
     $utils.extend(Text, $Slotable);
-}
\ No newline at end of file
+
+    // Style scoping for shadow trees
+    $styleScoping.install();
+
+    // Fragment navigation and :target
+    $fragmentNavigation.install();
+
+    // Opt-in display: contents emulation for slots
+    $slotDisplay.install();
+
+    // Slot introspection that has no standard equivalent
+    window['shadowDomPolyfill'] = {
+        'fallbackNodes': function (slot) {
+            return isSlot(slot) ? $dom.fallbackNodes(slot) : [];
+        },
+        'isShowingFallback': function (slot) {
+            return isSlot(slot) && $dom.isShowingFallback(slot);
+        },
+        'emulateSlotDisplayContents': function (enabled) {
+            $slotDisplay.setEnabled(enabled);
+        }
+    };
+
+    // Declarative shadow roots initially present in the document
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', attachInitialDeclarativeShadowRoots, { once: true });
+    }
+    else {
+        attachInitialDeclarativeShadowRoots();
+    }
+}
+
+function attachInitialDeclarativeShadowRoots() {
+    $dom.attachDeclarativeShadowRoots(document);
+}
+
+function isSlot(node) {
+    return node instanceof Element && node.localName === 'slot';
+}
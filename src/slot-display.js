@@ -0,0 +1,264 @@
+// https://drafts.csswg.org/css-scoping/#slots-in-shadow-tree
+//
+// Slots are display: contents by default, which lays out the nodes they
+// render as if they were children of the slot's parent. Shadow trees are
+// rendered physically, so unless this is emulated the slot is a box of its
+// own and flex or grid layouts of the parent break.
+//
+// Where display: contents is supported, a style sheet makes it the default
+// for slots. Elsewhere, each slot in a flex or grid container is given a
+// rule that copies its container's layout and stretches the slot across it,
+// which is kept up to date as nodes are assigned to the slot and unassigned.
+// Slots that change are updated together at the end of the microtask, and
+// each rule is kept in a text node of its own within the shim style.
+
+import $dom from './dom.js';
+import $microtask from './microtask.js';
+import $mo from './mutation-observers.js';
+import $utils from './utils.js';
+
+export default {
+    install,
+    setEnabled,
+    isShimStyleElement
+};
+
+const ATTR_SLOT = 'shadow-slot';
+const TAG_SLOT = 'slot';
+const TAG_STYLE = 'style';
+
+const documentCreateElementDescriptor = $utils.descriptor(Document, 'createElement');
+const documentCreateTextNodeDescriptor = $utils.descriptor(Document, 'createTextNode');
+const documentGetElementsByTagNameDescriptor = $utils.descriptor(Document, 'getElementsByTagName');
+const elementGetAttributeDescriptor = $utils.descriptor(Element, 'getAttribute');
+const elementSetAttributeDescriptor = $utils.descriptor(Element, 'setAttribute');
+const elementRemoveAttributeDescriptor = $utils.descriptor(Element, 'removeAttribute');
+const nodeAppendChildDescriptor = $utils.descriptor(Node, 'appendChild');
+const nodeFirstChildDescriptor = $utils.descriptor(Node, 'firstChild');
+const nodeInsertBeforeDescriptor = $utils.descriptor(Node, 'insertBefore');
+const nodeParentNodeDescriptor = $utils.descriptor(Node, 'parentNode');
+const nodeRemoveChildDescriptor = $utils.descriptor(Node, 'removeChild');
+const characterDataDataDescriptor = $utils.descriptor(CharacterData, 'data');
+
+const flexContainerProperties = [
+    'flex-direction',
+    'flex-wrap',
+    'justify-content',
+    'align-items',
+    'align-content',
+    'row-gap',
+    'column-gap'
+];
+
+const gridContainerProperties = [
+    'grid-template-columns',
+    'grid-auto-flow',
+    'grid-auto-columns',
+    'grid-auto-rows',
+    'justify-items',
+    'align-items',
+    'row-gap',
+    'column-gap'
+];
+
+let enabled = false;
+let shimStyle = null;
+let slotCount = 0;
+// Maps the id of each slot that has a rule to the slot and the text node holding its rule.
+let slotRules = Object.create(null);
+let pendingSlots = [];
+
+function install() {
+    if (!supportsDisplayContents()) {
+        $dom.registerInternalAttribute(ATTR_SLOT);
+
+        $dom.registerInsertingSteps(function (node) {
+            if (isSlot(node)) {
+                scheduleUpdate(node);
+            }
+            else if (node.parentNode && isSlot(node.parentNode)) {
+                // Fallback content was inserted.
+                scheduleUpdate(node.parentNode);
+            }
+        });
+
+        $dom.registerRemovingSteps(function (node, parent) {
+            if (isSlot(node)) {
+                scheduleUpdate(node);
+            }
+            if (parent && isSlot(parent)) {
+                scheduleUpdate(parent);
+            }
+        });
+
+        $dom.registerSlotRenderingSteps(scheduleUpdate);
+
+        $dom.registerCloningSteps(function (copy) {
+            // Copies get their own rule when they are inserted.
+            if (isSlot(copy) && elementGetAttributeDescriptor.value.call(copy, ATTR_SLOT) !== null) {
+                elementRemoveAttributeDescriptor.value.call(copy, ATTR_SLOT);
+            }
+        });
+    }
+
+    if (window['emulateSlotDisplayContents'] === true) {
+        setEnabled(true);
+    }
+}
+
+// The emulation can be turned on and off after the polyfill is installed.
+function setEnabled(value) {
+    value = value === true;
+    if (value === enabled) {
+        return;
+    }
+    enabled = value;
+    if (enabled) {
+        shimStyle = documentCreateElementDescriptor.value.call(document, TAG_STYLE);
+        const head = document.head || document.documentElement;
+        $mo.withoutNativeRecords(() => {
+            nodeInsertBeforeDescriptor.value.call(head, shimStyle, nodeFirstChildDescriptor.get.call(head));
+        });
+        if (supportsDisplayContents()) {
+            // Coming first, this is overridden by any display the author gives a slot.
+            appendShimText(TAG_SLOT + ' { display: contents; }');
+            return;
+        }
+        // Every slot is physically in the document, whichever tree it is in.
+        const slots = documentGetElementsByTagNameDescriptor.value.call(document, TAG_SLOT);
+        for (let i = 0; i < slots.length; i++) {
+            scheduleUpdate(slots[i]);
+        }
+    }
+    else {
+        $mo.withoutNativeRecords(() => {
+            for (const id in slotRules) {
+                elementRemoveAttributeDescriptor.value.call(slotRules[id].slot, ATTR_SLOT);
+            }
+            nodeRemoveChildDescriptor.value.call(nodeParentNodeDescriptor.get.call(shimStyle), shimStyle);
+        });
+        slotRules = Object.create(null);
+        shimStyle = null;
+    }
+}
+
+function isShimStyleElement(element) {
+    return element !== null && element === shimStyle;
+}
+
+function supportsDisplayContents() {
+    return window.CSS != null
+        && typeof window.CSS.supports === 'function'
+        && window.CSS.supports('display', 'contents');
+}
+
+function scheduleUpdate(slot) {
+    if (!enabled) {
+        return;
+    }
+    const slotState = $utils.getShadowState(slot) || $utils.setShadowState(slot, {});
+    if (slotState.displayUpdatePending) {
+        return;
+    }
+    slotState.displayUpdatePending = true;
+    if (pendingSlots.length === 0) {
+        $microtask.enqueue(updatePendingSlots);
+    }
+    pendingSlots.push(slot);
+}
+
+function updatePendingSlots() {
+    const slots = pendingSlots;
+    pendingSlots = [];
+    // The layouts are all read before any rule is written, so that
+    // changing one rule does not force the next read to recompute styles.
+    const rules = new Array(slots.length);
+    for (let i = 0; i < slots.length; i++) {
+        $utils.getShadowState(slots[i]).displayUpdatePending = false;
+        if (enabled) {
+            rules[i] = slots[i].isConnected && $dom.isShadowRoot($dom.root(slots[i])) ? layoutRule(slots[i]) : null;
+        }
+    }
+    if (!enabled) {
+        return;
+    }
+    $mo.withoutNativeRecords(() => {
+        for (let i = 0; i < slots.length; i++) {
+            updateSlotRule(slots[i], rules[i]);
+        }
+    });
+}
+
+function updateSlotRule(slot, rule) {
+    let id = elementGetAttributeDescriptor.value.call(slot, ATTR_SLOT);
+    if (rule === null) {
+        if (id !== null) {
+            if (slotRules[id]) {
+                nodeRemoveChildDescriptor.value.call(shimStyle, slotRules[id].text);
+                delete slotRules[id];
+            }
+            elementRemoveAttributeDescriptor.value.call(slot, ATTR_SLOT);
+        }
+        return;
+    }
+    if (id === null) {
+        id = String(++slotCount);
+        elementSetAttributeDescriptor.value.call(slot, ATTR_SLOT, id);
+    }
+    const cssText = TAG_SLOT + '[' + ATTR_SLOT + '="' + id + '"] { ' + rule + ' }\n';
+    if (!slotRules[id]) {
+        slotRules[id] = { slot, text: appendShimText(cssText) };
+    }
+    else if (characterDataDataDescriptor.get.call(slotRules[id].text) !== cssText) {
+        characterDataDataDescriptor.set.call(slotRules[id].text, cssText);
+    }
+}
+
+function layoutRule(slot) {
+    // A slot that renders nothing would still take up a flex or grid item.
+    if (!nodeFirstChildDescriptor.get.call(slot)) {
+        return 'display: none;';
+    }
+    const container = nodeParentNodeDescriptor.get.call(slot);
+    if (!container || container.nodeType !== Node.ELEMENT_NODE) {
+        return null;
+    }
+    const containerStyle = window.getComputedStyle(container);
+    switch (containerStyle.display) {
+        case 'flex':
+        case 'inline-flex':
+            return 'display: flex; '
+                + copyProperties(containerStyle, flexContainerProperties)
+                + 'flex: 1 1 100%; align-self: stretch;';
+        case 'grid':
+        case 'inline-grid':
+            return 'display: grid; '
+                + copyProperties(containerStyle, gridContainerProperties)
+                + 'grid-column: 1 / -1;';
+        default:
+            return null;
+    }
+}
+
+function copyProperties(style, properties) {
+    let declarations = '';
+    for (let i = 0; i < properties.length; i++) {
+        const value = style.getPropertyValue(properties[i]);
+        if (value) {
+            declarations += properties[i] + ': ' + value + '; ';
+        }
+    }
+    return declarations;
+}
+
+function appendShimText(cssText) {
+    const text = documentCreateTextNodeDescriptor.value.call(document, cssText);
+    $mo.withoutNativeRecords(() => {
+        nodeAppendChildDescriptor.value.call(shimStyle, text);
+    });
+    return text;
+}
+
+function isSlot(node) {
+    return node.localName === TAG_SLOT;
+}
@@ -0,0 +1,380 @@
+// https://drafts.csswg.org/css-scoping/#shadow-dom
+//
+// Shadow trees are rendered physically inside of their hosts, so the
+// <style> elements within them would otherwise apply to the whole document.
+// Each shadow tree that contains a <style> is given a scope: the elements
+// in the tree carry a scope attribute, the host carries a host attribute,
+// and the selectors in the tree's <style> elements are rewritten to match
+// only those attributes (including :host, :host() , :host-context() and
+// ::slotted()).
+//
+// When :defined is being emulated (see custom-elements.js), it is also
+// rewritten in every <style> to match the attribute carried by elements
+// that are not defined.
+//
+// :target is rewritten in every <style> to match the attribute carried by
+// the document's target element (see fragment-navigation.js), so that it
+// never matches an element in a shadow tree.
+//
+// :state() is rewritten in every <style> to match the attribute that lists
+// a custom element's states (see custom-elements.js).
+//
+// Adopted style sheets (see CSSStyleSheet.js) are rewritten in the same way
+// for the tree that adopts them.
+
+import $ce from './custom-elements.js';
+import $dom from './dom.js';
+import $fragmentNavigation from './fragment-navigation.js';
+import $microtask from './microtask.js';
+import $mo from './mutation-observers.js';
+import $selectors from './selectors.js';
+import $utils from './utils.js';
+
+export default {
+    install,
+    rewriteStyleText,
+    scopeStyleText,
+    rewriteDefinedPseudoClass,
+    rewriteTargetPseudoClass,
+    rewriteStatePseudoClass
+};
+
+const ATTR_SCOPE = 'shadow-scope';
+const ATTR_HOST = 'shadow-host';
+const TAG_STYLE = 'style';
+const TAG_SLOT = 'slot';
+
+const elementGetAttributeDescriptor = $utils.descriptor(Element, 'getAttribute');
+const elementSetAttributeDescriptor = $utils.descriptor(Element, 'setAttribute');
+const elementRemoveAttributeDescriptor = $utils.descriptor(Element, 'removeAttribute');
+const characterDataDataDescriptor = $utils.descriptor(CharacterData, 'data');
+
+const notDefinedPseudoClass = /:not\(\s*:defined\s*\)/gi;
+const definedPseudoClass = /:defined(?![\w-])/gi;
+const targetPseudoClass = /:target(?![\w-])/gi;
+const statePseudoClass = /:state\(\s*([\w-]+)\s*\)/gi;
+const statePseudoClassStart = /:state\(/i;
+const scopingAtRule = /^@(media|supports|document|-moz-document|layer|container)\b/i;
+
+let scopeCount = 0;
+
+function install() {
+    $dom.registerInternalAttribute(ATTR_SCOPE);
+    $dom.registerInternalAttribute(ATTR_HOST);
+
+    $dom.registerInsertingSteps(updateScope);
+
+    $dom.registerRemovingSteps(updateScope);
+
+    $dom.registerCloningSteps(function (copy, node) {
+        switch (copy.nodeType) {
+            case Node.ELEMENT_NODE:
+                // Copies get their own scope when they are inserted.
+                removeNativeAttribute(copy, ATTR_SCOPE);
+                removeNativeAttribute(copy, ATTR_HOST);
+                break;
+            case Node.TEXT_NODE:
+                const textState = $utils.getShadowState(node);
+                if (textState && textState.renderedData === node.data && textState.authoredData != null) {
+                    characterDataDataDescriptor.set.call(copy, textState.authoredData);
+                }
+                break;
+        }
+    });
+
+    // The custom elements polyfill is installed after us, so
+    // the document's own styles are looked at once it is.
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', updateDocumentStyles, { once: true });
+    }
+    else {
+        $microtask.enqueue(updateDocumentStyles);
+    }
+}
+
+function updateDocumentStyles() {
+    // :state() is emulated whenever the custom elements polyfill is,
+    // so only the styles that use it are rewritten for its sake.
+    const rewritingAll = $ce.definedStateAttribute() || $fragmentNavigation.targetStateAttribute();
+    if (!rewritingAll && !$ce.customStateAttribute()) {
+        return;
+    }
+    const styles = document.getElementsByTagName(TAG_STYLE);
+    for (let i = 0; i < styles.length; i++) {
+        if ($dom.root(styles[i]) === document && (rewritingAll || statePseudoClassStart.test(styles[i].textContent))) {
+            updateStyle(styles[i]);
+        }
+    }
+}
+
+function updateScope(node) {
+    switch (node.nodeType) {
+        case Node.ELEMENT_NODE:
+            if (scopeCount === 0 && !isStyle(node)) {
+                // No shadow tree has been scoped yet.
+                return;
+            }
+            const rootNode = $dom.root(node);
+            const rootState = $dom.isShadowRoot(rootNode) ? $utils.getShadowState(rootNode) : null;
+            if (rootState && rootState.scope) {
+                setNativeAttribute(node, ATTR_SCOPE, rootState.scope);
+            }
+            else {
+                removeNativeAttribute(node, ATTR_SCOPE);
+            }
+            if (isStyle(node)) {
+                updateStyle(node);
+            }
+            break;
+        case Node.TEXT_NODE:
+            // Setting the textContent of a <style> inserts a new text node.
+            const parent = node.parentNode;
+            if (parent && isStyle(parent)) {
+                updateStyle(parent);
+            }
+            break;
+    }
+}
+
+function getScope(shadowRoot) {
+    const shadowState = $utils.getShadowState(shadowRoot);
+    if (!shadowState.scope) {
+        shadowState.scope = String(++scopeCount);
+        setNativeAttribute(shadowState.host, ATTR_HOST, shadowState.scope);
+        const firstChild = shadowRoot.firstChild;
+        if (firstChild) {
+            const elements = [];
+            $dom.treeOrderRecursiveSelectAll(firstChild, elements, $utils.isElementNode);
+            for (let i = 0; i < elements.length; i++) {
+                setNativeAttribute(elements[i], ATTR_SCOPE, shadowState.scope);
+            }
+        }
+    }
+    return shadowState.scope;
+}
+
+function updateStyle(style) {
+    const texts = [];
+    const childNodes = style.childNodes;
+    for (let i = 0; i < childNodes.length; i++) {
+        if (childNodes[i].nodeType === Node.TEXT_NODE) {
+            texts.push(childNodes[i]);
+        }
+    }
+    if (!texts.length) {
+        return;
+    }
+
+    // Anything that differs from what we last rendered was written by the author.
+    let authoredText = '';
+    for (let i = 0; i < texts.length; i++) {
+        const text = texts[i];
+        const textState = $utils.getShadowState(text) || $utils.setShadowState(text, {});
+        if (textState.renderedData !== text.data) {
+            textState.authoredData = text.data;
+        }
+        authoredText += textState.authoredData;
+    }
+
+    const renderedText = rewriteStyleText(authoredText, $dom.root(style));
+
+    $mo.withoutNativeRecords(() => {
+        for (let i = 0; i < texts.length; i++) {
+            const text = texts[i];
+            const textState = $utils.getShadowState(text);
+            let data = textState.authoredData;
+            if (renderedText !== authoredText) {
+                // The whole sheet is rendered into the first text node.
+                data = i === 0 ? renderedText : '';
+            }
+            if (text.data !== data) {
+                characterDataDataDescriptor.set.call(text, data);
+            }
+            textState.renderedData = data;
+        }
+    });
+}
+
+function rewriteStyleText(cssText, rootNode) {
+    // Rewrites a style sheet to be rendered for the tree of the given root node.
+    const definedStateAttribute = $ce.definedStateAttribute();
+    const targetStateAttribute = $fragmentNavigation.targetStateAttribute();
+    const customStateAttribute = $ce.customStateAttribute();
+    if (definedStateAttribute) {
+        cssText = rewriteDefinedPseudoClass(cssText, definedStateAttribute);
+    }
+    if (targetStateAttribute) {
+        cssText = rewriteTargetPseudoClass(cssText, targetStateAttribute);
+    }
+    if (customStateAttribute && statePseudoClassStart.test(cssText)) {
+        cssText = rewriteStatePseudoClass(cssText, customStateAttribute);
+    }
+    if ($dom.isShadowRoot(rootNode)) {
+        cssText = scopeStyleText(cssText, getScope(rootNode));
+    }
+    return cssText;
+}
+
+function scopeStyleText(cssText, scope) {
+    // Rewrites the style rules in cssText to match only within the given scope.
+    let result = '';
+    let position = 0;
+    const length = cssText.length;
+    while (position < length) {
+        const end = $selectors.scan(cssText, position, '{;}');
+        const prelude = cssText.slice(position, end);
+        if (end === length) {
+            result += prelude;
+            break;
+        }
+        if (cssText[end] !== '{') {
+            result += prelude + cssText[end];
+            position = end + 1;
+            continue;
+        }
+        const blockEnd = $selectors.scan(cssText, end + 1, '}');
+        const block = cssText.slice(end + 1, blockEnd);
+        const trimmedPrelude = stripComments(prelude).trim();
+        if (trimmedPrelude[0] === '@') {
+            // Conditional group rules contain style rules, but others
+            // (like @keyframes and @font-face) are left as they are.
+            if (scopingAtRule.test(trimmedPrelude)) {
+                result += prelude + '{' + scopeStyleText(block, scope) + '}';
+            }
+            else {
+                result += prelude + '{' + block + '}';
+            }
+        }
+        else {
+            const leadingWhitespace = /^\s*/.exec(prelude)[0];
+            result += leadingWhitespace + scopeSelectorList(trimmedPrelude, scope) + ' {' + block + '}';
+        }
+        position = blockEnd + 1;
+    }
+    return result;
+}
+
+function rewriteDefinedPseudoClass(cssText, attribute) {
+    // Rewrites :defined to match elements without the given attribute.
+    return cssText
+        .replace(notDefinedPseudoClass, '[' + attribute + ']')
+        .replace(definedPseudoClass, ':not([' + attribute + '])');
+}
+
+function rewriteTargetPseudoClass(cssText, attribute) {
+    // Rewrites :target to match the element with the given attribute.
+    return cssText.replace(targetPseudoClass, '[' + attribute + ']');
+}
+
+function rewriteStatePseudoClass(cssText, attribute) {
+    // Rewrites :state(name) to match elements that list the state in the given attribute.
+    return cssText.replace(statePseudoClass, (match, state) => '[' + attribute + '~="' + state + '"]');
+}
+
+function scopeSelectorList(selectorList, scope) {
+    const selectors = $selectors.split(selectorList, ',');
+    const results = [];
+    for (let i = 0; i < selectors.length; i++) {
+        const selector = selectors[i].trim();
+        if (selector) {
+            Array.prototype.push.apply(results, scopeComplexSelector(selector, scope));
+        }
+    }
+    return results.join(', ');
+}
+
+function scopeComplexSelector(selector, scope) {
+    const scopeAttribute = '[' + ATTR_SCOPE + '="' + scope + '"]';
+    const hostAttribute = '[' + ATTR_HOST + '="' + scope + '"]';
+
+    // :host-context() can match the host or one of its ancestors,
+    // which is why a selector may be rewritten into more than one.
+    let results = [''];
+    let combinator = null;
+
+    const parts = $selectors.splitCompounds(selector);
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        if (part.combinator) {
+            combinator = part.combinator;
+            continue;
+        }
+        const compound = part.compound;
+        let alternatives;
+        if (startsWith(compound, ':host-context(')) {
+            const argumentEnd = $selectors.scan(compound, ':host-context('.length, ')');
+            const argument = compound.slice(':host-context('.length, argumentEnd).trim();
+            const host = mergeCompound(compound.slice(argumentEnd + 1), hostAttribute);
+            alternatives = [argument + ' ' + host, mergeCompound(argument, hostAttribute) + compound.slice(argumentEnd + 1)];
+        }
+        else if (startsWith(compound, ':host(')) {
+            const argumentEnd = $selectors.scan(compound, ':host('.length, ')');
+            const argument = compound.slice(':host('.length, argumentEnd).trim();
+            alternatives = [mergeCompound(argument + compound.slice(argumentEnd + 1), hostAttribute)];
+        }
+        else if (startsWith(compound, ':host')) {
+            alternatives = [mergeCompound(compound.slice(':host'.length), hostAttribute)];
+        }
+        else {
+            const slotted = compound.indexOf('::slotted(');
+            if (slotted !== -1) {
+                // Slotted nodes are rendered as children of their slot.
+                const argumentEnd = $selectors.scan(compound, slotted + '::slotted('.length, ')');
+                const argument = compound.slice(slotted + '::slotted('.length, argumentEnd).trim();
+                const slot = compound.slice(0, slotted) || TAG_SLOT;
+                alternatives = [mergeCompound(slot, scopeAttribute) + ' > ' + argument + compound.slice(argumentEnd + 1)];
+            }
+            else {
+                alternatives = [mergeCompound(compound, scopeAttribute)];
+            }
+        }
+
+        const joiner = results[0] === '' ? '' : combinator === ' ' ? ' ' : ' ' + combinator + ' ';
+        const combined = [];
+        for (let j = 0; j < results.length; j++) {
+            for (let k = 0; k < alternatives.length; k++) {
+                combined.push(results[j] + joiner + alternatives[k]);
+            }
+        }
+        results = combined;
+        combinator = null;
+    }
+
+    return results;
+}
+
+function mergeCompound(compound, attribute) {
+    // The attribute goes after the type selector (if there is one),
+    // which also keeps it in front of any pseudo-elements.
+    const match = /^(\*|[a-zA-Z_-][\w-]*)?(\|(\*|[a-zA-Z_-][\w-]*))?/.exec(compound);
+    const typeSelector = match[0];
+    return typeSelector + attribute + compound.slice(typeSelector.length);
+}
+
+function stripComments(text) {
+    return text.replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+function startsWith(text, prefix) {
+    return text.slice(0, prefix.length) === prefix;
+}
+
+function isStyle(node) {
+    return node.localName === TAG_STYLE;
+}
+
+function setNativeAttribute(element, name, value) {
+    if (elementGetAttributeDescriptor.value.call(element, name) !== value) {
+        $mo.withoutNativeRecords(() => {
+            elementSetAttributeDescriptor.value.call(element, name, value);
+        });
+    }
+}
+
+function removeNativeAttribute(element, name) {
+    if (elementGetAttributeDescriptor.value.call(element, name) !== null) {
+        $mo.withoutNativeRecords(() => {
+            elementRemoveAttributeDescriptor.value.call(element, name);
+        });
+    }
+}
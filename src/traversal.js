@@ -0,0 +1,661 @@
+// https://dom.spec.whatwg.org/#traversal
+//
+// Native TreeWalker and NodeIterator objects walk the rendered (physical)
+// tree, where hosts contain their shadow trees and slots their assigned
+// nodes. The ones handed out by the document walk the tree we expose
+// instead, or the flat tree when { composed: true } is passed as the last
+// argument: from a host into its shadow root's children and from a slot
+// into its assigned nodes (or its fallback content, without any).
+
+import $dom from './dom.js';
+import $utils from './utils.js';
+
+export default {
+    install,
+    createTreeWalker,
+    createNodeIterator
+};
+
+const FILTER_ACCEPT = 1;
+const FILTER_REJECT = 2;
+const FILTER_SKIP = 3;
+const TAG_SLOT = 'slot';
+
+// Node iterators are kept track of by their root, so that removing a node only looks
+// at the iterators of its ancestors and the iterators of a tree that is discarded go
+// along with it. Without weak references, the iterators of a tree that is kept (like
+// the document) are held on to until they are detached.
+const supportsWeakRef = typeof window.WeakRef === 'function';
+const nodeIteratorsByRoot = new WeakMap();
+
+function install() {
+    $dom.registerPreRemovingSteps(function (node) {
+        // An iterator can only be affected if its root is an ancestor of the node,
+        // in the tree it walks. Shadow roots are looked at on the way to their hosts.
+        let parent = node.parentNode;
+        while (parent) {
+            forEachNodeIterator(parent, lightTree, node);
+            parent = $dom.isShadowRoot(parent) ? null : parent.parentNode;
+        }
+        let child = node;
+        while (child) {
+            const childState = $utils.getShadowState(child);
+            parent = childState && childState.assignedSlot ? childState.assignedSlot : child.parentNode;
+            if (parent && $dom.isShadowRoot(parent)) {
+                forEachNodeIterator(parent, composedTree, node);
+                parent = parent.host;
+            }
+            if (parent) {
+                forEachNodeIterator(parent, composedTree, node);
+            }
+            child = parent;
+        }
+    });
+
+    // Sibling indexes found while walking the flat tree are forgotten as the tree changes.
+    $dom.registerInsertingSteps(forgetSiblingIndex);
+    $dom.registerRemovingSteps(forgetSiblingIndex);
+}
+
+function forEachNodeIterator(root, tree, toBeRemovedNode) {
+    const entries = nodeIteratorsByRoot.get(root);
+    if (!entries) {
+        return;
+    }
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const iteratorState = supportsWeakRef ? entries[i].deref() : entries[i];
+        if (!iteratorState) {
+            entries.splice(i, 1);
+            continue;
+        }
+        if (iteratorState.tree === tree) {
+            nodeIteratorPreRemovingSteps(iteratorState, toBeRemovedNode);
+        }
+    }
+}
+
+function createTreeWalker(root, whatToShow, filter, options) {
+    // https://dom.spec.whatwg.org/#dom-document-createtreewalker
+    const walker = Object.create(treeWalkerPrototype);
+    $utils.setShadowState(walker, createTraversalState(root, whatToShow, filter, options, {
+        current: root
+    }));
+    return walker;
+}
+
+function createNodeIterator(root, whatToShow, filter, options) {
+    // https://dom.spec.whatwg.org/#dom-document-createnodeiterator
+    const iterator = Object.create(nodeIteratorPrototype);
+    const iteratorState = $utils.setShadowState(iterator, createTraversalState(root, whatToShow, filter, options, {
+        reference: root,
+        pointerBeforeReference: true
+    }));
+    // The state is only reachable through the iterator, so it lives exactly as long.
+    const entry = supportsWeakRef ? new window.WeakRef(iteratorState) : iteratorState;
+    const entries = nodeIteratorsByRoot.get(root);
+    if (entries) {
+        entries.push(entry);
+    }
+    else {
+        nodeIteratorsByRoot.set(root, [entry]);
+    }
+    return iterator;
+}
+
+function createTraversalState(root, whatToShow, filter, options, state) {
+    if (!(root instanceof Node)) {
+        throw new TypeError('Argument 1 is not a Node');
+    }
+    state.root = root;
+    state.whatToShow = whatToShow === undefined ? NodeFilter.SHOW_ALL : whatToShow >>> 0;
+    state.filter = filter == null ? null : filter;
+    state.tree = options != null && typeof options === 'object' && options.composed ? composedTree : lightTree;
+    state.active = false;
+    return state;
+}
+
+function getTraversalState(object) {
+    const state = $utils.getShadowState(object);
+    if (!state || !state.tree) {
+        throw new TypeError('Illegal invocation');
+    }
+    return state;
+}
+
+// https://dom.spec.whatwg.org/#interface-treewalker
+
+const treeWalkerPrototype = Object.create(TreeWalker.prototype, {
+
+    root: {
+        get() {
+            return getTraversalState(this).root;
+        }
+    },
+
+    whatToShow: {
+        get() {
+            return getTraversalState(this).whatToShow;
+        }
+    },
+
+    filter: {
+        get() {
+            return getTraversalState(this).filter;
+        }
+    },
+
+    currentNode: {
+        get() {
+            return getTraversalState(this).current;
+        },
+        set(node) {
+            if (!(node instanceof Node)) {
+                throw new TypeError('Failed to set currentNode: value is not a Node');
+            }
+            getTraversalState(this).current = node;
+        }
+    },
+
+    parentNode: {
+        value() {
+            // https://dom.spec.whatwg.org/#dom-treewalker-parentnode
+            const state = getTraversalState(this);
+            const tree = state.tree;
+            let node = state.current;
+            while (node && node !== state.root) {
+                node = tree.parent(node, state.root);
+                if (node && filterNode(state, node) === FILTER_ACCEPT) {
+                    state.current = node;
+                    return node;
+                }
+            }
+            return null;
+        }
+    },
+
+    firstChild: {
+        value() {
+            return traverseChildren(getTraversalState(this), true);
+        }
+    },
+
+    lastChild: {
+        value() {
+            return traverseChildren(getTraversalState(this), false);
+        }
+    },
+
+    previousSibling: {
+        value() {
+            return traverseSiblings(getTraversalState(this), false);
+        }
+    },
+
+    nextSibling: {
+        value() {
+            return traverseSiblings(getTraversalState(this), true);
+        }
+    },
+
+    previousNode: {
+        value() {
+            // https://dom.spec.whatwg.org/#dom-treewalker-previousnode
+            const state = getTraversalState(this);
+            const tree = state.tree;
+            let node = state.current;
+            while (node !== state.root) {
+                let sibling = tree.previousSibling(node, state.root);
+                while (sibling) {
+                    node = sibling;
+                    let result = filterNode(state, node);
+                    let lastChild;
+                    while (result !== FILTER_REJECT && (lastChild = tree.lastChild(node))) {
+                        node = lastChild;
+                        result = filterNode(state, node);
+                    }
+                    if (result === FILTER_ACCEPT) {
+                        state.current = node;
+                        return node;
+                    }
+                    sibling = tree.previousSibling(node, state.root);
+                }
+                const parent = tree.parent(node, state.root);
+                if (node === state.root || !parent) {
+                    return null;
+                }
+                node = parent;
+                if (filterNode(state, node) === FILTER_ACCEPT) {
+                    state.current = node;
+                    return node;
+                }
+            }
+            return null;
+        }
+    },
+
+    nextNode: {
+        value() {
+            // https://dom.spec.whatwg.org/#dom-treewalker-nextnode
+            const state = getTraversalState(this);
+            const tree = state.tree;
+            let node = state.current;
+            let result = FILTER_ACCEPT;
+            while (true) {
+                let firstChild;
+                while (result !== FILTER_REJECT && (firstChild = tree.firstChild(node))) {
+                    node = firstChild;
+                    result = filterNode(state, node);
+                    if (result === FILTER_ACCEPT) {
+                        state.current = node;
+                        return node;
+                    }
+                }
+                let sibling = null;
+                let temporary = node;
+                while (temporary) {
+                    if (temporary === state.root) {
+                        return null;
+                    }
+                    sibling = tree.nextSibling(temporary, state.root);
+                    if (sibling) {
+                        node = sibling;
+                        break;
+                    }
+                    temporary = tree.parent(temporary, state.root);
+                }
+                if (!sibling) {
+                    return null;
+                }
+                result = filterNode(state, node);
+                if (result === FILTER_ACCEPT) {
+                    state.current = node;
+                    return node;
+                }
+            }
+        }
+    },
+
+});
+
+function traverseChildren(state, first) {
+    // https://dom.spec.whatwg.org/#concept-traverse-children
+    const tree = state.tree;
+    let node = first ? tree.firstChild(state.current) : tree.lastChild(state.current);
+    while (node) {
+        const result = filterNode(state, node);
+        if (result === FILTER_ACCEPT) {
+            state.current = node;
+            return node;
+        }
+        if (result === FILTER_SKIP) {
+            const child = first ? tree.firstChild(node) : tree.lastChild(node);
+            if (child) {
+                node = child;
+                continue;
+            }
+        }
+        while (node) {
+            const sibling = first ? tree.nextSibling(node, state.root) : tree.previousSibling(node, state.root);
+            if (sibling) {
+                node = sibling;
+                break;
+            }
+            const parent = tree.parent(node, state.root);
+            if (!parent || parent === state.root || parent === state.current) {
+                return null;
+            }
+            node = parent;
+        }
+    }
+    return null;
+}
+
+function traverseSiblings(state, next) {
+    // https://dom.spec.whatwg.org/#concept-traverse-siblings
+    const tree = state.tree;
+    let node = state.current;
+    if (node === state.root) {
+        return null;
+    }
+    while (true) {
+        let sibling = next ? tree.nextSibling(node, state.root) : tree.previousSibling(node, state.root);
+        while (sibling) {
+            node = sibling;
+            const result = filterNode(state, node);
+            if (result === FILTER_ACCEPT) {
+                state.current = node;
+                return node;
+            }
+            sibling = next ? tree.firstChild(node) : tree.lastChild(node);
+            if (result === FILTER_REJECT || !sibling) {
+                sibling = next ? tree.nextSibling(node, state.root) : tree.previousSibling(node, state.root);
+            }
+        }
+        node = tree.parent(node, state.root);
+        if (!node || node === state.root) {
+            return null;
+        }
+        if (filterNode(state, node) === FILTER_ACCEPT) {
+            return null;
+        }
+    }
+}
+
+// https://dom.spec.whatwg.org/#interface-nodeiterator
+
+const nodeIteratorPrototype = Object.create(NodeIterator.prototype, {
+
+    root: {
+        get() {
+            return getTraversalState(this).root;
+        }
+    },
+
+    referenceNode: {
+        get() {
+            return getTraversalState(this).reference;
+        }
+    },
+
+    pointerBeforeReferenceNode: {
+        get() {
+            return getTraversalState(this).pointerBeforeReference;
+        }
+    },
+
+    whatToShow: {
+        get() {
+            return getTraversalState(this).whatToShow;
+        }
+    },
+
+    filter: {
+        get() {
+            return getTraversalState(this).filter;
+        }
+    },
+
+    nextNode: {
+        value() {
+            return traverse(getTraversalState(this), true);
+        }
+    },
+
+    previousNode: {
+        value() {
+            return traverse(getTraversalState(this), false);
+        }
+    },
+
+    detach: {
+        value() {
+            // https://dom.spec.whatwg.org/#dom-nodeiterator-detach
+            // This does nothing natively, but it lets go of the iterator
+            // where it cannot be garbage collected otherwise.
+            const state = getTraversalState(this);
+            if (!supportsWeakRef) {
+                const entries = nodeIteratorsByRoot.get(state.root);
+                const index = entries ? entries.indexOf(state) : -1;
+                if (index !== -1) {
+                    entries.splice(index, 1);
+                }
+            }
+        }
+    },
+
+});
+
+function traverse(state, next) {
+    // https://dom.spec.whatwg.org/#concept-nodeiterator-traverse
+    let node = state.reference;
+    let beforeNode = state.pointerBeforeReference;
+    while (true) {
+        if (next) {
+            if (!beforeNode) {
+                node = following(state.tree, node, state.root);
+                if (!node) {
+                    return null;
+                }
+            }
+            else {
+                beforeNode = false;
+            }
+        }
+        else {
+            if (beforeNode) {
+                node = preceding(state.tree, node, state.root);
+                if (!node) {
+                    return null;
+                }
+            }
+            else {
+                beforeNode = true;
+            }
+        }
+        if (filterNode(state, node) === FILTER_ACCEPT) {
+            break;
+        }
+    }
+    state.reference = node;
+    state.pointerBeforeReference = beforeNode;
+    return node;
+}
+
+function nodeIteratorPreRemovingSteps(state, toBeRemovedNode) {
+    // https://dom.spec.whatwg.org/#nodeiterator-pre-removing-steps
+    const tree = state.tree;
+    const root = state.root;
+    if (toBeRemovedNode === root || !inclusiveAncestor(tree, toBeRemovedNode, state.reference, root)) {
+        return;
+    }
+    if (state.pointerBeforeReference) {
+        let next = null;
+        let node = toBeRemovedNode;
+        while (node && node !== root && !next) {
+            next = tree.nextSibling(node, root);
+            node = tree.parent(node, root);
+        }
+        if (next) {
+            state.reference = next;
+            return;
+        }
+        state.pointerBeforeReference = false;
+    }
+    const previousSibling = tree.previousSibling(toBeRemovedNode, root);
+    if (!previousSibling) {
+        state.reference = tree.parent(toBeRemovedNode, root);
+        return;
+    }
+    let reference = previousSibling;
+    let lastChild;
+    while ((lastChild = tree.lastChild(reference))) {
+        reference = lastChild;
+    }
+    state.reference = reference;
+}
+
+function following(tree, node, root) {
+    // The first node following node that is an inclusive descendant of root.
+    const firstChild = tree.firstChild(node);
+    if (firstChild) {
+        return firstChild;
+    }
+    while (node && node !== root) {
+        const sibling = tree.nextSibling(node, root);
+        if (sibling) {
+            return sibling;
+        }
+        node = tree.parent(node, root);
+    }
+    return null;
+}
+
+function preceding(tree, node, root) {
+    // The first node preceding node that is an inclusive descendant of root.
+    if (node === root) {
+        return null;
+    }
+    let sibling = tree.previousSibling(node, root);
+    if (!sibling) {
+        return tree.parent(node, root);
+    }
+    let lastChild;
+    while ((lastChild = tree.lastChild(sibling))) {
+        sibling = lastChild;
+    }
+    return sibling;
+}
+
+function inclusiveAncestor(tree, ancestor, node, root) {
+    while (node) {
+        if (node === ancestor) {
+            return true;
+        }
+        node = tree.parent(node, root);
+    }
+    return false;
+}
+
+function filterNode(state, node) {
+    // https://dom.spec.whatwg.org/#concept-node-filter
+    if (state.active) {
+        throw $utils.makeDOMException('InvalidStateError', 'The filter is already running');
+    }
+    const n = node.nodeType - 1;
+    if (!(state.whatToShow & (1 << n))) {
+        return FILTER_SKIP;
+    }
+    const filter = state.filter;
+    if (filter === null) {
+        return FILTER_ACCEPT;
+    }
+    state.active = true;
+    let result;
+    try {
+        result = typeof filter === 'function'
+            ? filter.call(undefined, node)
+            : filter.acceptNode(node);
+    }
+    finally {
+        state.active = false;
+    }
+    return Number(result) >>> 0;
+}
+
+// Trees
+
+const lightTree = {
+
+    parent(node) {
+        return node.parentNode;
+    },
+
+    firstChild(node) {
+        return node.firstChild;
+    },
+
+    lastChild(node) {
+        return node.lastChild;
+    },
+
+    previousSibling(node) {
+        return node.previousSibling;
+    },
+
+    nextSibling(node) {
+        return node.nextSibling;
+    },
+
+};
+
+const composedTree = {
+
+    parent(node, root) {
+        const nodeState = $utils.getShadowState(node);
+        if (nodeState && nodeState.assignedSlot) {
+            return nodeState.assignedSlot;
+        }
+        const parent = node.parentNode;
+        if (parent && parent !== root && $dom.isShadowRoot(parent)) {
+            return parent.host;
+        }
+        return parent;
+    },
+
+    firstChild(node) {
+        const childNodes = composedChildNodes(node);
+        if (childNodes === null) {
+            return node.firstChild;
+        }
+        return childNodes.length ? childNodes[0] : null;
+    },
+
+    lastChild(node) {
+        const childNodes = composedChildNodes(node);
+        if (childNodes === null) {
+            return node.lastChild;
+        }
+        return childNodes.length ? childNodes[childNodes.length - 1] : null;
+    },
+
+    previousSibling(node, root) {
+        return composedSibling(node, root, -1);
+    },
+
+    nextSibling(node, root) {
+        return composedSibling(node, root, 1);
+    },
+
+};
+
+// The children of a node in the flat tree, as the array the polyfill keeps them in,
+// or null when their parent is not tracked and they can be walked natively.
+function composedChildNodes(node) {
+    const nodeState = $utils.getShadowState(node);
+    if (nodeState && nodeState.shadowRoot) {
+        return $utils.getShadowState(nodeState.shadowRoot).childNodes;
+    }
+    if (node.localName === TAG_SLOT && nodeState && nodeState.assignedNodes && nodeState.assignedNodes.length) {
+        return nodeState.assignedNodes;
+    }
+    return nodeState && nodeState.childNodes || null;
+}
+
+// Walks go from one sibling to the next, so the index found for
+// a node is where the search for its sibling starts.
+let cachedSiblings = null;
+let cachedSiblingIndex = -1;
+
+function composedSibling(node, root, direction) {
+    const parent = composedTree.parent(node, root);
+    if (!parent) {
+        return null;
+    }
+    const siblings = composedChildNodes(parent);
+    if (siblings === null) {
+        return direction < 0 ? node.previousSibling : node.nextSibling;
+    }
+    const index = siblingIndex(siblings, node);
+    if (index === -1) {
+        // Nodes that are not assigned to a slot are not in the flat tree.
+        return null;
+    }
+    return siblings[index + direction] || null;
+}
+
+function siblingIndex(siblings, node) {
+    if (siblings === cachedSiblings) {
+        for (let offset = -1; offset <= 1; offset++) {
+            if (siblings[cachedSiblingIndex + offset] === node) {
+                return cachedSiblingIndex += offset;
+            }
+        }
+    }
+    cachedSiblings = siblings;
+    return cachedSiblingIndex = siblings.indexOf(node);
+}
+
+function forgetSiblingIndex() {
+    cachedSiblings = null;
+    cachedSiblingIndex = -1;
+}
@@ -4,6 +4,22 @@ suite('Custom Elements', function () {
 
     var assert = chai.assert;
 
+    function makeElementClass(label) {
+        var constructor = function () {
+            var self = HTMLElement.call(this);
+            self.label = label;
+            return self;
+        };
+        constructor.prototype = Object.create(HTMLElement.prototype, {
+            'constructor': {
+                value: constructor,
+                writable: true,
+                configurable: true
+            }
+        });
+        return constructor;
+    }
+
     function makeSuite(name, tagName, elementClass) {
 
         suite(name, function () {
@@ -256,6 +272,254 @@ suite('Custom Elements', function () {
             });
     });
 
+    suite('define() validation', function () {
+
+        function assertThrowsDOMException(name, callback) {
+            var caught = null;
+            try {
+                callback();
+            }
+            catch (error) {
+                caught = error;
+            }
+            assert.isNotNull(caught);
+            assert.equal(caught.name, name);
+        }
+
+        test('rejects a name that is already defined', function () {
+            window.customElements.define('validation-a', makeElementClass());
+            assertThrowsDOMException('NotSupportedError', function () {
+                window.customElements.define('validation-a', makeElementClass());
+            });
+        });
+
+        test('rejects a constructor that is already defined', function () {
+            var constructor = makeElementClass();
+            window.customElements.define('validation-b', constructor);
+            assertThrowsDOMException('NotSupportedError', function () {
+                window.customElements.define('validation-c', constructor);
+            });
+            assert.isUndefined(window.customElements.get('validation-c'));
+        });
+
+        test('rejects invalid names', function () {
+            assertThrowsDOMException('SyntaxError', function () {
+                window.customElements.define('validation', makeElementClass());
+            });
+        });
+
+        test('rejects extending custom or unknown elements', function () {
+            assertThrowsDOMException('NotSupportedError', function () {
+                window.customElements.define('validation-d', makeElementClass(), { extends: 'validation-a' });
+            });
+            assertThrowsDOMException('NotSupportedError', function () {
+                window.customElements.define('validation-e', makeElementClass(), { extends: 'bgsound' });
+            });
+        });
+
+        test('accepts extending built-in elements', function () {
+            assert.doesNotThrow(function () {
+                window.customElements.define('validation-f', makeElementClass(), { extends: 'button' });
+            });
+        });
+
+        test('rejects callbacks that are not functions', function () {
+            var constructor = makeElementClass();
+            constructor.prototype.connectedCallback = 'nope';
+            assert.throws(function () {
+                window.customElements.define('validation-g', constructor);
+            }, TypeError);
+            assert.isUndefined(window.customElements.get('validation-g'));
+        });
+
+        test('reads each callback once', function () {
+            var constructor = makeElementClass();
+            var reads = 0;
+            Object.defineProperty(constructor.prototype, 'connectedCallback', {
+                get: function () {
+                    reads++;
+                    return function () { };
+                }
+            });
+            window.customElements.define('validation-h', constructor);
+            var element = document.createElement('validation-h');
+            document.body.append(element);
+            element.remove();
+            assert.equal(reads, 1);
+        });
+
+        test('converts observedAttributes from any iterable', function () {
+            if (typeof Set !== 'function' || typeof Symbol !== 'function') {
+                return;
+            }
+            var constructor = makeElementClass();
+            var changed = [];
+            constructor.observedAttributes = new Set(['a', 'b']);
+            constructor.prototype.attributeChangedCallback = function (name) {
+                changed.push(name);
+            };
+            window.customElements.define('validation-i', constructor);
+            var element = document.createElement('validation-i');
+            element.setAttribute('a', '');
+            element.setAttribute('c', '');
+            assert.deepEqual(changed, ['a']);
+        });
+
+        test('rejects observedAttributes that are not iterable', function () {
+            var constructor = makeElementClass();
+            constructor.observedAttributes = 'a';
+            constructor.prototype.attributeChangedCallback = function () { };
+            assert.throws(function () {
+                window.customElements.define('validation-j', constructor);
+            }, TypeError);
+        });
+
+    });
+
+    suite('upgrade() and getName()', function () {
+
+        var upgradeElement = function () {
+            var self = HTMLElement.call(this);
+            self.upgraded = true;
+            return self;
+        };
+        upgradeElement.prototype = Object.create(HTMLElement.prototype, {
+            'constructor': {
+                value: upgradeElement,
+                writable: true,
+                configurable: true
+            },
+            'connectedCallback': {
+                value: function () {
+                    this.connectedCallbackWasCalled = true;
+                }
+            }
+        });
+
+        window.customElements.define('upgrade-element', upgradeElement);
+
+        test('getName returns the name a constructor is defined with', function () {
+            assert.equal(window.customElements.getName(upgradeElement), 'upgrade-element');
+            assert.isNull(window.customElements.getName(function () { }));
+        });
+
+        test('upgrade upgrades a disconnected tree', function () {
+            var root = document.createElement('div');
+            root.innerHTML = '<div><upgrade-element></upgrade-element></div>';
+            var element = root.firstChild.firstChild;
+            var host = document.createElement('div');
+            var shadowRoot = host.attachShadow({ mode: 'closed' });
+            shadowRoot.innerHTML = '<upgrade-element></upgrade-element>';
+            root.firstChild.append(host);
+            assert.isUndefined(element.upgraded);
+            assert.isUndefined(shadowRoot.firstChild.upgraded);
+            window.customElements.upgrade(root);
+            assert.isTrue(element.upgraded);
+            assert.isTrue(shadowRoot.firstChild.upgraded);
+            assert.isUndefined(element.connectedCallbackWasCalled);
+        });
+
+        test('upgrade requires a node', function () {
+            assert.throws(function () {
+                window.customElements.upgrade({});
+            }, TypeError);
+        });
+
+    });
+
+    suite('scoped registries', function () {
+
+        var host, container;
+
+        setup(function () {
+            container = document.createElement('div');
+            host = document.createElement('div');
+            container.append(host);
+            document.body.append(container);
+        });
+
+        teardown(function () {
+            container.remove();
+        });
+
+        test('CustomElementRegistry can be constructed', function () {
+            var registry = new CustomElementRegistry();
+            assert.instanceOf(registry, CustomElementRegistry);
+            assert.notEqual(registry, window.customElements);
+            assert.isUndefined(registry.get('scoped-a'));
+        });
+
+        test('attachShadow rejects registries that are not CustomElementRegistry', function () {
+            assert.throws(function () {
+                host.attachShadow({ mode: 'open', registry: {} });
+            });
+        });
+
+        test('the same name can be defined in two registries', function () {
+            var registry1 = new CustomElementRegistry();
+            var registry2 = new CustomElementRegistry();
+            registry1.define('scoped-b', makeElementClass('one'));
+            registry2.define('scoped-b', makeElementClass('two'));
+            var shadowRoot1 = host.attachShadow({ mode: 'open', registry: registry1 });
+            var host2 = document.createElement('div');
+            container.append(host2);
+            var shadowRoot2 = host2.attachShadow({ mode: 'open', registry: registry2 });
+            assert.equal(shadowRoot1.customElements, registry1);
+            assert.equal(shadowRoot1.createElement('scoped-b').label, 'one');
+            assert.equal(shadowRoot2.createElement('scoped-b').label, 'two');
+            assert.isUndefined(document.createElement('scoped-b').label);
+        });
+
+        test('innerHTML in a shadow root upgrades with its registry', function () {
+            var registry = new CustomElementRegistry();
+            registry.define('scoped-c', makeElementClass('scoped'));
+            var shadowRoot = host.attachShadow({ mode: 'open', registry: registry });
+            shadowRoot.innerHTML = '<scoped-c></scoped-c>';
+            assert.equal(shadowRoot.firstChild.label, 'scoped');
+            container.innerHTML = '<scoped-c></scoped-c>';
+            assert.isUndefined(container.firstChild.label);
+        });
+
+        test('scoped registries fall back to the global registry', function () {
+            window.customElements.define('scoped-global-d', makeElementClass('global'));
+            var registry = new CustomElementRegistry();
+            var shadowRoot = host.attachShadow({ mode: 'open', registry: registry });
+            assert.equal(shadowRoot.createElement('scoped-global-d').label, 'global');
+            shadowRoot.innerHTML = '<scoped-global-d></scoped-global-d>';
+            assert.equal(shadowRoot.firstChild.label, 'global');
+        });
+
+        test('defining a name upgrades elements in shadow roots using the registry', function () {
+            var registry = new CustomElementRegistry();
+            var shadowRoot = host.attachShadow({ mode: 'open', registry: registry });
+            shadowRoot.innerHTML = '<scoped-e></scoped-e>';
+            container.append(document.createElement('scoped-e'));
+            registry.define('scoped-e', makeElementClass('scoped'));
+            assert.equal(shadowRoot.firstChild.label, 'scoped');
+            assert.isUndefined(container.lastChild.label);
+        });
+
+        test('elements keep the registry they were created with', function () {
+            var registry = new CustomElementRegistry();
+            var shadowRoot = host.attachShadow({ mode: 'open', registry: registry });
+            var element = shadowRoot.createElement('scoped-f');
+            container.append(element);
+            registry.define('scoped-f', makeElementClass('scoped'));
+            assert.equal(element.label, 'scoped');
+        });
+
+        test('importNode uses the shadow root\'s registry', function () {
+            var registry = new CustomElementRegistry();
+            registry.define('scoped-g', makeElementClass('scoped'));
+            var shadowRoot = host.attachShadow({ mode: 'open', registry: registry });
+            var source = document.createElement('div');
+            source.innerHTML = '<scoped-g></scoped-g>';
+            assert.equal(shadowRoot.importNode(source, true).firstChild.label, 'scoped');
+            assert.isUndefined(document.importNode(source, true).firstChild.label);
+        });
+
+    });
+
     suite('attributeChangedCallback', function () {
 
         var attributeChangedCallbackElement = function () {
@@ -278,6 +542,14 @@ suite('Custom Elements', function () {
         });
         window.customElements.define('attrchange-element', attributeChangedCallbackElement);
 
+        test('invoked for elements in declarative shadow roots from setHTMLUnsafe', function () {
+            var div = document.createElement('div');
+            document.body.append(div);
+            div.setHTMLUnsafe('<div><template shadowrootmode="open"><attrchange-element test="what"></attrchange-element></template></div>');
+            div.remove();
+            assert.equal(div.firstChild.shadowRoot.firstChild.invokedCount, 1);
+        });
+
         suite('invoked upon setting Attr.prototype.value', function () {
 
             test('when attribute existed at upgrade time', function () {
@@ -0,0 +1,116 @@
+'use strict';
+
+suite('Fragment navigation', function () {
+
+    var assert = chai.assert;
+
+    var container, host, shadowRoot, documentTarget, shadowTarget, initialURL;
+
+    setup(function () {
+        initialURL = location.href;
+        container = document.createElement('div');
+        container.innerHTML = '<a id="document-link" href="#fragment-document">link</a><p id="fragment-document"></p>';
+        host = document.createElement('div');
+        shadowRoot = host.attachShadow({ mode: 'open' });
+        shadowRoot.innerHTML = '<a href="#fragment-shadow">link</a><p id="fragment-shadow"></p><p id="fragment-document"></p>';
+        container.append(host);
+        document.body.append(container);
+        documentTarget = container.querySelector('p');
+        shadowTarget = shadowRoot.getElementById('fragment-shadow');
+    });
+
+    teardown(function () {
+        container.remove();
+        history.replaceState(history.state, '', initialURL);
+    });
+
+    test('clicking a link to a document tree element makes it the target', function () {
+        container.firstChild.click();
+        assert.equal(location.hash, '#fragment-document');
+        assert.isTrue(documentTarget.matches(':target'));
+        assert.isFalse(shadowRoot.lastChild.matches(':target'));
+        assert.equal(document.querySelector(':target'), documentTarget);
+    });
+
+    test('clicking a link fires hashchange', function () {
+        var events = [];
+        function listener(event) {
+            events.push(event);
+        }
+        window.addEventListener('hashchange', listener);
+        container.firstChild.click();
+        window.removeEventListener('hashchange', listener);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].oldURL, initialURL);
+        assert.equal(events[0].newURL, location.href);
+    });
+
+    test('clicking a link starts a history entry without state', function () {
+        history.replaceState({ kept: true }, '', initialURL);
+        container.firstChild.click();
+        assert.isNull(history.state);
+    });
+
+    test('elements in shadow trees are never the target', function () {
+        shadowRoot.firstChild.click();
+        assert.equal(location.hash, '#fragment-shadow');
+        assert.isFalse(shadowTarget.matches(':target'));
+        assert.isNull(shadowRoot.querySelector(':target'));
+    });
+
+    test('does not handle links the author prevented', function () {
+        var link = container.firstChild;
+        link.addEventListener('click', function (event) {
+            event.preventDefault();
+        });
+        link.click();
+        assert.equal(location.href, initialURL);
+        assert.isFalse(documentTarget.matches(':target'));
+    });
+
+    test('the target stops matching once it leaves the document tree', function () {
+        container.firstChild.click();
+        assert.isTrue(documentTarget.matches(':target'));
+        shadowRoot.append(documentTarget);
+        assert.isFalse(documentTarget.matches(':target'));
+        assert.isNull(documentTarget.getAttribute('shadow-target'));
+        container.append(documentTarget);
+        assert.isTrue(documentTarget.matches(':target'));
+    });
+
+    test('the target attribute is not serialized', function () {
+        container.firstChild.click();
+        assert.notInclude(container.innerHTML, 'shadow-target');
+    });
+
+    test('fires fragmentnavigate at the shadow root for fragments in its tree', function () {
+        var events = [];
+        shadowRoot.addEventListener('fragmentnavigate', function (event) {
+            events.push(event);
+            event.preventDefault();
+        });
+        shadowRoot.firstChild.click();
+        assert.equal(events.length, 1);
+        assert.isTrue(events[0].cancelable);
+        assert.equal(events[0].detail.fragment, 'fragment-shadow');
+        assert.equal(events[0].detail.element, shadowTarget);
+    });
+
+    test('does not fire fragmentnavigate for fragments in the document tree', function () {
+        var fired = false;
+        shadowRoot.addEventListener('fragmentnavigate', function () {
+            fired = true;
+        });
+        container.firstChild.click();
+        assert.isFalse(fired);
+    });
+
+    test(':target is rewritten in style sheets', function () {
+        var style = document.createElement('style');
+        style.textContent = 'p:target { color: red; } p:not(:target) { color: blue; }';
+        shadowRoot.append(style);
+        assert.notInclude(style.textContent, ':target');
+        assert.include(style.textContent, '[shadow-target]');
+    });
+
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+suite('CSSStyleSheet', function () {
+
+    var assert = chai.assert;
+
+    function colorOf(element) {
+        return window.getComputedStyle(element).color;
+    }
+
+    function assertThrowsNamed(fn, name) {
+        var error = null;
+        try {
+            fn();
+        }
+        catch (caught) {
+            error = caught;
+        }
+        assert.isNotNull(error, 'expected a ' + name + ' to be thrown');
+        assert.equal(error.name, name);
+    }
+
+    suite('constructor', function () {
+
+        test('creates a CSSStyleSheet', function () {
+            var sheet = new CSSStyleSheet();
+            assert.isTrue(sheet instanceof CSSStyleSheet);
+            assert.equal(sheet.cssRules.length, 0);
+        });
+
+        test('honors the media option', function () {
+            var sheet = new CSSStyleSheet({ media: 'print' });
+            assert.equal(sheet.media.mediaText, 'print');
+        });
+
+    });
+
+    suite('replaceSync(text)', function () {
+
+        test('replaces the rules of the sheet', function () {
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync('.a { color: red; } .b { color: blue; }');
+            assert.equal(sheet.cssRules.length, 2);
+            sheet.replaceSync('.c { color: green; }');
+            assert.equal(sheet.cssRules.length, 1);
+            assert.equal(sheet.cssRules[0].selectorText, '.c');
+        });
+
+        test('throws for sheets that were not constructed', function () {
+            var style = document.createElement('style');
+            document.head.appendChild(style);
+            var sheet = style.sheet;
+            document.head.removeChild(style);
+            assertThrowsNamed(function () {
+                sheet.replaceSync('.a { color: red; }');
+            }, 'NotAllowedError');
+        });
+
+    });
+
+    suite('adoptedStyleSheets', function () {
+
+        test('applies to shadow root contents', function () {
+            var host = document.createElement('div');
+            var inner = document.createElement('span');
+            inner.className = 'adopted-sheet-test-1';
+            var shadow = host.attachShadow({ mode: 'open' });
+            shadow.append(inner);
+            document.body.append(host);
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync('.adopted-sheet-test-1 { color: rgb(255, 0, 0); }');
+            shadow.adoptedStyleSheets = [sheet];
+            assert.equal(colorOf(inner), 'rgb(255, 0, 0)');
+            assert.equal(shadow.adoptedStyleSheets.length, 1);
+            assert.equal(shadow.adoptedStyleSheets[0], sheet);
+            assert.equal(shadow.childNodes.length, 1);
+            document.body.removeChild(host);
+        });
+
+        test('keeps shadow root children before the adopted sheets', function () {
+            var host = document.createElement('div');
+            var shadow = host.attachShadow({ mode: 'open' });
+            shadow.adoptedStyleSheets = [new CSSStyleSheet()];
+            var span = document.createElement('span');
+            shadow.append(span);
+            assert.equal(shadow.lastChild, span);
+            assert.equal(shadow.childNodes.length, 1);
+        });
+
+        test('stays in sync when the sheet is mutated', function () {
+            var host = document.createElement('div');
+            var inner = document.createElement('span');
+            inner.className = 'adopted-sheet-test-2';
+            var shadow = host.attachShadow({ mode: 'open' });
+            shadow.append(inner);
+            document.body.append(host);
+            var sheet = new CSSStyleSheet();
+            shadow.adoptedStyleSheets = [sheet];
+            sheet.replaceSync('.adopted-sheet-test-2 { color: rgb(0, 0, 255); }');
+            assert.equal(colorOf(inner), 'rgb(0, 0, 255)');
+            sheet.insertRule('.adopted-sheet-test-2 { color: rgb(0, 128, 0); }', 1);
+            assert.equal(colorOf(inner), 'rgb(0, 128, 0)');
+            document.body.removeChild(host);
+        });
+
+        test('stops updating removed hosts until they are inserted again', function () {
+            var host = document.createElement('div');
+            var inner = document.createElement('span');
+            inner.className = 'adopted-sheet-test-5';
+            var shadow = host.attachShadow({ mode: 'open' });
+            shadow.append(inner);
+            document.body.append(host);
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync('.adopted-sheet-test-5 { color: rgb(7, 8, 9); }');
+            shadow.adoptedStyleSheets = [sheet];
+            document.body.removeChild(host);
+            sheet.replaceSync('.adopted-sheet-test-5 { color: rgb(10, 11, 12); }');
+            // A host that is not rendered reports the text of the <style> rendering the sheet.
+            assert.include(host.innerText, 'rgb(7, 8, 9)');
+            assert.notInclude(host.innerText, 'rgb(10, 11, 12)');
+            document.body.append(host);
+            assert.equal(colorOf(inner), 'rgb(10, 11, 12)');
+            document.body.removeChild(host);
+        });
+
+        test('are scoped to the shadow tree that adopts them', function () {
+            var host = document.createElement('div');
+            var inner = document.createElement('span');
+            inner.className = 'adopted-sheet-test-6';
+            var outer = document.createElement('span');
+            outer.className = 'adopted-sheet-test-6';
+            var shadow = host.attachShadow({ mode: 'open' });
+            shadow.append(inner);
+            document.body.append(host, outer);
+            var before = colorOf(outer);
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync('span.adopted-sheet-test-6 { color: rgb(13, 14, 15); }');
+            shadow.adoptedStyleSheets = [sheet];
+            assert.equal(colorOf(inner), 'rgb(13, 14, 15)');
+            assert.equal(colorOf(outer), before);
+            sheet.insertRule('span { color: rgb(16, 17, 18); }', 1);
+            assert.equal(colorOf(inner), 'rgb(16, 17, 18)');
+            assert.equal(colorOf(outer), before);
+            document.body.removeChild(host);
+            document.body.removeChild(outer);
+        });
+
+        test('can style the host with :host', function () {
+            var host = document.createElement('div');
+            host.className = 'adopted-sheet-test-7';
+            var shadow = host.attachShadow({ mode: 'open' });
+            document.body.append(host);
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync(':host(.adopted-sheet-test-7) { color: rgb(19, 20, 21); }');
+            shadow.adoptedStyleSheets = [sheet];
+            assert.equal(colorOf(host), 'rgb(19, 20, 21)');
+            document.body.removeChild(host);
+        });
+
+        test('stops applying when the array is reassigned', function () {
+            var host = document.createElement('div');
+            var inner = document.createElement('span');
+            inner.className = 'adopted-sheet-test-3';
+            var shadow = host.attachShadow({ mode: 'open' });
+            shadow.append(inner);
+            document.body.append(host);
+            var before = colorOf(inner);
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync('.adopted-sheet-test-3 { color: rgb(1, 2, 3); }');
+            shadow.adoptedStyleSheets = [sheet];
+            shadow.adoptedStyleSheets = [];
+            assert.equal(colorOf(inner), before);
+            document.body.removeChild(host);
+        });
+
+        test('can be shared by documents and shadow roots', function () {
+            var div = document.createElement('div');
+            div.className = 'adopted-sheet-test-4';
+            document.body.append(div);
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync('.adopted-sheet-test-4 { color: rgb(4, 5, 6); }');
+            var shadow = document.createElement('div').attachShadow({ mode: 'open' });
+            shadow.adoptedStyleSheets = [sheet];
+            document.adoptedStyleSheets = [sheet];
+            assert.equal(colorOf(div), 'rgb(4, 5, 6)');
+            document.adoptedStyleSheets = [];
+            document.body.removeChild(div);
+        });
+
+        test('only accepts constructed style sheets', function () {
+            var style = document.createElement('style');
+            document.head.appendChild(style);
+            var sheet = style.sheet;
+            document.head.removeChild(style);
+            var shadow = document.createElement('div').attachShadow({ mode: 'open' });
+            assertThrowsNamed(function () {
+                shadow.adoptedStyleSheets = [sheet];
+            }, 'NotAllowedError');
+            assert.throws(function () {
+                shadow.adoptedStyleSheets = [{}];
+            }, TypeError);
+        });
+
+    });
+
+});
\ No newline at end of file
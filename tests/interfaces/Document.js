@@ -4,6 +4,15 @@ suite('Document', function () {
 
     var assert = chai.assert;
 
+    test('parseHTMLUnsafe', function () {
+        var parsed = Document.parseHTMLUnsafe('<div id="host"><template shadowrootmode="open"><span></span></template>light</div>');
+        assert.notEqual(parsed, document);
+        var host = parsed.getElementById('host');
+        assert.equal(host.childNodes.length, 1);
+        assert.isNotNull(host.shadowRoot);
+        assert.equal(host.shadowRoot.firstChild.localName, 'span');
+    });
+
     test('getElementsByClassName', function () {
         var document = window.document.implementation.createHTMLDocument('test');
         var host = document.createElement('div');
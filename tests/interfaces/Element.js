@@ -91,6 +91,14 @@ suite('Element', function () {
             assert.equal(div.attachShadow({ mode: 'closed' }).mode, 'closed');
         });
 
+        test('initializes the shadow root\'s delegatesFocus', function () {
+            var div;
+            div = document.createElement('div');
+            assert.isFalse(div.attachShadow({ mode: 'open' }).delegatesFocus);
+            div = document.createElement('div');
+            assert.isTrue(div.attachShadow({ mode: 'open', delegatesFocus: true }).delegatesFocus);
+        });
+
         test('stores the existing children in shadow state', function () {
             var div = document.createElement('div');
             var span = document.createElement('span');
@@ -127,6 +135,36 @@ suite('Element', function () {
 
     });
 
+    suite('focus()', function () {
+
+        test('delegates focus to the first focusable shadow descendant', function () {
+            var host = document.createElement('div');
+            var shadow = host.attachShadow({ mode: 'open', delegatesFocus: true });
+            var span = document.createElement('span');
+            var input = document.createElement('input');
+            shadow.append(span, input);
+            document.body.prepend(host);
+            host.focus();
+            assert.equal(shadow.activeElement, input);
+            assert.equal(document.activeElement, host);
+            document.body.removeChild(host);
+        });
+
+        test('does not move focus that is already within the shadow tree', function () {
+            var host = document.createElement('div');
+            var shadow = host.attachShadow({ mode: 'open', delegatesFocus: true });
+            var input1 = document.createElement('input');
+            var input2 = document.createElement('input');
+            shadow.append(input1, input2);
+            document.body.prepend(host);
+            input2.focus();
+            host.focus();
+            assert.equal(shadow.activeElement, input2);
+            document.body.removeChild(host);
+        });
+
+    });
+
     suite('get innerHTML()', function () {
 
         test('does not include shadow tree', function () {
@@ -138,6 +176,92 @@ suite('Element', function () {
 
     });
 
+    suite('getHTML(options)', function () {
+
+        function makeHost(init) {
+            var host = document.createElement('div');
+            host.attachShadow(init).innerHTML = '<span>shadow</span>';
+            host.append('light');
+            return host;
+        }
+
+        test('does not include shadow roots by default', function () {
+            var host = makeHost({ mode: 'open', serializable: true });
+            assert.equal(host.getHTML(), 'light');
+        });
+
+        test('includes serializable shadow roots when asked to', function () {
+            var div = document.createElement('div');
+            div.append(makeHost({ mode: 'open', serializable: true }));
+            assert.equal(
+                div.getHTML({ serializableShadowRoots: true }),
+                '<div><template shadowrootmode="open" shadowrootserializable=""><span>shadow</span></template>light</div>');
+        });
+
+        test('does not include shadow roots that are not serializable', function () {
+            var host = makeHost({ mode: 'open' });
+            assert.equal(host.getHTML({ serializableShadowRoots: true }), 'light');
+        });
+
+        test('includes the given shadow roots', function () {
+            var host = makeHost({ mode: 'closed', delegatesFocus: true });
+            var shadow = host._shadow.shadowRoot;
+            assert.equal(
+                host.getHTML({ shadowRoots: [shadow] }),
+                '<template shadowrootmode="closed" shadowrootdelegatesfocus=""><span>shadow</span></template>light');
+        });
+
+        test('round-trips through declarative shadow roots', function () {
+            var div = document.createElement('div');
+            div.append(makeHost({ mode: 'open', serializable: true }));
+            var copy = document.createElement('div');
+            copy.innerHTML = div.getHTML({ serializableShadowRoots: true });
+            assert.isTrue(copy.firstChild.shadowRoot.serializable);
+            assert.equal(copy.firstChild.shadowRoot.getHTML(), '<span>shadow</span>');
+            assert.equal(copy.getHTML({ serializableShadowRoots: true }), div.getHTML({ serializableShadowRoots: true }));
+        });
+
+    });
+
+    suite('setHTMLUnsafe(html)', function () {
+
+        test('replaces the children', function () {
+            var div = document.createElement('div');
+            div.append(document.createElement('p'));
+            div.setHTMLUnsafe('<span>one</span>two');
+            assert.equal(div.childNodes.length, 2);
+            assert.equal(div.firstChild.localName, 'span');
+            assert.equal(div.lastChild.data, 'two');
+        });
+
+        test('attaches declarative shadow roots', function () {
+            var div = document.createElement('div');
+            div.setHTMLUnsafe('<div><template shadowrootmode="open" shadowrootserializable><slot></slot></template>light</div>');
+            var host = div.firstChild;
+            assert.isNotNull(host.shadowRoot);
+            assert.isTrue(host.shadowRoot.serializable);
+            assert.equal(host.childNodes.length, 1);
+            assert.equal(host.firstChild.assignedSlot, host.shadowRoot.firstChild);
+        });
+
+        test('sets the contents of a template', function () {
+            var template = document.createElement('template');
+            template.setHTMLUnsafe('<span></span>');
+            assert.equal(template.childNodes.length, 0);
+            assert.equal(template.content.firstChild.localName, 'span');
+        });
+
+        test('replaces the children of a shadow root', function () {
+            var host = document.createElement('div');
+            var shadowRoot = host.attachShadow({ mode: 'open' });
+            shadowRoot.append(document.createElement('p'));
+            shadowRoot.setHTMLUnsafe('<div><template shadowrootmode="open">inner</template></div>');
+            assert.equal(shadowRoot.childNodes.length, 1);
+            assert.equal(shadowRoot.firstChild.shadowRoot.textContent, 'inner');
+        });
+
+    });
+
     suite('set innerHTML()', function () {
 
         test('results in expected children', function () {
@@ -148,6 +272,43 @@ suite('Element', function () {
             assert.isTrue(div.lastChild instanceof Text);
         });
 
+        test('attaches declarative shadow roots', function () {
+            var div = document.createElement('div');
+            div.innerHTML = '<div><template shadowrootmode="open"><slot></slot></template><span>light</span></div>';
+            var host = div.firstChild;
+            assert.equal(host.childNodes.length, 1);
+            assert.isNotNull(host.shadowRoot);
+            assert.equal(host.shadowRoot.mode, 'open');
+            assert.equal(host.shadowRoot.firstChild.localName, 'slot');
+            assert.equal(host.firstChild.assignedSlot, host.shadowRoot.firstChild);
+        });
+
+        test('attaches nested declarative shadow roots', function () {
+            var div = document.createElement('div');
+            div.innerHTML =
+                '<div><template shadowrootmode="open">' +
+                '<span><template shadowrootmode="open">inner</template></span>' +
+                '</template></div>';
+            var inner = div.firstChild.shadowRoot.firstChild;
+            assert.isNotNull(inner.shadowRoot);
+            assert.equal(inner.shadowRoot.textContent, 'inner');
+        });
+
+        test('honors declarative shadow root attributes', function () {
+            var div = document.createElement('div');
+            div.innerHTML = '<div><template shadowrootmode="closed" shadowrootdelegatesfocus></template></div>';
+            var host = div.firstChild;
+            assert.isNull(host.shadowRoot);
+            assert.equal(host._shadow.shadowRoot.mode, 'closed');
+            assert.isTrue(host._shadow.shadowRoot.delegatesFocus);
+        });
+
+        test('leaves declarative shadow root templates on invalid hosts', function () {
+            var div = document.createElement('div');
+            div.innerHTML = '<a><template shadowrootmode="open"></template></a>';
+            assert.equal(div.firstChild.firstChild.localName, 'template');
+        });
+
         test('preserves shadow root and its contents', function () {
             var div = document.createElement('div');
             div.attachShadow({ mode: 'open'}).append(document.createTextNode('uh, yeah it is'));
@@ -157,6 +318,50 @@ suite('Element', function () {
 
     });
 
+    suite('matches(selectors) and closest(selectors)', function () {
+
+        test('combinators stop at shadow roots', function () {
+            var host = document.createElement('div');
+            host.className = 'host';
+            var span = document.createElement('span');
+            host.attachShadow({ mode: 'open' }).append(span);
+            assert.isFalse(span.matches('div span'));
+            assert.isFalse(span.matches('.host > span'));
+            assert.isTrue(span.matches(':host > span'));
+            assert.isTrue(span.matches(':host(.host) span'));
+            assert.isNull(span.closest('div'));
+            assert.equal(span.closest('span'), span);
+        });
+
+        test(':defined matches elements that are not undefined custom elements', function () {
+            var div = document.createElement('div');
+            var undefinedElement = document.createElement('not-defined-element');
+            assert.isTrue(div.matches(':defined'));
+            assert.isFalse(undefinedElement.matches(':defined'));
+            assert.isTrue(undefinedElement.matches(':not(:defined)'));
+        });
+
+        test(':has() matches against the shadow-aware tree', function () {
+            var host = document.createElement('div');
+            var shadowSpan = document.createElement('span');
+            var shadowRoot = host.attachShadow({ mode: 'open' });
+            shadowRoot.append(shadowSpan);
+            assert.isFalse(host.matches(':has(span)'));
+            var lightSpan = document.createElement('span');
+            lightSpan.className = 'light';
+            host.append(lightSpan);
+            assert.isTrue(host.matches(':has(span.light)'));
+            assert.isTrue(host.matches(':has(> span)'));
+            assert.isFalse(host.matches(':has(+ span)'));
+            var container = document.createElement('div');
+            container.append(host, document.createElement('p'));
+            assert.isTrue(host.matches(':has(~ p)'));
+            assert.isTrue(container.matches(':has(div > .light)'));
+            assert.isFalse(container.matches(':has(div > span:not(.light))'));
+        });
+
+    });
+
     suite('attribute-related methods', function () {
 
         test('setAttribute', function () {
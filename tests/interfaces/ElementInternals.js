@@ -0,0 +1,281 @@
+'use strict';
+
+suite('ElementInternals', function () {
+
+    var assert = chai.assert;
+
+    function defineElement(name, formAssociated) {
+        var constructor = function () {
+            var self = HTMLElement.call(this);
+            self.internals = self.attachInternals();
+            self.callbacks = [];
+            return self;
+        };
+        constructor.prototype = Object.create(HTMLElement.prototype, {
+            'constructor': {
+                value: constructor,
+                writable: true,
+                configurable: true
+            }
+        });
+        if (formAssociated) {
+            constructor.formAssociated = true;
+            ['formAssociatedCallback', 'formResetCallback', 'formDisabledCallback'].forEach(function (name) {
+                constructor.prototype[name] = function () {
+                    this.callbacks.push([name].concat(Array.prototype.slice.call(arguments)));
+                };
+            });
+        }
+        window.customElements.define(name, constructor);
+        return constructor;
+    }
+
+    var FormElement = defineElement('internals-form-element', true);
+    var PlainElement = defineElement('internals-plain-element', false);
+
+    var form, element;
+
+    setup(function () {
+        form = document.createElement('form');
+        element = new FormElement();
+        element.setAttribute('name', 'field');
+        form.append(element);
+        document.body.append(form);
+    });
+
+    teardown(function () {
+        form.remove();
+    });
+
+    test('attachInternals returns an ElementInternals', function () {
+        assert.instanceOf(element.internals, window.ElementInternals);
+        assert.throws(function () {
+            new window.ElementInternals();
+        }, TypeError);
+    });
+
+    test('attachInternals can only be called once', function () {
+        assert.throws(function () {
+            element.attachInternals();
+        });
+    });
+
+    test('attachInternals throws for elements that are not custom', function () {
+        assert.throws(function () {
+            document.createElement('div').attachInternals();
+        });
+    });
+
+    test('form members throw for elements that are not form-associated', function () {
+        var plain = new PlainElement();
+        assert.throws(function () {
+            return plain.internals.form;
+        });
+        assert.throws(function () {
+            plain.internals.setFormValue('value');
+        });
+    });
+
+    test('form is the form owner', function () {
+        assert.equal(element.internals.form, form);
+        element.remove();
+        assert.isNull(element.internals.form);
+    });
+
+    test('form follows the form attribute', function () {
+        var other = document.createElement('form');
+        other.id = 'internals-other-form';
+        document.body.append(other);
+        element.setAttribute('form', 'internals-other-form');
+        assert.equal(element.internals.form, other);
+        other.remove();
+        assert.isNull(element.internals.form);
+    });
+
+    test('formAssociatedCallback is invoked when the form owner changes', function () {
+        assert.deepEqual(element.callbacks[0], ['formAssociatedCallback', form]);
+        element.callbacks = [];
+        element.remove();
+        assert.deepEqual(element.callbacks, [['formAssociatedCallback', null]]);
+    });
+
+    test('formDisabledCallback is invoked when a fieldset is disabled', function () {
+        var fieldset = document.createElement('fieldset');
+        form.append(fieldset);
+        fieldset.append(element);
+        element.callbacks = [];
+        fieldset.disabled = true;
+        assert.deepEqual(element.callbacks, [['formDisabledCallback', true]]);
+        assert.isFalse(element.internals.willValidate);
+        fieldset.removeAttribute('disabled');
+        assert.deepEqual(element.callbacks[1], ['formDisabledCallback', false]);
+    });
+
+    test('elements in a fieldset\'s first legend are not disabled by it', function () {
+        var fieldset = document.createElement('fieldset');
+        var legend = document.createElement('legend');
+        fieldset.disabled = true;
+        fieldset.append(legend);
+        form.append(fieldset);
+        legend.append(element);
+        assert.isTrue(element.internals.willValidate);
+    });
+
+    test('formResetCallback is invoked when the form is reset', function () {
+        element.callbacks = [];
+        form.reset();
+        assert.deepEqual(element.callbacks, [['formResetCallback']]);
+    });
+
+    test('setValidity requires a message for invalid flags', function () {
+        assert.throws(function () {
+            element.internals.setValidity({ valueMissing: true });
+        }, TypeError);
+    });
+
+    test('setValidity requires the anchor to be a shadow-including descendant', function () {
+        var shadowRoot = element.attachShadow({ mode: 'open' });
+        shadowRoot.innerHTML = '<input>';
+        assert.throws(function () {
+            element.internals.setValidity({ customError: true }, 'Nope', document.body);
+        });
+        assert.doesNotThrow(function () {
+            element.internals.setValidity({ customError: true }, 'Nope', shadowRoot.firstChild);
+        });
+    });
+
+    test('validity reflects setValidity', function () {
+        var validity = element.internals.validity;
+        assert.isTrue(validity.valid);
+        element.internals.setValidity({ valueMissing: true }, 'Required');
+        assert.isFalse(validity.valid);
+        assert.isTrue(validity.valueMissing);
+        assert.isFalse(validity.customError);
+        assert.equal(element.internals.validationMessage, 'Required');
+        element.internals.setValidity({});
+        assert.isTrue(validity.valid);
+        assert.equal(element.internals.validationMessage, '');
+    });
+
+    test('checkValidity fires invalid', function () {
+        var fired = 0;
+        element.addEventListener('invalid', function () {
+            fired++;
+        });
+        assert.isTrue(element.internals.checkValidity());
+        element.internals.setValidity({ customError: true }, 'Nope');
+        assert.isFalse(element.internals.checkValidity());
+        assert.equal(fired, 1);
+    });
+
+    test('form checkValidity includes form-associated elements', function () {
+        assert.isTrue(form.checkValidity());
+        element.internals.setValidity({ customError: true }, 'Nope');
+        assert.isFalse(form.checkValidity());
+        element.setAttribute('disabled', '');
+        assert.isTrue(form.checkValidity());
+    });
+
+    test('labels lists the labels of the element', function () {
+        var label1 = document.createElement('label');
+        label1.append(element);
+        form.append(label1);
+        var label2 = document.createElement('label');
+        label2.htmlFor = 'internals-labelled';
+        element.id = 'internals-labelled';
+        form.append(label2);
+        var labels = element.internals.labels;
+        assert.equal(labels.length, 2);
+        assert.equal(labels[0], label1);
+        assert.equal(labels[1], label2);
+    });
+
+    test('shadowRoot is the element\'s shadow root', function () {
+        assert.isNull(element.internals.shadowRoot);
+        var shadowRoot = element.attachShadow({ mode: 'closed' });
+        assert.equal(element.internals.shadowRoot, shadowRoot);
+    });
+
+    test('setFormValue values are submitted', function (done) {
+        if (typeof window.FormDataEvent !== 'function') {
+            done();
+            return;
+        }
+        element.internals.setFormValue('value');
+        form.addEventListener('formdata', function (event) {
+            assert.equal(event.formData.get('field'), 'value');
+            done();
+        });
+        new FormData(form);
+    });
+
+    suite('states', function () {
+
+        test('is a CustomStateSet', function () {
+            var states = element.internals.states;
+            assert.instanceOf(states, window.CustomStateSet);
+            assert.equal(element.internals.states, states);
+            assert.equal(states.size, 0);
+        });
+
+        test('add, has and delete', function () {
+            var states = element.internals.states;
+            states.add('checked');
+            states.add('loading');
+            states.add('checked');
+            assert.equal(states.size, 2);
+            assert.isTrue(states.has('checked'));
+            assert.isTrue(states['delete']('checked'));
+            assert.isFalse(states['delete']('checked'));
+            assert.isFalse(states.has('checked'));
+            assert.isTrue(states.has('loading'));
+            states.clear();
+            assert.equal(states.size, 0);
+        });
+
+        test('iterates in insertion order', function () {
+            var states = element.internals.states;
+            states.add('b');
+            states.add('a');
+            var values = [];
+            states.forEach(function (value) {
+                values.push(value);
+            });
+            assert.deepEqual(values, ['b', 'a']);
+            var iterator = states.values();
+            assert.equal(iterator.next().value, 'b');
+            assert.equal(iterator.next().value, 'a');
+            assert.isTrue(iterator.next().done);
+        });
+
+        test(':state() matches custom states', function () {
+            element.internals.states.add('checked');
+            assert.isTrue(element.matches(':state(checked)'));
+            assert.isFalse(element.matches(':state(loading)'));
+            assert.equal(form.querySelector(':state(checked)'), element);
+            element.internals.states['delete']('checked');
+            assert.isFalse(element.matches(':state(checked)'));
+            assert.isNull(form.querySelector(':state(checked)'));
+        });
+
+        test('states are not serialized or cloned', function () {
+            element.internals.states.add('checked');
+            assert.notInclude(form.innerHTML, 'ce-state');
+            var clone = element.cloneNode(false);
+            assert.isFalse(clone.matches(':state(checked)'));
+        });
+
+        test(':state() is rewritten in style sheets', function () {
+            var style = document.createElement('style');
+            style.textContent = 'internals-form-element:state(checked) { color: red; }';
+            document.head.append(style);
+            assert.notInclude(style.textContent, ':state');
+            assert.include(style.textContent, '[ce-state~="checked"]');
+            element.internals.states.add('checked');
+            assert.equal(getComputedStyle(element).color, 'rgb(255, 0, 0)');
+            style.remove();
+        });
+
+    });
+
+});
@@ -196,4 +196,52 @@ suite('Node', function () {
 
     });
 
+    suite('cloneNode(deep)', function () {
+
+        test('does not clone shadow roots that are not clonable', function () {
+            var host = document.createElement('div');
+            host.attachShadow({ mode: 'open' }).innerHTML = '<span></span>';
+            var copy = host.cloneNode(true);
+            assert.isNull(copy.shadowRoot);
+        });
+
+        test('clones clonable shadow roots', function () {
+            var host = document.createElement('div');
+            var shadowRoot = host.attachShadow({ mode: 'open', clonable: true, delegatesFocus: true, serializable: true });
+            shadowRoot.innerHTML = '<p><slot name="a"></slot></p>';
+            host.innerHTML = '<span slot="a">light</span>';
+            var copy = host.cloneNode(true);
+            assert.isNotNull(copy.shadowRoot);
+            assert.notEqual(copy.shadowRoot, shadowRoot);
+            assert.isTrue(copy.shadowRoot.clonable);
+            assert.isTrue(copy.shadowRoot.delegatesFocus);
+            assert.isTrue(copy.shadowRoot.serializable);
+            assert.equal(copy.shadowRoot.innerHTML, '<p><slot name="a"></slot></p>');
+            assert.equal(copy.childNodes.length, 1);
+            assert.equal(copy.firstChild.assignedSlot, copy.shadowRoot.firstChild.firstChild);
+        });
+
+        test('clones closed and manually assigned shadow roots', function () {
+            var host = document.createElement('div');
+            host.attachShadow({ mode: 'closed', clonable: true, slotAssignment: 'manual' });
+            var copy = host.cloneNode(false);
+            var copyShadowRoot = copy._shadow.shadowRoot;
+            assert.isNull(copy.shadowRoot);
+            assert.equal(copyShadowRoot.mode, 'closed');
+            assert.equal(copyShadowRoot.slotAssignment, 'manual');
+        });
+
+        test('clones nested clonable shadow roots with importNode', function () {
+            var host = document.createElement('div');
+            var inner = document.createElement('span');
+            inner.attachShadow({ mode: 'open', clonable: true }).textContent = 'inner';
+            host.attachShadow({ mode: 'open', clonable: true }).append(inner);
+            var other = document.implementation.createHTMLDocument('');
+            var copy = other.importNode(host, true);
+            assert.equal(copy.ownerDocument, other);
+            assert.equal(copy.shadowRoot.firstChild.shadowRoot.textContent, 'inner');
+        });
+
+    });
+
 });
\ No newline at end of file
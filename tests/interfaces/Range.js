@@ -0,0 +1,197 @@
+'use strict';
+
+suite('Range', function () {
+
+    var assert = chai.assert;
+
+    var host, shadowRoot;
+
+    setup(function () {
+        host = document.createElement('div');
+        host.innerHTML = '<span>light</span>';
+        shadowRoot = host.attachShadow({ mode: 'open' });
+        shadowRoot.innerHTML = '<p>one</p><p>two</p><slot></slot>';
+        document.body.append(host);
+    });
+
+    teardown(function () {
+        host.remove();
+    });
+
+    test('document.createRange() and new Range() create polyfilled ranges', function () {
+        var range = document.createRange();
+        assert.instanceOf(range, Range);
+        assert.equal(range.startContainer, document);
+        assert.isTrue(range.collapsed);
+        assert.instanceOf(new Range(), Range);
+    });
+
+    test('boundary points are in the shadow-aware tree', function () {
+        var range = document.createRange();
+        range.selectNodeContents(shadowRoot);
+        assert.equal(range.startContainer, shadowRoot);
+        assert.equal(range.endOffset, 3);
+        assert.equal(range.commonAncestorContainer, shadowRoot);
+        range.selectNodeContents(host);
+        assert.equal(range.endOffset, 1);
+    });
+
+    test('setting a boundary point in another tree collapses the range', function () {
+        var range = document.createRange();
+        range.selectNodeContents(host);
+        range.setEnd(shadowRoot, 1);
+        assert.equal(range.startContainer, shadowRoot);
+        assert.isTrue(range.collapsed);
+    });
+
+    test('boundary points are updated by insertion and removal', function () {
+        var range = document.createRange();
+        range.setStart(shadowRoot, 1);
+        range.setEnd(shadowRoot, 2);
+        shadowRoot.prepend(document.createElement('hr'));
+        assert.equal(range.startOffset, 2);
+        assert.equal(range.endOffset, 3);
+        shadowRoot.childNodes[2].remove();
+        assert.equal(range.startOffset, 2);
+        assert.equal(range.endOffset, 2);
+    });
+
+    test('boundary points inside removed nodes move to the parent', function () {
+        var range = document.createRange();
+        var text = shadowRoot.lastChild.previousSibling.firstChild;
+        range.setStart(text, 1);
+        range.setEnd(text, 2);
+        text.parentNode.remove();
+        assert.equal(range.startContainer, shadowRoot);
+        assert.equal(range.startOffset, 1);
+        assert.isTrue(range.collapsed);
+    });
+
+    test('boundary points follow their tree when it is inserted into another', function () {
+        var div = document.createElement('div');
+        div.innerHTML = '<b>a</b><i>b</i>';
+        var range = document.createRange();
+        range.setStart(div, 1);
+        range.setEnd(div, 2);
+        shadowRoot.append(div);
+        div.prepend(document.createElement('span'));
+        assert.equal(range.startContainer, div);
+        assert.equal(range.startOffset, 2);
+        assert.equal(range.endOffset, 3);
+        div.remove();
+        assert.equal(range.startContainer, shadowRoot);
+        assert.isTrue(range.collapsed);
+    });
+
+    test('boundary points are updated by splitText() and normalize()', function () {
+        var p = shadowRoot.firstChild;
+        var text = p.firstChild;
+        var range = document.createRange();
+        range.setStart(text, 2);
+        range.setEnd(text, 3);
+        var newNode = text.splitText(1);
+        assert.equal(range.startContainer, newNode);
+        assert.equal(range.startOffset, 1);
+        assert.equal(range.endOffset, 2);
+        p.normalize();
+        assert.equal(p.childNodes.length, 1);
+        assert.equal(range.startContainer, text);
+        assert.equal(range.startOffset, 2);
+        assert.equal(range.endOffset, 3);
+    });
+
+    test('boundary points are updated when data is replaced', function () {
+        var text = shadowRoot.firstChild.firstChild;
+        var range = document.createRange();
+        range.setStart(text, 1);
+        range.setEnd(text, 3);
+        text.insertData(0, 'xx');
+        assert.equal(range.startOffset, 3);
+        assert.equal(range.endOffset, 5);
+        text.data = 'abc';
+        assert.equal(range.startOffset, 0);
+        assert.equal(range.endOffset, 0);
+    });
+
+    test('toString() and cloneContents() use the shadow-aware tree', function () {
+        var range = document.createRange();
+        range.setStart(shadowRoot.firstChild.firstChild, 1);
+        range.setEnd(shadowRoot.childNodes[1].firstChild, 2);
+        assert.equal(range.toString(), 'netw');
+        var fragment = range.cloneContents();
+        assert.equal(fragment.childNodes.length, 2);
+        assert.equal(fragment.firstChild.textContent, 'ne');
+        assert.equal(fragment.lastChild.textContent, 'tw');
+        assert.equal(shadowRoot.firstChild.textContent, 'one');
+    });
+
+    test('extractContents() and deleteContents() go through the shadow-aware tree', function () {
+        var range = document.createRange();
+        range.setStart(shadowRoot, 0);
+        range.setEnd(shadowRoot, 2);
+        var fragment = range.extractContents();
+        assert.equal(fragment.childNodes.length, 2);
+        assert.equal(shadowRoot.childNodes.length, 1);
+        assert.isTrue(range.collapsed);
+        assert.equal(range.startOffset, 0);
+        range.selectNodeContents(host);
+        range.deleteContents();
+        assert.equal(host.childNodes.length, 0);
+        assert.equal(shadowRoot.lastChild.assignedNodes().length, 0);
+    });
+
+    test('insertNode() inserts into the shadow-aware tree', function () {
+        var range = document.createRange();
+        range.setStart(shadowRoot.firstChild.firstChild, 1);
+        var b = document.createElement('b');
+        range.insertNode(b);
+        assert.equal(shadowRoot.firstChild.childNodes.length, 3);
+        assert.equal(shadowRoot.firstChild.childNodes[1], b);
+        assert.equal(range.endContainer, shadowRoot.firstChild);
+        assert.equal(range.endOffset, 2);
+    });
+
+    test('createContextualFragment() parses markup', function () {
+        var range = document.createRange();
+        range.selectNodeContents(shadowRoot.firstChild);
+        var fragment = range.createContextualFragment('<i>a</i>b');
+        assert.equal(fragment.childNodes.length, 2);
+        assert.equal(fragment.firstChild.localName, 'i');
+    });
+
+    test('compareBoundaryPoints(), comparePoint() and intersectsNode()', function () {
+        var range = document.createRange();
+        range.selectNode(shadowRoot.childNodes[1]);
+        var other = document.createRange();
+        other.selectNode(shadowRoot.firstChild);
+        assert.equal(range.compareBoundaryPoints(Range.START_TO_START, other), 1);
+        assert.equal(range.comparePoint(shadowRoot, 0), -1);
+        assert.equal(range.comparePoint(shadowRoot.childNodes[1].firstChild, 1), 0);
+        assert.isTrue(range.intersectsNode(shadowRoot.childNodes[1]));
+        assert.isFalse(range.intersectsNode(shadowRoot.firstChild));
+        assert.isFalse(range.intersectsNode(host));
+    });
+
+    test('getBoundingClientRect() measures the rendered contents', function () {
+        var range = document.createRange();
+        range.selectNodeContents(shadowRoot.firstChild);
+        var rect = range.getBoundingClientRect();
+        assert.isAbove(rect.width, 0);
+    });
+
+    test('Selection converts ranges to and from the rendered tree', function () {
+        var selection = document.getSelection();
+        var range = document.createRange();
+        range.setStart(shadowRoot.firstChild.firstChild, 1);
+        range.setEnd(shadowRoot.firstChild.firstChild, 2);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        var result = shadowRoot.getSelection().getRangeAt(0);
+        assert.instanceOf(result, Range);
+        assert.equal(result.startContainer, shadowRoot.firstChild.firstChild);
+        assert.equal(result.startOffset, 1);
+        assert.equal(result.endOffset, 2);
+        selection.removeAllRanges();
+    });
+
+});
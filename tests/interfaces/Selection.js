@@ -0,0 +1,87 @@
+'use strict';
+
+suite('Selection', function () {
+
+    var assert = chai.assert;
+
+    var host, shadowRoot, inner, before;
+
+    setup(function () {
+        host = document.createElement('div');
+        shadowRoot = host.attachShadow({ mode: 'open' });
+        inner = document.createTextNode('shadow text');
+        shadowRoot.append(inner);
+        before = document.createTextNode('light text');
+        document.body.append(before, host);
+    });
+
+    teardown(function () {
+        document.getSelection().removeAllRanges();
+        before.remove();
+        host.remove();
+    });
+
+    function select(startNode, startOffset, endNode, endOffset) {
+        var selection = document.getSelection();
+        selection.removeAllRanges();
+        selection.collapse(startNode, startOffset);
+        selection.extend(endNode, endOffset);
+    }
+
+    test('document.getSelection() clamps boundaries inside shadow trees to the host', function () {
+        select(before, 1, inner, 3);
+        var selection = document.getSelection();
+        var index = Array.prototype.indexOf.call(document.body.childNodes, host);
+        assert.equal(selection.anchorNode, before);
+        assert.equal(selection.anchorOffset, 1);
+        assert.equal(selection.focusNode, document.body);
+        assert.equal(selection.focusOffset, index + 1);
+    });
+
+    test('document.getSelection() is collapsed before the host for a caret in a shadow tree', function () {
+        select(inner, 2, inner, 2);
+        var selection = document.getSelection();
+        var index = Array.prototype.indexOf.call(document.body.childNodes, host);
+        assert.equal(selection.anchorNode, document.body);
+        assert.equal(selection.anchorOffset, index);
+        assert.isTrue(selection.isCollapsed);
+        assert.equal(selection.type, 'Caret');
+    });
+
+    test('ShadowRoot.getSelection() sees nodes in the shadow tree', function () {
+        select(inner, 1, inner, 4);
+        var selection = shadowRoot.getSelection();
+        assert.notEqual(selection, document.getSelection());
+        assert.equal(selection, shadowRoot.getSelection());
+        assert.equal(selection.anchorNode, inner);
+        assert.equal(selection.anchorOffset, 1);
+        assert.equal(selection.focusNode, inner);
+        assert.equal(selection.focusOffset, 4);
+        assert.equal(selection.rangeCount, 1);
+        assert.equal(selection.toString(), 'had');
+    });
+
+    test('getComposedRanges() rescopes to the given shadow roots', function () {
+        select(before, 1, inner, 3);
+        var selection = document.getSelection();
+        var index = Array.prototype.indexOf.call(document.body.childNodes, host);
+
+        var ranges = selection.getComposedRanges();
+        assert.equal(ranges.length, 1);
+        assert.equal(ranges[0].startContainer, before);
+        assert.equal(ranges[0].endContainer, document.body);
+        assert.equal(ranges[0].endOffset, index + 1);
+
+        ranges = selection.getComposedRanges({ shadowRoots: [shadowRoot] });
+        assert.equal(ranges[0].startContainer, before);
+        assert.equal(ranges[0].startOffset, 1);
+        assert.equal(ranges[0].endContainer, inner);
+        assert.equal(ranges[0].endOffset, 3);
+    });
+
+    test('getComposedRanges() is empty without a selection', function () {
+        document.getSelection().removeAllRanges();
+        assert.equal(document.getSelection().getComposedRanges().length, 0);
+    });
+
+});
@@ -14,4 +14,132 @@ suite('DocumentOrShadowRoot', function () {
         document.body.removeChild(button);
     });
 
+    test('Document.activeElement is the host when focus is in a shadow tree', function () {
+        var host = document.createElement('div');
+        var button = document.createElement('button');
+        host.attachShadow({ mode: 'open' }).append(button);
+        document.body.prepend(host);
+        button.focus();
+        assert.equal(document.activeElement, host);
+        assert.equal(host.shadowRoot.activeElement, button);
+        document.body.removeChild(host);
+    });
+
+    test('ShadowRoot.activeElement is null when focus is outside of it', function () {
+        var host = document.createElement('div');
+        var shadow = host.attachShadow({ mode: 'open' });
+        var button = document.createElement('button');
+        document.body.prepend(host, button);
+        button.focus();
+        assert.isNull(shadow.activeElement);
+        document.body.removeChild(host);
+        document.body.removeChild(button);
+    });
+
+    suite('elementFromPoint(x, y)', function () {
+
+        function makeHost() {
+            var host = document.createElement('div');
+            host.style.cssText = 'position: fixed; left: 0; top: 0; width: 50px; height: 50px; z-index: 10000';
+            var inner = document.createElement('span');
+            inner.style.cssText = 'display: block; width: 50px; height: 50px';
+            host.attachShadow({ mode: 'open' }).append(inner);
+            document.body.append(host);
+            return host;
+        }
+
+        test('Document.elementFromPoint is retargeted to the host', function () {
+            var host = makeHost();
+            assert.equal(document.elementFromPoint(10, 10), host);
+            host.remove();
+        });
+
+        test('ShadowRoot.elementFromPoint finds elements in the shadow tree', function () {
+            var host = makeHost();
+            assert.equal(host.shadowRoot.elementFromPoint(10, 10), host.shadowRoot.firstChild);
+            host.remove();
+        });
+
+        test('Document.elementsFromPoint lists hosts once', function () {
+            var host = makeHost();
+            var elements = document.elementsFromPoint(10, 10);
+            assert.equal(elements[0], host);
+            assert.equal(elements.indexOf(host, 1), -1);
+            assert.equal(elements.indexOf(host.shadowRoot.firstChild), -1);
+            host.remove();
+        });
+
+        test('ShadowRoot.elementsFromPoint starts in the shadow tree', function () {
+            var host = makeHost();
+            var elements = host.shadowRoot.elementsFromPoint(10, 10);
+            assert.equal(elements[0], host.shadowRoot.firstChild);
+            assert.equal(elements[1], host);
+            host.remove();
+        });
+
+    });
+
+    suite('get styleSheets()', function () {
+
+        test('Document.styleSheets excludes sheets in shadow trees', function () {
+            var host = document.createElement('div');
+            var style = document.createElement('style');
+            host.attachShadow({ mode: 'open' }).append(style);
+            document.body.append(host);
+            var sheets = document.styleSheets;
+            for (var i = 0; i < sheets.length; i++) {
+                assert.notEqual(sheets[i].ownerNode, style);
+            }
+            host.remove();
+        });
+
+        test('ShadowRoot.styleSheets lists only its own sheets', function () {
+            var host = document.createElement('div');
+            var outer = document.createElement('style');
+            var inner = document.createElement('style');
+            host.attachShadow({ mode: 'open' }).append(inner);
+            host.append(outer);
+            document.body.append(host);
+            var sheets = host.shadowRoot.styleSheets;
+            assert.equal(sheets.length, 1);
+            assert.equal(sheets[0].ownerNode, inner);
+            host.remove();
+        });
+
+        test('adopted style sheets are not listed', function () {
+            var host = document.createElement('div');
+            var sheet = new CSSStyleSheet();
+            sheet.replaceSync('div { color: red; }');
+            host.attachShadow({ mode: 'open' }).adoptedStyleSheets = [sheet];
+            document.body.append(host);
+            assert.equal(host.shadowRoot.styleSheets.length, 0);
+            var sheets = document.styleSheets;
+            for (var i = 0; i < sheets.length; i++) {
+                assert.notEqual(sheets[i].ownerNode.parentNode, host);
+            }
+            host.remove();
+        });
+
+        test('returns the same list with item() for each root', function () {
+            var host = document.createElement('div');
+            var style = document.createElement('style');
+            var shadowRoot = host.attachShadow({ mode: 'open' });
+            document.body.append(host);
+            var sheets = shadowRoot.styleSheets;
+            assert.equal(sheets.length, 0);
+            assert.isNull(sheets.item(0));
+            shadowRoot.append(style);
+            assert.equal(shadowRoot.styleSheets, sheets);
+            assert.equal(sheets.length, 1);
+            assert.equal(sheets.item(0), sheets[0]);
+            assert.equal(sheets.item(0).ownerNode, style);
+            style.remove();
+            assert.equal(shadowRoot.styleSheets.length, 0);
+            assert.isUndefined(sheets[0]);
+            assert.equal(document.styleSheets, document.styleSheets);
+            host.remove();
+        });
+
+    });
+
 });
\ No newline at end of file
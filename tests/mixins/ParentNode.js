@@ -73,6 +73,75 @@ suite('ParentNode', function () {
         });
     });
 
+    suite('querySelector(selectors) and querySelectorAll(selectors)', function () {
+
+        function makeTree() {
+            var host = document.createElement('div');
+            host.className = 'host';
+            host.innerHTML = '<span class="light" slot="a"></span><p></p>';
+            var shadowRoot = host.attachShadow({ mode: 'open' });
+            shadowRoot.innerHTML = '<div class="outer"><span class="inner"></span><slot name="a"></slot></div><p></p>';
+            var container = document.createElement('section');
+            container.append(host);
+            return { container: container, host: host, shadowRoot: shadowRoot };
+        }
+
+        test('combinators do not cross into shadow trees', function () {
+            var tree = makeTree();
+            assert.isNull(tree.container.querySelector('div span.inner'));
+            assert.isNull(tree.container.querySelector('.host .outer'));
+            assert.equal(tree.container.querySelector('div > span'), tree.host.firstChild);
+        });
+
+        test('combinators do not cross out of shadow trees', function () {
+            var tree = makeTree();
+            assert.isNull(tree.shadowRoot.querySelector('section span'));
+            assert.isNull(tree.shadowRoot.querySelector('.host span'));
+            assert.equal(tree.shadowRoot.querySelector('.outer > span'), tree.shadowRoot.querySelector('.inner'));
+        });
+
+        test('structural pseudo-classes use the polyfilled tree', function () {
+            var tree = makeTree();
+            assert.equal(tree.container.querySelector('span:first-child'), tree.host.firstChild);
+            assert.equal(tree.shadowRoot.querySelector('p:last-child'), tree.shadowRoot.lastChild);
+            assert.equal(tree.shadowRoot.querySelectorAll(':nth-child(2)').length, 2);
+        });
+
+        test(':host matches the host from within its shadow tree', function () {
+            var tree = makeTree();
+            assert.equal(tree.shadowRoot.querySelector(':host > p'), tree.shadowRoot.lastChild);
+            assert.equal(tree.shadowRoot.querySelector(':host(.host) .inner'), tree.shadowRoot.querySelector('.inner'));
+            assert.isNull(tree.shadowRoot.querySelector(':host(.other) .inner'));
+            assert.isNull(tree.shadowRoot.querySelector(':host'));
+        });
+
+        test('::slotted() finds nodes assigned to slots in the shadow tree', function () {
+            var tree = makeTree();
+            var results = tree.shadowRoot.querySelectorAll('::slotted(span)');
+            assert.equal(results.length, 1);
+            assert.equal(results[0], tree.host.firstChild);
+            assert.equal(tree.shadowRoot.querySelector('.outer ::slotted(.light)'), tree.host.firstChild);
+            assert.isNull(tree.container.querySelector('::slotted(span)'));
+        });
+
+        test(':not() and :is() use the polyfilled tree', function () {
+            var tree = makeTree();
+            assert.equal(tree.shadowRoot.querySelectorAll(':not(.outer span)').length, 3);
+            assert.equal(tree.container.querySelector(':is(section > div) > span'), tree.host.firstChild);
+        });
+
+        test('throws a SyntaxError for invalid selectors', function () {
+            var tree = makeTree();
+            assert.throws(function () {
+                tree.container.querySelector('div >');
+            });
+            assert.throws(function () {
+                tree.container.querySelectorAll('::slotted()');
+            });
+        });
+
+    });
+
     function getterSuite(Scenario) {
 
         suite('get children()', function () {
@@ -38,6 +38,308 @@ suite('Slots & Slotables', function () {
                 assert.equal(slot1.assignedNodes().length, 0);
             });
 
+            test('kept in tree order as slotables are inserted', function () {
+                var host = document.createElement('div');
+                var slot = document.createElement('slot');
+                host.attachShadow({ mode: 'open' }).append(slot);
+                var first = document.createElement('span');
+                var second = document.createElement('span');
+                var third = document.createElement('span');
+                host.append(third);
+                host.insertBefore(first, third);
+                host.insertBefore(second, third);
+                var assignedNodes = slot.assignedNodes();
+                assert.deepEqual(assignedNodes, [first, second, third]);
+                assert.equal(first.nextSibling, second);
+                assert.equal(assignedNodes[0], first);
+                assert.equal(assignedNodes[assignedNodes.length - 1], third);
+            });
+
+            test('renders fallback content again once nothing is assigned', function () {
+                var host = document.createElement('div');
+                var slotable = document.createElement('span');
+                host.append(slotable);
+                var slot = document.createElement('slot');
+                var fallback = document.createElement('span');
+                slot.append(fallback);
+                host.attachShadow({ mode: 'open' }).append(slot);
+                slot.name = 'other';
+                assert.equal(slot.assignedNodes().length, 0);
+                assert.equal(slot.childNodes[0], fallback);
+                slot.name = '';
+                assert.deepEqual(slot.assignedNodes(), [slotable]);
+            });
+
+        });
+
+        suite('assignedElements()', function () {
+
+            test('only returns elements', function () {
+                var host = document.createElement('div');
+                var span = document.createElement('span');
+                host.append('text', span);
+                var slot = document.createElement('slot');
+                host.attachShadow({ mode: 'open' }).append(slot);
+                assert.equal(slot.assignedNodes().length, 2);
+                assert.deepEqual(slot.assignedElements(), [span]);
+            });
+
+            test('flattens nested slots', function () {
+                var outerHost = document.createElement('div');
+                var span = document.createElement('span');
+                outerHost.append(span, 'text');
+                var innerHost = document.createElement('div');
+                var outerSlot = document.createElement('slot');
+                innerHost.append(outerSlot);
+                outerHost.attachShadow({ mode: 'open' }).append(innerHost);
+                var innerSlot = document.createElement('slot');
+                innerHost.attachShadow({ mode: 'open' }).append(innerSlot);
+                assert.deepEqual(innerSlot.assignedElements(), [outerSlot]);
+                assert.deepEqual(innerSlot.assignedElements({ flatten: true }), [span]);
+            });
+
+        });
+
+        suite('fallback content', function () {
+
+            var polyfill = window.shadowDomPolyfill;
+
+            test('fallbackNodes() returns the slot\'s children while nodes are assigned', function () {
+                var host = document.createElement('div');
+                var slot = document.createElement('slot');
+                var fallback = document.createElement('span');
+                slot.append(fallback, 'text');
+                host.attachShadow({ mode: 'open' }).append(slot);
+                var fallbackNodes = polyfill.fallbackNodes(slot);
+                assert.equal(fallbackNodes.length, 2);
+                assert.equal(fallbackNodes[0], fallback);
+                host.append(document.createElement('b'));
+                assert.equal(polyfill.fallbackNodes(slot).length, 2);
+                assert.equal(polyfill.fallbackNodes(slot)[0], fallback);
+            });
+
+            test('isShowingFallback() follows assignment', function () {
+                var host = document.createElement('div');
+                var slot = document.createElement('slot');
+                slot.append('fallback');
+                assert.isFalse(polyfill.isShowingFallback(slot));
+                host.attachShadow({ mode: 'open' }).append(slot);
+                assert.isTrue(polyfill.isShowingFallback(slot));
+                var span = document.createElement('span');
+                host.append(span);
+                assert.isFalse(polyfill.isShowingFallback(slot));
+                span.remove();
+                assert.isTrue(polyfill.isShowingFallback(slot));
+            });
+
+            test('ignores elements that are not slots', function () {
+                var div = document.createElement('div');
+                div.append('text');
+                assert.deepEqual(polyfill.fallbackNodes(div), []);
+                assert.isFalse(polyfill.isShowingFallback(div));
+            });
+
+        });
+
+        suite('assign()', function () {
+
+            function makeManualHost() {
+                var host = document.createElement('div');
+                var slot1 = document.createElement('slot');
+                var slot2 = document.createElement('slot');
+                host.attachShadow({ mode: 'open', slotAssignment: 'manual' }).append(slot1, slot2);
+                return { host: host, slot1: slot1, slot2: slot2 };
+            }
+
+            test('does not assign by name in manual mode', function () {
+                var parts = makeManualHost();
+                var span = document.createElement('span');
+                parts.host.append(span);
+                assert.equal(parts.host.shadowRoot.slotAssignment, 'manual');
+                assert.isNull(span.assignedSlot);
+                assert.equal(parts.slot1.assignedNodes().length, 0);
+            });
+
+            test('assigns nodes in the given order', function () {
+                var parts = makeManualHost();
+                var span1 = document.createElement('span');
+                var span2 = document.createElement('span');
+                parts.host.append(span1, span2);
+                parts.slot2.assign(span2, span1);
+                assert.equal(span1.assignedSlot, parts.slot2);
+                assert.equal(span2.assignedSlot, parts.slot2);
+                assert.deepEqual(parts.slot2.assignedNodes(), [span2, span1]);
+                assert.deepEqual(parts.slot2.assignedNodes({ flatten: true }), [span2, span1]);
+            });
+
+            test('moves nodes between slots', function () {
+                var parts = makeManualHost();
+                var span = document.createElement('span');
+                parts.host.append(span);
+                parts.slot1.assign(span);
+                parts.slot2.assign(span);
+                assert.equal(span.assignedSlot, parts.slot2);
+                assert.equal(parts.slot1.assignedNodes().length, 0);
+            });
+
+            test('assigns nodes that are inserted later', function () {
+                var parts = makeManualHost();
+                var span = document.createElement('span');
+                parts.slot1.assign(span);
+                assert.isNull(span.assignedSlot);
+                parts.host.append(span);
+                assert.equal(span.assignedSlot, parts.slot1);
+            });
+
+            test('unassigns nodes that are removed or moved to another host', function () {
+                var parts = makeManualHost();
+                var other = makeManualHost();
+                var span = document.createElement('span');
+                parts.host.append(span);
+                parts.slot1.assign(span);
+                span.remove();
+                assert.isNull(span.assignedSlot);
+                assert.equal(parts.slot1.assignedNodes().length, 0);
+                other.host.append(span);
+                assert.isNull(span.assignedSlot);
+                parts.host.append(span);
+                assert.equal(span.assignedSlot, parts.slot1);
+            });
+
+            test('only accepts elements and text nodes', function () {
+                var parts = makeManualHost();
+                assert.throws(function () {
+                    parts.slot1.assign(document.createComment('comment'));
+                }, TypeError);
+            });
+
+            if (!window.skipAsyncTests) {
+
+                test('signals a slot change', function (done) {
+                    var parts = makeManualHost();
+                    var span = document.createElement('span');
+                    parts.host.append(span);
+                    parts.slot1.addEventListener('slotchange', function () {
+                        done();
+                    });
+                    parts.slot1.assign(span);
+                });
+
+            }
+
+        });
+
+        suite('nested slots', function () {
+
+            // <outer-host>
+            //   #shadow-root
+            //     <inner-host>
+            //       #shadow-root
+            //         <slot id="innerSlot">inner fallback</slot>
+            //       <slot id="outerSlot">outer fallback</slot>
+            //   <span id="slotable"></span>
+            function makeNestedHosts() {
+                var outerHost = document.createElement('div');
+                var outerRoot = outerHost.attachShadow({ mode: 'open' });
+                var innerHost = document.createElement('div');
+                var outerSlot = document.createElement('slot');
+                outerSlot.append('outer fallback');
+                innerHost.append(outerSlot);
+                outerRoot.append(innerHost);
+                var innerRoot = innerHost.attachShadow({ mode: 'closed' });
+                var innerSlot = document.createElement('slot');
+                innerSlot.append('inner fallback');
+                innerRoot.append(innerSlot);
+                document.body.append(outerHost);
+                return {
+                    outerHost: outerHost,
+                    innerHost: innerHost,
+                    outerSlot: outerSlot,
+                    innerSlot: innerSlot
+                };
+            }
+
+            test('assignedNodes({ flatten: true }) goes through the slots', function () {
+                var parts = makeNestedHosts();
+                var span = document.createElement('span');
+                parts.outerHost.append(span);
+                assert.deepEqual(parts.innerSlot.assignedNodes(), [parts.outerSlot]);
+                assert.deepEqual(parts.innerSlot.assignedNodes({ flatten: true }), [span]);
+                parts.outerHost.remove();
+            });
+
+            test('assignedNodes({ flatten: true }) uses fallback content at every level', function () {
+                var parts = makeNestedHosts();
+                var flattened = parts.innerSlot.assignedNodes({ flatten: true });
+                assert.equal(flattened.length, 1);
+                assert.equal(flattened[0].data, 'outer fallback');
+                parts.outerSlot.remove();
+                flattened = parts.innerSlot.assignedNodes({ flatten: true });
+                assert.equal(flattened.length, 1);
+                assert.equal(flattened[0].data, 'inner fallback');
+                parts.outerHost.remove();
+            });
+
+            test('assignedNodes({ flatten: true }) is empty for a slot outside of a shadow tree', function () {
+                var slot = document.createElement('slot');
+                slot.append('fallback');
+                assert.equal(slot.assignedNodes({ flatten: true }).length, 0);
+            });
+
+            // innerText is not polyfilled, so it reflects what is rendered.
+
+            test('renders re-projected content and fallback content', function () {
+                var parts = makeNestedHosts();
+                assert.equal(parts.outerHost.innerText.trim(), 'outer fallback');
+                var span = document.createElement('span');
+                span.textContent = 'projected';
+                parts.outerHost.append(span);
+                assert.equal(parts.outerHost.innerText.trim(), 'projected');
+                span.remove();
+                assert.equal(parts.outerHost.innerText.trim(), 'outer fallback');
+                parts.outerSlot.remove();
+                assert.equal(parts.outerHost.innerText.trim(), 'inner fallback');
+                parts.outerHost.remove();
+            });
+
+            test('renders fallback content inserted and removed later', function () {
+                var parts = makeNestedHosts();
+                var span = document.createElement('span');
+                span.textContent = 'projected';
+                parts.outerHost.append(span);
+                var extra = document.createElement('b');
+                extra.textContent = ' extra';
+                parts.outerSlot.append(extra);
+                assert.equal(parts.outerSlot.childNodes.length, 2);
+                assert.equal(parts.outerHost.innerText.trim(), 'projected');
+                span.remove();
+                assert.equal(parts.outerHost.innerText.trim(), 'outer fallback extra');
+                extra.remove();
+                assert.equal(parts.outerHost.innerText.trim(), 'outer fallback');
+                parts.outerHost.remove();
+            });
+
+            if (!window.skipAsyncTests) {
+
+                test('slotchange bubbles to the slots it is assigned to', function (done) {
+                    var parts = makeNestedHosts();
+                    var innerRoot = parts.innerSlot.parentNode;
+                    function listener(event) {
+                        innerRoot.removeEventListener('slotchange', listener);
+                        assert.equal(event.target, parts.outerSlot);
+                        parts.outerHost.remove();
+                        done();
+                    }
+                    // Building the hosts queues slotchange events of its own,
+                    // which have all been fired once the task is over.
+                    setTimeout(function () {
+                        innerRoot.addEventListener('slotchange', listener);
+                        parts.outerHost.append(document.createElement('span'));
+                    }, 0);
+                });
+
+            }
+
         });
 
     });
@@ -155,6 +457,39 @@ suite('Slots & Slotables', function () {
                 assert.equal(slotable.assignedSlot, slot2);
             });
 
+            test('after a slot with the same name is inserted before it', function () {
+                var slotable = document.createElement('span');
+                var host = document.createElement('div');
+                host.append(slotable);
+                var div = document.createElement('div');
+                var slot1 = document.createElement('slot');
+                var slot2 = document.createElement('slot');
+                var shadowRoot = host.attachShadow({ mode: 'open' });
+                shadowRoot.append(div, slot2);
+                assert.equal(slotable.assignedSlot, slot2);
+                div.append(slot1);
+                assert.equal(slotable.assignedSlot, slot1);
+                slot1.remove();
+                assert.equal(slotable.assignedSlot, slot2);
+            });
+
+            test('after a slot is renamed to match it', function () {
+                var slotable = document.createElement('span');
+                slotable.slot = 'b';
+                var host = document.createElement('div');
+                host.append(slotable);
+                var slot1 = document.createElement('slot');
+                var slot2 = document.createElement('slot');
+                slot1.name = 'a';
+                slot2.name = 'b';
+                host.attachShadow({ mode: 'open' }).append(slot1, slot2);
+                assert.equal(slotable.assignedSlot, slot2);
+                slot1.name = 'b';
+                assert.equal(slotable.assignedSlot, slot1);
+                slot1.name = 'a';
+                assert.equal(slotable.assignedSlot, slot2);
+            });
+
         });
 
     });
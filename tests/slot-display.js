@@ -0,0 +1,84 @@
+'use strict';
+
+suite('Slot display', function () {
+
+    var assert = chai.assert;
+
+    var host, shadowRoot;
+
+    // The emulation is only turned on for this suite.
+    suiteSetup(function () {
+        window.shadowDomPolyfill.emulateSlotDisplayContents(true);
+    });
+
+    suiteTeardown(function () {
+        window.shadowDomPolyfill.emulateSlotDisplayContents(false);
+    });
+
+    setup(function () {
+        host = document.createElement('div');
+        host.style.display = 'grid';
+        host.style.gridTemplateColumns = '10px 20px';
+        shadowRoot = host.attachShadow({ mode: 'open' });
+        shadowRoot.innerHTML = '<slot></slot>';
+        document.body.append(host);
+    });
+
+    teardown(function () {
+        host.remove();
+    });
+
+    function left(element) {
+        return element.getBoundingClientRect().left - host.getBoundingClientRect().left;
+    }
+
+    // Slots are updated together once the current task has run its microtasks.
+    function afterUpdate(done, check) {
+        setTimeout(function () {
+            try {
+                check();
+                done();
+            }
+            catch (error) {
+                done(error);
+            }
+        }, 0);
+    }
+
+    if (!window.skipAsyncTests) {
+
+        test('slotted nodes are laid out by the slot\'s container', function (done) {
+            host.innerHTML = '<span>a</span><span>b</span>';
+            afterUpdate(done, function () {
+                assert.equal(left(host.firstChild), 0);
+                assert.equal(left(host.lastChild), 10);
+            });
+        });
+
+        test('layout follows nodes as they are assigned', function (done) {
+            host.innerHTML = '<span>a</span>';
+            var span = document.createElement('span');
+            host.prepend(span);
+            afterUpdate(done, function () {
+                assert.equal(left(span), 0);
+                assert.equal(left(host.lastChild), 10);
+            });
+        });
+
+        test('a display given to the slot still applies', function (done) {
+            shadowRoot.innerHTML = '<style>slot { display: block; }</style><slot></slot>';
+            host.innerHTML = '<span>a</span><span>b</span>';
+            afterUpdate(done, function () {
+                assert.equal(window.getComputedStyle(shadowRoot.lastChild).display, 'block');
+            });
+        });
+
+    }
+
+    test('the emulation is not listed in styleSheets', function () {
+        for (var i = 0; i < document.styleSheets.length; i++) {
+            assert.notInclude(document.styleSheets[i].ownerNode.textContent, 'display: contents');
+        }
+    });
+
+});
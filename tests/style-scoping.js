@@ -0,0 +1,152 @@
+'use strict';
+
+suite('Style scoping', function () {
+
+    var assert = chai.assert;
+
+    var host, shadowRoot;
+
+    setup(function () {
+        host = document.createElement('div');
+        shadowRoot = host.attachShadow({ mode: 'open' });
+        document.body.append(host);
+    });
+
+    teardown(function () {
+        host.remove();
+    });
+
+    function color(element) {
+        return window.getComputedStyle(element).color;
+    }
+
+    test('styles in a shadow tree do not apply outside of it', function () {
+        var outside = document.createElement('p');
+        document.body.append(outside);
+        shadowRoot.innerHTML = '<style>p { color: rgb(255, 0, 0); }</style><p>inside</p>';
+        assert.equal(color(shadowRoot.lastChild), 'rgb(255, 0, 0)');
+        assert.notEqual(color(outside), 'rgb(255, 0, 0)');
+        outside.remove();
+    });
+
+    test(':host applies to the host', function () {
+        shadowRoot.innerHTML = '<style>:host { color: rgb(0, 128, 0); }</style>';
+        assert.equal(color(host), 'rgb(0, 128, 0)');
+    });
+
+    test(':host() applies to a matching host', function () {
+        shadowRoot.innerHTML = '<style>:host(.on) { color: rgb(0, 128, 0); }</style>';
+        assert.notEqual(color(host), 'rgb(0, 128, 0)');
+        host.className = 'on';
+        assert.equal(color(host), 'rgb(0, 128, 0)');
+    });
+
+    test(':host-context() applies within a matching ancestor', function () {
+        var context = document.createElement('section');
+        context.className = 'dark';
+        context.append(host);
+        document.body.append(context);
+        shadowRoot.innerHTML = '<style>:host-context(.dark) span { color: rgb(0, 0, 255); }</style><span></span>';
+        assert.equal(color(shadowRoot.lastChild), 'rgb(0, 0, 255)');
+        context.remove();
+    });
+
+    test('::slotted() applies to slotted nodes only', function () {
+        var light = document.createElement('span');
+        var shadow = document.createElement('span');
+        host.append(light);
+        shadowRoot.innerHTML = '<style>::slotted(span) { color: rgb(0, 0, 255); }</style><slot></slot>';
+        shadowRoot.append(shadow);
+        assert.equal(color(light), 'rgb(0, 0, 255)');
+        assert.notEqual(color(shadow), 'rgb(0, 0, 255)');
+    });
+
+    test('elements moved out of the shadow tree are no longer styled', function () {
+        shadowRoot.innerHTML = '<style>p { color: rgb(255, 0, 0); }</style><p>inside</p>';
+        var p = shadowRoot.lastChild;
+        document.body.append(p);
+        assert.notEqual(color(p), 'rgb(255, 0, 0)');
+        p.remove();
+    });
+
+    test('setting textContent rescopes the style', function () {
+        var style = document.createElement('style');
+        var p = document.createElement('p');
+        shadowRoot.append(style, p);
+        style.textContent = 'p { color: rgb(255, 0, 0); }';
+        assert.equal(color(p), 'rgb(255, 0, 0)');
+    });
+
+    test('scoping is not visible in serialized markup', function () {
+        var markup = '<style>p { color: red; }</style><p>inside</p>';
+        shadowRoot.innerHTML = markup;
+        assert.equal(shadowRoot.innerHTML, markup);
+        assert.equal(host.outerHTML, '<div></div>');
+    });
+
+    test('styles moved back to the document are restored', function () {
+        shadowRoot.innerHTML = '<style>p { color: red; }</style>';
+        var style = shadowRoot.firstChild;
+        var div = document.createElement('div');
+        div.append(style);
+        assert.equal(style.textContent, 'p { color: red; }');
+    });
+
+    test('scoping does not queue mutation records', function () {
+        var records = null;
+        var observer = new MutationObserver(function () { });
+        observer.observe(shadowRoot, { attributes: true, characterData: true, subtree: true });
+        shadowRoot.innerHTML = '<style>p { color: red; }</style><p></p>';
+        records = observer.takeRecords();
+        observer.disconnect();
+        for (var i = 0; i < records.length; i++) {
+            assert.equal(records[i].type, 'childList');
+        }
+    });
+
+    suite(':defined emulation', function () {
+
+        function defineElement(name) {
+            var element = function () {
+                return HTMLElement.call(this);
+            };
+            element.prototype = Object.create(HTMLElement.prototype, {
+                'constructor': {
+                    value: element,
+                    writable: true,
+                    configurable: true
+                }
+            });
+            window.customElements.define(name, element);
+        }
+
+        test(':not(:defined) applies until the element is defined', function (done) {
+            var style = document.createElement('style');
+            style.textContent = 'defined-emulation-a:not(:defined) { color: rgb(255, 0, 0); }';
+            document.head.append(style);
+            var element = document.createElement('defined-emulation-a');
+            document.body.append(element);
+            assert.equal(color(element), 'rgb(255, 0, 0)');
+            defineElement('defined-emulation-a');
+            window.customElements.whenDefined('defined-emulation-a').then(function () {
+                assert.notEqual(color(element), 'rgb(255, 0, 0)');
+                element.remove();
+                style.remove();
+                done();
+            });
+        });
+
+        test(':defined applies within shadow trees', function () {
+            shadowRoot.innerHTML = '<style>:defined { color: rgb(0, 128, 0); }</style><p></p><defined-emulation-b></defined-emulation-b>';
+            assert.equal(color(shadowRoot.childNodes[1]), 'rgb(0, 128, 0)');
+            assert.notEqual(color(shadowRoot.childNodes[2]), 'rgb(0, 128, 0)');
+        });
+
+        test('emulation is not visible in serialized markup', function () {
+            shadowRoot.innerHTML = '<style>:not(:defined) { color: red; }</style><defined-emulation-c></defined-emulation-c>';
+            assert.equal(shadowRoot.innerHTML, '<style>:not(:defined) { color: red; }</style><defined-emulation-c></defined-emulation-c>');
+        });
+
+    });
+
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+suite('Traversal', function () {
+
+    var assert = chai.assert;
+
+    var host, shadowRoot;
+
+    setup(function () {
+        host = document.createElement('div');
+        host.innerHTML = '<span id="a"></span><span id="b"></span>';
+        shadowRoot = host.attachShadow({ mode: 'open' });
+        shadowRoot.innerHTML = '<p><slot></slot></p><em></em>';
+        document.body.append(host);
+    });
+
+    teardown(function () {
+        host.remove();
+    });
+
+    function collect(walker) {
+        var nodes = [];
+        var node;
+        while ((node = walker.nextNode())) {
+            nodes.push(node);
+        }
+        return nodes;
+    }
+
+    suite('TreeWalker', function () {
+
+        test('is a TreeWalker', function () {
+            var walker = document.createTreeWalker(host);
+            assert.instanceOf(walker, TreeWalker);
+            assert.equal(walker.root, host);
+            assert.equal(walker.currentNode, host);
+            assert.equal(walker.whatToShow, NodeFilter.SHOW_ALL);
+            assert.isNull(walker.filter);
+        });
+
+        test('walks the light tree', function () {
+            var walker = document.createTreeWalker(host, NodeFilter.SHOW_ELEMENT);
+            assert.deepEqual(collect(walker), [host.firstChild, host.lastChild]);
+        });
+
+        test('does not walk into shadow trees', function () {
+            var walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+            var nodes = collect(walker);
+            assert.notInclude(nodes, shadowRoot.firstChild);
+            assert.include(nodes, host.lastChild);
+        });
+
+        test('walks a shadow tree from its root', function () {
+            var walker = document.createTreeWalker(shadowRoot, NodeFilter.SHOW_ELEMENT);
+            assert.deepEqual(collect(walker), [shadowRoot.firstChild, shadowRoot.firstChild.firstChild, shadowRoot.lastChild]);
+        });
+
+        test('parentNode, firstChild and siblings use the light tree', function () {
+            var walker = document.createTreeWalker(host, NodeFilter.SHOW_ELEMENT);
+            assert.equal(walker.firstChild(), host.firstChild);
+            assert.equal(walker.nextSibling(), host.lastChild);
+            assert.equal(walker.previousSibling(), host.firstChild);
+            assert.equal(walker.parentNode(), host);
+            assert.equal(walker.lastChild(), host.lastChild);
+        });
+
+        test('applies filters', function () {
+            var walker = document.createTreeWalker(host, NodeFilter.SHOW_ELEMENT, function (node) {
+                return node.id === 'a' ? NodeFilter.FILTER_SKIP : NodeFilter.FILTER_ACCEPT;
+            });
+            assert.deepEqual(collect(walker), [host.lastChild]);
+            assert.equal(walker.previousNode(), host);
+        });
+
+        test('walks the flat tree when composed', function () {
+            var walker = document.createTreeWalker(host, NodeFilter.SHOW_ELEMENT, null, { composed: true });
+            var p = shadowRoot.firstChild;
+            assert.deepEqual(collect(walker), [p, p.firstChild, host.firstChild, host.lastChild, shadowRoot.lastChild]);
+            assert.equal(walker.previousNode(), host.lastChild);
+            assert.equal(walker.parentNode(), p.firstChild);
+            assert.equal(walker.parentNode(), p);
+            assert.equal(walker.parentNode(), host);
+        });
+
+    });
+
+    suite('NodeIterator', function () {
+
+        test('is a NodeIterator', function () {
+            var iterator = document.createNodeIterator(host);
+            assert.instanceOf(iterator, NodeIterator);
+            assert.equal(iterator.referenceNode, host);
+            assert.isTrue(iterator.pointerBeforeReferenceNode);
+        });
+
+        test('iterates the light tree', function () {
+            var iterator = document.createNodeIterator(host, NodeFilter.SHOW_ELEMENT);
+            assert.deepEqual(collect(iterator), [host, host.firstChild, host.lastChild]);
+            assert.equal(iterator.previousNode(), host.lastChild);
+            assert.equal(iterator.previousNode(), host.firstChild);
+        });
+
+        test('follows removal of the reference node', function () {
+            var iterator = document.createNodeIterator(host, NodeFilter.SHOW_ELEMENT);
+            var a = host.firstChild;
+            var b = host.lastChild;
+            iterator.nextNode();
+            iterator.nextNode();
+            assert.equal(iterator.referenceNode, a);
+            a.remove();
+            assert.equal(iterator.referenceNode, host);
+            assert.equal(iterator.nextNode(), b);
+        });
+
+        test('follows removal while the pointer is before the reference node', function () {
+            var iterator = document.createNodeIterator(host, NodeFilter.SHOW_ELEMENT);
+            var a = host.firstChild;
+            var b = host.lastChild;
+            iterator.nextNode();
+            iterator.nextNode();
+            iterator.previousNode();
+            assert.isTrue(iterator.pointerBeforeReferenceNode);
+            a.remove();
+            assert.equal(iterator.referenceNode, b);
+            assert.isTrue(iterator.pointerBeforeReferenceNode);
+        });
+
+        test('follows removal below its root', function () {
+            var iterator = document.createNodeIterator(document.body, NodeFilter.SHOW_ELEMENT);
+            var a = host.firstChild;
+            var b = host.lastChild;
+            while (iterator.nextNode() !== b) {
+            }
+            b.remove();
+            assert.equal(iterator.referenceNode, a);
+        });
+
+        test('follows removal within a shadow tree when composed', function () {
+            var iterator = document.createNodeIterator(host, NodeFilter.SHOW_ELEMENT, null, { composed: true });
+            var em = shadowRoot.lastChild;
+            while (iterator.nextNode() !== em) {
+            }
+            em.remove();
+            assert.equal(iterator.referenceNode, host.lastChild);
+            assert.isFalse(iterator.pointerBeforeReferenceNode);
+        });
+
+        test('iterates the flat tree when composed', function () {
+            var iterator = document.createNodeIterator(host, NodeFilter.SHOW_ELEMENT, null, { composed: true });
+            var p = shadowRoot.firstChild;
+            assert.deepEqual(collect(iterator), [host, p, p.firstChild, host.firstChild, host.lastChild, shadowRoot.lastChild]);
+        });
+
+    });
+
+});